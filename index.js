@@ -13,6 +13,8 @@ import compression from 'compression';
 import { getConfig, validateConfig } from './src/config/config.js';
 import { logger } from './src/utils/logger.js';
 import { createResponse } from './src/utils/helpers.js';
+import { getPriorityOrder } from './src/services/priorityService.js';
+import LocalAIService from './src/services/localAIService.js';
 
 import {
   corsMiddleware,
@@ -23,6 +25,7 @@ import {
 
 import apiRoutes from './src/routes/api.js';
 import adminRoutes from './src/routes/admin.js';
+import openAIRoutes from './src/routes/openai.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -61,6 +64,9 @@ class JarvisServer {
   }
 
   setupMiddleware() {
+    // Client addresses from X-Forwarded-For, only when the proxy is trusted
+    this.app.set('trust proxy', this.config.SERVER.TRUST_PROXY);
+
     // Performance optimizations
     this.app.use(compression()); // Add compression for all responses
     
@@ -96,6 +102,7 @@ class JarvisServer {
     // API routes
     this.app.use('/api', apiRoutes);
     this.app.use('/admin', adminRoutes);
+    this.app.use('/v1', openAIRoutes);
 
     // Static UI routes - simplified for production
     const sendFile = (file) => (req, res) => {
@@ -146,11 +153,24 @@ class JarvisServer {
       // Give time for logger to write before exiting
       setTimeout(() => process.exit(1), 1000);
     });
+    // Signals end the process without an 'exit' event; exiting explicitly
+    // lets exit handlers such as the usage ledger flush run
+    for (const signal of ['SIGTERM', 'SIGINT']) {
+      process.once(signal, () => {
+        logger.info(`Received ${signal}, shutting down`);
+        process.exit(0);
+      });
+    }
   }
 
-  start() {
+  async start() {
     const host = '0.0.0.0';
 
+    // Local models are only routed to after a successful probe, so find out before the first request
+    if (!this.config.MOCK.ENABLED && getPriorityOrder().includes('local')) {
+      await new LocalAIService().probe();
+    }
+
     this.app.listen(this.port, host, () => {
       logger.info(`JARVIS AI API Server started`, {
         port: this.port,
@@ -7,6 +7,20 @@
 // Cache configuration to avoid repeated environment variable lookups
 let configCache = null;
 
+// Generation parameters accepted by OpenAI-compatible chat endpoints,
+// keyed by request option name with the provider's wire name as value.
+// A null wire name means the provider does not support the parameter.
+const OPENAI_PARAMETERS = {
+    temperature: 'temperature',
+    maxTokens: 'max_tokens',
+    topP: 'top_p',
+    stop: 'stop',
+    seed: 'seed',
+    tools: 'tools',
+    toolChoice: 'tool_choice',
+    responseFormat: 'response_format'
+};
+
 // Helper function to build base URL dynamically for DigitalOcean
 const buildBaseUrl = () => {
     // Get port from environment with fallback to 3002 (user's preference)
@@ -31,6 +45,18 @@ const buildBaseUrl = () => {
     return `http://localhost:${port}`;
 };
 
+// Express 'trust proxy' setting from TRUST_PROXY: true/false, a hop count,
+// or addresses/subnets such as "loopback" or "10.0.0.0/8"
+const parseTrustProxy = (value) => {
+    if (!value || value === 'false') {
+        return false;
+    }
+    if (value === 'true') {
+        return true;
+    }
+    return /^\d+$/.test(value) ? parseInt(value) : value;
+};
+
 // Dynamic configuration getter with caching
 export const getConfig = () => {
     // Return cached config if available
@@ -49,7 +75,9 @@ export const getConfig = () => {
         NODE_ENV: process.env.NODE_ENV || 'development',
         BASE_URL: buildBaseUrl(),
             REQUEST_SIZE_LIMIT: '5mb', // Reduced for better performance
-        CORS_ENABLED: true
+        CORS_ENABLED: true,
+        // Set behind a reverse proxy so req.ip (and tokenless client ids) come from X-Forwarded-For
+        TRUST_PROXY: parseTrustProxy(process.env.TRUST_PROXY)
     },
 
     // AI Service Configuration
@@ -60,7 +88,28 @@ export const getConfig = () => {
         MAX_TEMPERATURE: 2.0,
         MIN_TOKENS: 1,
         MAX_TOKENS: 4000,
+        MIN_TOP_P: 0.0,
+        MAX_TOP_P: 1.0,
+        MAX_STOP_SEQUENCES: 4,
+        MAX_TOOL_ITERATIONS: 5, // Model/tool round trips before a tool request is aborted
+        MODEL_RETRY_AFTER: 10 * 60 * 1000, // A model reported missing is skipped for this long
+        MAX_RETRY_AFTER: 10000, // Longer Retry-After waits move on to the next provider instead
+        MAX_CONTINUATIONS: 3, // Follow-up requests for a reply cut off by its token limit (allowCompleteResponse)
+        RACE: {
+            SIZE: 2, // Providers running at once with strategy "race"
+            MAX_SIZE: 4,
+            HEDGE_DELAY: 0, // ms before starting a backup provider; 0 starts them all together
+            MAX_HEDGE_DELAY: 30000
+        },
+        ENSEMBLE: {
+            SIZE: 3, // Providers asked with mode "ensemble"
+            MAX_SIZE: 5,
+            JUDGE: process.env.ENSEMBLE_JUDGE || null // Provider that merges the answers; default: first "high" quality provider
+        },
         REQUEST_TIMEOUT: 30000,
+        REQUEST_DEADLINE: 120000, // Overall time for a request across all fallbacks; `timeout` overrides it per call
+        MIN_REQUEST_DEADLINE: 1000,
+        MAX_REQUEST_DEADLINE: 600000,
             MAX_RETRIES: process.env.NODE_ENV === 'production' ? 1 : 2, // Fewer retries in production
         SYSTEM_PROMPT: "You are JARVIS, a professional AI assistant. Provide direct, helpful, and accurate responses."
     },
@@ -73,7 +122,9 @@ export const getConfig = () => {
             baseURL: 'https://api.groq.com/openai/v1',
             timeout: 25000,
             envKey: 'GROQ_API_KEY',
-            keyPrefix: 'gsk_'
+            keyPrefix: 'gsk_',
+            structuredOutput: 'json_object', // Native JSON mode: 'json_schema', 'json_object' or null
+            parameters: OPENAI_PARAMETERS
         },
         GITHUB: {
             id: 'github',
@@ -81,7 +132,9 @@ export const getConfig = () => {
             baseURL: 'https://models.inference.ai.azure.com',
             timeout: 45000,
             envKey: 'GITHUB_TOKEN',
-            keyPrefix: 'github_pat_'
+            keyPrefix: 'github_pat_',
+            structuredOutput: 'json_schema',
+            parameters: OPENAI_PARAMETERS
         },
         OPENROUTER: {
             id: 'openrouter',
@@ -89,7 +142,9 @@ export const getConfig = () => {
             baseURL: 'https://openrouter.ai/api/v1',
             timeout: 30000,
             envKey: 'OPENROUTER_API_KEY',
-            keyPrefix: 'sk-or-v1-'
+            keyPrefix: 'sk-or-v1-',
+            structuredOutput: 'json_object',
+            parameters: OPENAI_PARAMETERS
         },
         GEMINI: {
             id: 'gemini',
@@ -97,10 +152,70 @@ export const getConfig = () => {
             baseURL: 'https://generativelanguage.googleapis.com/v1beta',
             timeout: 20000,
             envKey: 'GEMINI_API_KEY',
-            keyPrefix: 'AIzaSy'
+            keyPrefix: 'AIzaSy',
+            structuredOutput: 'json_schema',
+            // Gemini's OpenAI-compatible endpoint does not support seed
+            parameters: { ...OPENAI_PARAMETERS, seed: null }
+        },
+        LOCAL: {
+            id: 'local',
+            name: 'Local (Ollama / llama.cpp)',
+            description: 'Models served on this machine - requests never leave it',
+            // Ollama default; llama.cpp server is usually http://localhost:8080/v1
+            baseURL: process.env.LOCAL_LLM_URL || 'http://localhost:11434/v1',
+            timeout: 120000,
+            envKey: 'LOCAL_LLM_API_KEY', // Optional, for llama.cpp started with --api-key
+            keyPrefix: '',
+            local: true,
+            probeTimeout: 2000,
+            probeInterval: 30000, // How long an availability probe result is trusted
+            structuredOutput: 'json_object',
+            parameters: OPENAI_PARAMETERS
+        },
+        MOCK: {
+            id: 'mock',
+            name: 'Mock',
+            description: 'Scripted offline provider for tests - only available with MOCK_MODE=true',
+            timeout: 30000,
+            envKey: null,
+            keyPrefix: '',
+            local: true,
+            mock: true,
+            structuredOutput: 'json_schema',
+            parameters: OPENAI_PARAMETERS
         }
     },
 
+    // Per-provider circuit breakers: failing providers are skipped until a cooldown passes
+    CIRCUIT_BREAKER: {
+        FAILURE_THRESHOLD: 3, // Consecutive failures that open the circuit
+        COOLDOWN: 30000, // Time an open circuit skips the provider
+        RATE_LIMIT_COOLDOWN: 60000, // Cooldown after a 429 without Retry-After
+        QUOTA_COOLDOWN: 15 * 60 * 1000, // Cooldown after the provider reports its quota used up
+        TRIP_STATUSES: [402, 429, 503] // Statuses that open the circuit on the first failure
+    },
+
+    // Per-provider limits from priority.json
+    PROVIDER_LIMITS: {
+        MAX_QUEUE_WAIT: 3000 // How long a request waits for a provider at its limit before skipping it
+    },
+
+    // Provider ordering (settings.routing in priority.json) and the rolling
+    // latency/success window behind least-latency routing
+    ROUTING: {
+        STATS_WINDOW: 10 * 60 * 1000, // Samples older than this are dropped
+        MAX_SAMPLES: 200, // Samples kept per provider
+        MIN_SAMPLES: 3, // Samples needed before a provider's p95 is used
+        MIN_SUCCESS_RATE: 0.5, // Providers below this success rate are tried last by least-latency
+        SHORT_QUERY_CHARS: 160, // Query routing treats shorter queries as factual
+        LONG_QUERY_CHARS: 1500 // and longer ones as reasoning
+    },
+
+    // Offline testing: scripted mock providers, search backend and decision model
+    MOCK: {
+        ENABLED: process.env.MOCK_MODE === 'true'
+    },
+
         // Logging Configuration - Optimized for production
     LOGGING: {
             LEVEL: process.env.LOG_LEVEL || (process.env.NODE_ENV === 'production' ? 'warn' : 'info'),
@@ -118,7 +233,9 @@ export const getConfig = () => {
         TEST: '/api/test',
         HEALTH: '/health',
         ADMIN: '/admin',
-        DOCS: '/docs'
+        DOCS: '/docs',
+        CHAT_COMPLETIONS: '/v1/chat/completions',
+        MODELS: '/v1/models'
     },
 
     // Web Scraping Configuration
@@ -127,6 +244,67 @@ export const getConfig = () => {
         TIMEOUT: 30000,
         MAX_RESULTS: 5,
         DEFAULT_ENGINE: 'google'
+    },
+
+    // Web search decision (Gemini) Configuration
+    DECISION_AGENT: {
+        TIMEOUT: 10000 // A slow decision falls back to the default (no web search)
+    },
+
+    // Conversation Persistence Configuration
+    CONVERSATIONS: {
+        BACKEND: process.env.CONVERSATION_STORE || 'file', // 'file' or 'supabase'
+        DIR: process.env.CONVERSATION_DIR || './data/sessions',
+        MAX_HISTORY_MESSAGES: 50, // Prior messages loaded into each request
+        DEFAULT_PAGE_SIZE: 20,
+        MAX_PAGE_SIZE: 100,
+        SUPABASE_URL: process.env.SUPABASE_URL,
+        SUPABASE_KEY: process.env.SUPABASE_KEY,
+        SESSIONS_TABLE: 'jarvis_sessions',
+        MESSAGES_TABLE: 'jarvis_messages'
+    },
+
+    // Async jobs (/api/jobs)
+    JOBS: {
+        DIR: process.env.JOBS_DIR || './data/jobs',
+        CONCURRENCY: parseInt(process.env.JOBS_CONCURRENCY) || 2,
+        RETENTION_HOURS: 24, // Finished jobs older than this are removed at startup and hourly
+        PRUNE_INTERVAL: 60 * 60 * 1000,
+        CALLBACK_TIMEOUT: 10000,
+        CALLBACK_RETRIES: 2
+    },
+
+    // Usage ledger (/admin/usage) and cost estimates
+    USAGE: {
+        FILE: process.env.USAGE_FILE || './data/usage.json',
+        RETENTION_DAYS: 400, // Daily counters older than this are dropped at startup
+        DEFAULT_RANGE_DAYS: 30, // Days returned by /admin/usage without a from date
+        SAVE_DELAY: 5000, // Counters are written to FILE at most this often
+        // USD per million prompt (input) and completion (output) tokens, by provider
+        // and model; '*' prices every model of a provider. Unpriced models are
+        // counted but add no cost.
+        PRICES: {
+            github: {
+                'gpt-4o': { input: 2.5, output: 10 }
+            },
+            gemini: {
+                'gemini-2.5-flash': { input: 0.3, output: 2.5 }
+            },
+            openrouter: {
+                'moonshotai/kimi-k2:free': { input: 0, output: 0 },
+                'deepseek/deepseek-chat-v3-0324:free': { input: 0, output: 0 },
+                'meta-llama/llama-3.3-70b-instruct:free': { input: 0, output: 0 }
+            },
+            groq: {
+                'meta-llama/llama-4-scout-17b-16e-instruct': { input: 0.11, output: 0.34 }
+            },
+            local: {
+                '*': { input: 0, output: 0 }
+            },
+            mock: {
+                '*': { input: 0, output: 0 }
+            }
+        }
     }
     };
 
@@ -202,3 +380,38 @@ export function getAvailableProviders() {
     
     return availableProviders;
 }
+
+/**
+ * Builds the provider config for an OpenAI-compatible provider declared in
+ * priority.json (`"type": "openai-compatible"`), filling in defaults
+ */
+export function buildCompatibleProviderConfig(definition) {
+    return {
+        id: definition.id,
+        name: definition.name || definition.id,
+        description: definition.description || '',
+        baseURL: definition.baseURL,
+        timeout: definition.timeout || CONFIG.AI.REQUEST_TIMEOUT,
+        envKey: definition.envKey || null, // Local servers often need no key
+        keyPrefix: definition.keyPrefix || '',
+        headers: definition.headers || {},
+        local: definition.local === true, // Eligible for privateMode requests
+        structuredOutput: definition.structuredOutput ?? 'json_object',
+        parameters: { ...OPENAI_PARAMETERS, ...definition.parameters }
+    };
+}
+
+/**
+ * Builds the provider config for a mock provider declared in priority.json
+ * (`"type": "mock"`), used to script multi-provider scenarios offline
+ */
+export function buildMockProviderConfig(definition) {
+    return {
+        ...CONFIG.PROVIDERS.MOCK,
+        id: definition.id,
+        name: definition.name || definition.id,
+        description: definition.description || CONFIG.PROVIDERS.MOCK.description,
+        timeout: definition.timeout || CONFIG.PROVIDERS.MOCK.timeout,
+        script: definition.script || []
+    };
+}
@@ -3,11 +3,28 @@
  */
 
 import { logger } from '../utils/logger.js';
-import { sanitizeInput } from '../utils/helpers.js';
+import { sanitizeInput, getApiKeyId } from '../utils/helpers.js';
+import { CONFIG } from '../config/config.js';
+import { SESSION_ID_PATTERN } from '../services/conversationStore.js';
+import { getToolRegistry, TOOL_NAME_PATTERN } from '../services/toolRegistry.js';
+import { compileSchema, checkSchemaLimits } from '../utils/structuredOutput.js';
+import { QUALITY_TIERS } from '../services/queryRouter.js';
 
 // In-memory rate limiter store
 const rateLimitStore = new Map();
 
+// Roles accepted in a chat history
+const CHAT_ROLES = ['system', 'user', 'assistant', 'tool'];
+
+// Accepted tool_choice strings
+const TOOL_CHOICES = ['auto', 'none', 'required'];
+
+// How providers are tried: one after another, or several at once
+const ROUTING_STRATEGIES = ['sequential', 'race'];
+
+// One provider answers, or several answers are merged by a judge
+const RESPONSE_MODES = ['single', 'ensemble'];
+
 /**
  * CORS middleware - optimized for production
  */
@@ -26,7 +43,7 @@ export const corsMiddleware = (req, res, next) => {
     res.setHeader('Access-Control-Allow-Origin', origin);
   }
   
-  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
   res.setHeader('Access-Control-Max-Age', '86400'); // 24 hours cache for preflight
 
@@ -109,34 +126,93 @@ export const errorHandler = (err, req, res, next) => {
 
 /**
  * Chat request validation middleware - optimized for performance
+ * Accepts either a single `message` string or a `messages` chat history.
+ * A history is split into `history` (prior turns), `message` (last user turn)
+ * and `toolTurns` (tool calls and tool results that follow it).
  */
 export const chatRequestValidator = (req, res, next) => {
   try {
-    const { message } = req.body;
+    const { message, messages, stream, provider, model, fallback, persona, sessionId, privateMode, strategy, raceSize, hedgeDelay, timeout, quality } = req.body;
+
+    if (stream !== undefined && typeof stream !== 'boolean') {
+      return sendValidationError(res, 'Stream must be a boolean');
+    }
+
+    if (privateMode !== undefined && typeof privateMode !== 'boolean') {
+      return sendValidationError(res, 'privateMode must be a boolean');
+    }
+
+    if (persona !== undefined && (typeof persona !== 'string' || !persona.trim())) {
+      return sendValidationError(res, 'Persona must be a non-empty string');
+    }
+
+    if (sessionId !== undefined && (typeof sessionId !== 'string' || !SESSION_ID_PATTERN.test(sessionId))) {
+      return sendValidationError(res, 'sessionId must be 1-64 letters, numbers, dashes or underscores');
+    }
+
+    if (sessionId !== undefined && !getApiKeyId(req)) {
+      return sendApiKeyRequired(res);
+    }
+
+    // Supabase would store the conversation off this machine
+    if (sessionId !== undefined && privateMode && CONFIG.CONVERSATIONS.BACKEND === 'supabase') {
+      return sendValidationError(res, 'sessionId cannot be used with privateMode while sessions are stored in Supabase');
+    }
+
+    const routingError = validateRoutingOptions({ provider, model, fallback, strategy, raceSize, hedgeDelay, timeout, quality });
+    if (routingError) {
+      return sendValidationError(res, routingError);
+    }
+
+    const modeError = validateModeOptions(req.body);
+    if (modeError) {
+      return sendValidationError(res, modeError);
+    }
+
+    const paramsError = validateGenerationParams(req.body);
+    if (paramsError) {
+      return sendValidationError(res, paramsError);
+    }
+
+    const toolsError = validateToolOptions(req.body);
+    if (toolsError) {
+      return sendValidationError(res, toolsError);
+    }
+
+    const formatError = validateResponseFormat(req.body.responseFormat);
+    if (formatError) {
+      return sendValidationError(res, formatError);
+    }
+
+    if (messages !== undefined) {
+      const historyError = validateChatMessages(messages);
+      if (historyError) {
+        return sendValidationError(res, historyError);
+      }
+
+      const turns = messages.map(normalizeChatTurn);
+      const lastUserIndex = turns.map(turn => turn.role).lastIndexOf('user');
+
+      req.body.message = turns[lastUserIndex].content;
+      req.body.history = turns.slice(0, lastUserIndex);
+      req.body.toolTurns = turns.slice(lastUserIndex + 1);
+      return next();
+    }
     
     // Validate message
     if (!message) {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Message is required',
-          status: 400
-        }
-      });
+      return sendValidationError(res, 'Message is required');
     }
     
     if (typeof message !== 'string') {
-      return res.status(400).json({
-        success: false,
-        error: {
-          message: 'Message must be a string',
-          status: 400
-        }
-      });
+      return sendValidationError(res, 'Message must be a string');
     }
     
     // Sanitize input
     req.body.message = sanitizeInput(message.trim());
+    // Prior and tool turns only come from a validated `messages` history
+    req.body.history = [];
+    req.body.toolTurns = [];
     
     next();
   } catch (error) {
@@ -144,6 +220,343 @@ export const chatRequestValidator = (req, res, next) => {
   }
 };
 
+/**
+ * Validate the shape of a chat history, returning an error message or null
+ */
+function validateChatMessages(messages) {
+  if (!Array.isArray(messages) || messages.length === 0) {
+    return 'Messages must be a non-empty array';
+  }
+
+  for (let i = 0; i < messages.length; i++) {
+    const turn = messages[i];
+
+    if (!turn || typeof turn !== 'object') {
+      return `messages[${i}] must be an object`;
+    }
+
+    if (!CHAT_ROLES.includes(turn.role)) {
+      return `messages[${i}].role must be one of: ${CHAT_ROLES.join(', ')}`;
+    }
+
+    const turnError = turn.role === 'tool'
+      ? validateToolResultTurn(turn)
+      : validateContentTurn(turn);
+    if (turnError) {
+      return `messages[${i}]${turnError}`;
+    }
+
+    if (turn.role === 'system' && i !== 0) {
+      return 'A system message is only allowed as the first message';
+    }
+  }
+
+  const lastUserIndex = messages.map(turn => turn.role).lastIndexOf('user');
+  if (lastUserIndex === -1) {
+    return 'At least one message must have role "user"';
+  }
+
+  const trailing = messages.slice(lastUserIndex + 1);
+  const isToolTurn = turn => turn.role === 'tool' || (turn.role === 'assistant' && turn.tool_calls);
+  if (!trailing.every(isToolTurn) || (trailing.length > 0 && trailing[trailing.length - 1].role !== 'tool')) {
+    return 'The last message must have role "user", or be followed only by tool calls and their results';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a system/user/assistant turn; assistant turns that carry
+ * tool_calls may have empty content
+ */
+function validateContentTurn(turn) {
+  if (turn.role === 'assistant' && turn.tool_calls !== undefined) {
+    if (!Array.isArray(turn.tool_calls) || turn.tool_calls.length === 0 ||
+        !turn.tool_calls.every(call => typeof call?.id === 'string' &&
+          typeof call.function?.name === 'string' && typeof call.function?.arguments === 'string')) {
+      return '.tool_calls must be an array of { id, type: "function", function: { name, arguments } }';
+    }
+    if (turn.content !== undefined && turn.content !== null && typeof turn.content !== 'string') {
+      return '.content must be a string or null';
+    }
+    return null;
+  }
+
+  if (typeof turn.content !== 'string' || !turn.content.trim()) {
+    return '.content must be a non-empty string';
+  }
+
+  return null;
+}
+
+function validateToolResultTurn(turn) {
+  if (typeof turn.tool_call_id !== 'string' || !turn.tool_call_id) {
+    return '.tool_call_id is required for tool messages';
+  }
+
+  if (typeof turn.content !== 'string') {
+    return '.content must be a string';
+  }
+
+  return null;
+}
+
+/**
+ * Keep only the fields providers need from a validated turn
+ */
+function normalizeChatTurn(turn) {
+  const content = typeof turn.content === 'string' ? sanitizeInput(turn.content.trim()) : '';
+
+  if (turn.role === 'tool') {
+    return { role: 'tool', tool_call_id: turn.tool_call_id, content };
+  }
+
+  if (turn.tool_calls) {
+    return {
+      role: 'assistant',
+      content: content || null,
+      tool_calls: turn.tool_calls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: { name: call.function.name, arguments: call.function.arguments }
+      }))
+    };
+  }
+
+  return { role: turn.role, content };
+}
+
+/**
+ * Validate caller-supplied tools, tool_choice and server tool selection,
+ * returning an error message or null
+ */
+export function validateToolOptions({ tools, toolChoice, serverTools }) {
+  if (tools !== undefined) {
+    if (!Array.isArray(tools)) {
+      return 'Tools must be an array';
+    }
+
+    for (let i = 0; i < tools.length; i++) {
+      const fn = tools[i]?.function;
+      if (tools[i]?.type !== 'function' || !fn || !TOOL_NAME_PATTERN.test(fn.name || '')) {
+        return `tools[${i}] must be { type: "function", function: { name, description, parameters } } with a name of 1-64 letters, numbers, dashes or underscores`;
+      }
+      if (fn.parameters !== undefined && (typeof fn.parameters !== 'object' || fn.parameters === null)) {
+        return `tools[${i}].function.parameters must be a JSON Schema object`;
+      }
+    }
+  }
+
+  if (toolChoice !== undefined && !TOOL_CHOICES.includes(toolChoice) &&
+      !(toolChoice?.type === 'function' && typeof toolChoice.function?.name === 'string')) {
+    return `toolChoice must be one of: ${TOOL_CHOICES.join(', ')}, or { type: "function", function: { name } }`;
+  }
+
+  if (serverTools !== undefined && serverTools !== true && serverTools !== false) {
+    if (!Array.isArray(serverTools)) {
+      return 'serverTools must be true or an array of tool names';
+    }
+
+    const registry = getToolRegistry();
+    const unknown = serverTools.filter(name => !registry.has(name));
+    if (unknown.length > 0) {
+      const available = registry.list().map(tool => tool.function.name).join(', ');
+      return `Unknown server tools: ${unknown.join(', ')}. Available tools: ${available}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate per-request provider/model pinning, routing strategy and deadline
+ * options, returning an error message or null
+ */
+export function validateRoutingOptions({ provider, model, fallback, strategy, raceSize, hedgeDelay, timeout, quality }) {
+  if (provider !== undefined && (typeof provider !== 'string' || !provider.trim())) {
+    return 'Provider must be a non-empty string';
+  }
+
+  if (model !== undefined) {
+    if (typeof model !== 'string' || !model.trim()) {
+      return 'Model must be a non-empty string';
+    }
+    if (provider === undefined) {
+      return 'Model requires a provider';
+    }
+  }
+
+  if (fallback !== undefined && typeof fallback !== 'boolean') {
+    return 'Fallback must be a boolean';
+  }
+
+  if (strategy !== undefined && !ROUTING_STRATEGIES.includes(strategy)) {
+    return `Strategy must be one of: ${ROUTING_STRATEGIES.join(', ')}`;
+  }
+
+  const { MAX_SIZE, MAX_HEDGE_DELAY } = CONFIG.AI.RACE;
+
+  if (raceSize !== undefined && (!Number.isInteger(raceSize) || raceSize < 1 || raceSize > MAX_SIZE)) {
+    return `raceSize must be an integer between 1 and ${MAX_SIZE}`;
+  }
+
+  if (hedgeDelay !== undefined && (!Number.isInteger(hedgeDelay) || hedgeDelay < 0 || hedgeDelay > MAX_HEDGE_DELAY)) {
+    return `hedgeDelay must be an integer between 0 and ${MAX_HEDGE_DELAY} (ms)`;
+  }
+
+  const { MIN_REQUEST_DEADLINE, MAX_REQUEST_DEADLINE } = CONFIG.AI;
+
+  if (timeout !== undefined &&
+      (!Number.isInteger(timeout) || timeout < MIN_REQUEST_DEADLINE || timeout > MAX_REQUEST_DEADLINE)) {
+    return `Timeout must be an integer between ${MIN_REQUEST_DEADLINE} and ${MAX_REQUEST_DEADLINE} (ms)`;
+  }
+
+  if (quality !== undefined && !QUALITY_TIERS.includes(quality)) {
+    return `Quality must be one of: ${QUALITY_TIERS.join(', ')}`;
+  }
+
+  return null;
+}
+
+/**
+ * Validate mode, ensembleSize and judge, returning an error message or null.
+ * Ensemble answers are merged text, so they cannot be combined with racing,
+ * tool calls or structured output.
+ */
+export function validateModeOptions({ mode, ensembleSize, judge, strategy, tools, serverTools, responseFormat }) {
+  if (mode !== undefined && !RESPONSE_MODES.includes(mode)) {
+    return `Mode must be one of: ${RESPONSE_MODES.join(', ')}`;
+  }
+
+  const { MAX_SIZE } = CONFIG.AI.ENSEMBLE;
+
+  if (ensembleSize !== undefined && (!Number.isInteger(ensembleSize) || ensembleSize < 2 || ensembleSize > MAX_SIZE)) {
+    return `ensembleSize must be an integer between 2 and ${MAX_SIZE}`;
+  }
+
+  if (judge !== undefined && (typeof judge !== 'string' || !judge.trim())) {
+    return 'Judge must be a non-empty string';
+  }
+
+  if (mode !== 'ensemble') {
+    return ensembleSize !== undefined || judge !== undefined ? 'ensembleSize and judge require mode "ensemble"' : null;
+  }
+
+  if (strategy === 'race') {
+    return 'Mode "ensemble" cannot be combined with strategy "race"';
+  }
+
+  if (tools !== undefined || serverTools !== undefined || responseFormat !== undefined) {
+    return 'Mode "ensemble" does not support tools, serverTools or responseFormat';
+  }
+
+  return null;
+}
+
+/**
+ * Range-check generation parameters against CONFIG.AI limits,
+ * returning an error message or null
+ */
+export function validateGenerationParams({ temperature, maxTokens, topP, stop, seed }) {
+  const { MIN_TEMPERATURE, MAX_TEMPERATURE, MIN_TOKENS, MAX_TOKENS, MIN_TOP_P, MAX_TOP_P, MAX_STOP_SEQUENCES } = CONFIG.AI;
+
+  if (temperature !== undefined &&
+      (typeof temperature !== 'number' || temperature < MIN_TEMPERATURE || temperature > MAX_TEMPERATURE)) {
+    return `Temperature must be a number between ${MIN_TEMPERATURE} and ${MAX_TEMPERATURE}`;
+  }
+
+  if (maxTokens !== undefined &&
+      (!Number.isInteger(maxTokens) || maxTokens < MIN_TOKENS || maxTokens > MAX_TOKENS)) {
+    return `maxTokens must be an integer between ${MIN_TOKENS} and ${MAX_TOKENS}`;
+  }
+
+  if (topP !== undefined &&
+      (typeof topP !== 'number' || topP < MIN_TOP_P || topP > MAX_TOP_P)) {
+    return `topP must be a number between ${MIN_TOP_P} and ${MAX_TOP_P}`;
+  }
+
+  if (stop !== undefined) {
+    const sequences = Array.isArray(stop) ? stop : [stop];
+    if (sequences.length === 0 || sequences.length > MAX_STOP_SEQUENCES ||
+        !sequences.every(sequence => typeof sequence === 'string' && sequence.length > 0)) {
+      return `Stop must be a non-empty string or an array of up to ${MAX_STOP_SEQUENCES} strings`;
+    }
+  }
+
+  if (seed !== undefined && !Number.isInteger(seed)) {
+    return 'Seed must be an integer';
+  }
+
+  return null;
+}
+
+/**
+ * Validate a structured output request ({ type: 'json_object' } or
+ * { type: 'json_schema', schema }), returning an error message or null
+ */
+export function validateResponseFormat(responseFormat) {
+  if (responseFormat === undefined) {
+    return null;
+  }
+
+  if (!['json_object', 'json_schema'].includes(responseFormat?.type)) {
+    return 'responseFormat.type must be "json_object" or "json_schema"';
+  }
+
+  if (responseFormat.type === 'json_schema') {
+    if (!responseFormat.schema || typeof responseFormat.schema !== 'object') {
+      return 'responseFormat.schema must be a JSON Schema object';
+    }
+
+    const limitError = checkSchemaLimits(responseFormat.schema);
+    if (limitError) {
+      return `responseFormat.${limitError}`;
+    }
+
+    try {
+      compileSchema(responseFormat.schema);
+    } catch (error) {
+      return `responseFormat.schema is not a valid JSON Schema: ${error.message}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Send a 400 validation error in the standard error shape
+ */
+/**
+ * Sessions belong to the caller's API key (bearer token). Without one, every
+ * client behind the same address would share them.
+ */
+export const requireApiKey = (req, res, next) => {
+  if (!getApiKeyId(req)) {
+    return sendApiKeyRequired(res);
+  }
+  next();
+};
+
+function sendApiKeyRequired(res) {
+  return res.status(401).json({
+    success: false,
+    error: {
+      message: 'Sessions require an API key: send it as Authorization: Bearer <key>',
+      status: 401
+    }
+  });
+}
+
+function sendValidationError(res, message) {
+  return res.status(400).json({
+    success: false,
+    error: {
+      message,
+      status: 400
+    }
+  });
+}
+
 /**
  * Rate limiter middleware - optimized with in-memory store
  */
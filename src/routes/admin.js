@@ -6,6 +6,15 @@ import express from 'express';
 import { CONFIG } from '../config/config.js';
 import { createResponse } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
+import {
+  listPersonas,
+  getPersona,
+  createPersona,
+  updatePersona,
+  deletePersona,
+  validatePersona
+} from '../services/personaService.js';
+import { getUsageLedger, formatUsageCsv, toUsageDate, USAGE_DATE_PATTERN } from '../services/usageLedger.js';
 
 const router = express.Router();
 
@@ -86,4 +95,101 @@ router.post('/config', (req, res) => {
   }
 });
 
+// Usage and estimated cost per day, provider, model and client.
+// ?from=YYYY-MM-DD&to=YYYY-MM-DD (UTC, inclusive); ?format=csv downloads a CSV file
+router.get('/usage', (req, res) => {
+  const to = req.query.to || toUsageDate();
+  if (!isUsageDate(to) || (req.query.from !== undefined && !isUsageDate(req.query.from))) {
+    return res.status(400).json(createResponse(false, null, { message: 'from and to must be dates in YYYY-MM-DD format' }));
+  }
+
+  const from = req.query.from || toUsageDate(Date.parse(to) - (CONFIG.USAGE.DEFAULT_RANGE_DAYS - 1) * 24 * 60 * 60 * 1000);
+  const format = req.query.format || 'json';
+
+  if (from > to) {
+    return res.status(400).json(createResponse(false, null, { message: 'from must not be after to' }));
+  }
+  if (!['json', 'csv'].includes(format)) {
+    return res.status(400).json(createResponse(false, null, { message: 'format must be json or csv' }));
+  }
+
+  const usage = getUsageLedger().query({ from, to });
+
+  if (format === 'csv') {
+    res.type('text/csv');
+    res.attachment(`usage-${from}-to-${to}.csv`);
+    return res.send(formatUsageCsv(usage.entries));
+  }
+
+  res.json(createResponse(true, usage));
+});
+
+// List personas
+router.get('/personas', (req, res) => {
+  res.json(createResponse(true, { personas: listPersonas() }));
+});
+
+// Get a single persona
+router.get('/personas/:id', (req, res) => {
+  const persona = getPersona(req.params.id);
+  if (!persona) {
+    return res.status(404).json(createResponse(false, null, {
+      message: `Persona ${req.params.id} not found`
+    }));
+  }
+  res.json(createResponse(true, persona));
+});
+
+// Create a persona
+router.post('/personas', (req, res) => {
+  const validationError = validatePersona(req.body);
+  if (validationError) {
+    return res.status(400).json(createResponse(false, null, { message: validationError }));
+  }
+
+  try {
+    res.status(201).json(createResponse(true, createPersona(req.body)));
+  } catch (error) {
+    sendPersonaError(res, error, 'Persona creation failed');
+  }
+});
+
+// Update a persona
+router.put('/personas/:id', (req, res) => {
+  const validationError = validatePersona(req.body, { partial: true });
+  if (validationError) {
+    return res.status(400).json(createResponse(false, null, { message: validationError }));
+  }
+
+  try {
+    res.json(createResponse(true, updatePersona(req.params.id, req.body)));
+  } catch (error) {
+    sendPersonaError(res, error, 'Persona update failed');
+  }
+});
+
+// Delete a persona
+router.delete('/personas/:id', (req, res) => {
+  try {
+    res.json(createResponse(true, deletePersona(req.params.id)));
+  } catch (error) {
+    sendPersonaError(res, error, 'Persona deletion failed');
+  }
+});
+
+// Date.parse accepts days past the end of the month, so check the date round-trips
+function isUsageDate(value) {
+  return typeof value === 'string' && USAGE_DATE_PATTERN.test(value)
+    && !Number.isNaN(Date.parse(value)) && toUsageDate(Date.parse(value)) === value;
+}
+
+function sendPersonaError(res, error, message) {
+  logger.error(message, { error: error.message });
+
+  res.status(error.status || 500).json(createResponse(false, null, {
+    message,
+    details: error.message
+  }));
+}
+
 export default router;
@@ -1,50 +1,90 @@
 import express from 'express';
-import AIServiceManager from '../services/aiServiceManager.js';
+import { getAIServiceManager } from '../services/aiServiceManager.js';
+import { buildChatOptions, runChat, formatChatResult } from '../services/chatService.js';
 import { chatRequestValidator } from '../middleware/index.js';
-import { createResponse } from '../utils/helpers.js';
+import { createResponse, createSSEWriter, createDisconnectSignal, getClientId } from '../utils/helpers.js';
 import { logger } from '../utils/logger.js';
+import sessionRoutes from './sessions.js';
+import jobRoutes from './jobs.js';
 
 const router = express.Router();
-const aiManager = new AIServiceManager();
+const aiManager = getAIServiceManager();
+
+router.use('/sessions', sessionRoutes);
+router.use('/jobs', jobRoutes);
 
 router.post('/chat', chatRequestValidator, async (req, res) => {
-  const { message, hybridMode = true } = req.body;
+  const { message, sessionId, stream = false } = req.body;
   const startTime = Date.now();
 
+  let options;
   try {
-    const result = await aiManager.generateResponse(message, { hybridMode });
+    options = buildChatOptions(req.body);
+  } catch (error) {
+    return res.status(error.status || 400).json(createResponse(false, null, error.message));
+  }
+
+  // Stop provider calls once nobody is waiting for the answer
+  options.signal = createDisconnectSignal(res);
+  options.clientId = getClientId(req);
+
+  if (stream) {
+    return streamChat(res, message, options, sessionId, startTime);
+  }
+
+  try {
+    const result = await runChat(message, options, sessionId);
     const duration = Date.now() - startTime;
 
     res.json(createResponse(true, {
       response: result.response,
-      provider: result.provider,
-      model: result.model,
-      fallbackUsed: result.fallbackUsed,
-      totalAttempts: result.totalAttempts,
-      responseTime: duration,
-      settings: { noTimeoutRestrictions: true, noTokenLimits: true, allowCompleteResponse: true },
-      ...(result.webData && { webData: result.webData }),
-      metadata: result.metadata || {}
+      ...formatChatResult(result, duration, sessionId)
     }));
 
   } catch (error) {
     const duration = Date.now() - startTime;
     logger.error('Chat failed', { error: error.message, duration: `${duration}ms` });
-    res.status(500).json(createResponse(false, null, error.message));
+    res.status(error.status || 500).json(createResponse(false, null, error.message));
   }
 });
 
+/**
+ * Stream a chat response as Server-Sent Events: `token` events carry content
+ * deltas and a final `done` event carries provider, usage and hybrid metadata
+ */
+async function streamChat(res, message, options, sessionId, startTime) {
+  const sse = createSSEWriter(res);
+
+  try {
+    const result = await runChat(message, {
+      ...options,
+      onToken: (content) => sse.send({ content }, 'token')
+    }, sessionId);
+
+    sse.send(formatChatResult(result, Date.now() - startTime, sessionId), 'done');
+  } catch (error) {
+    const duration = Date.now() - startTime;
+    logger.error('Chat stream failed', { error: error.message, duration: `${duration}ms` });
+    sse.send({ message: error.message, status: error.status || 500 }, 'error');
+  }
+
+  sse.end();
+}
+
 router.get('/status', async (req, res) => {
   try {
-    const services = aiManager.getAvailableServices();
+    const providers = aiManager.getProviderHealth();
     const webServiceAvailable = aiManager.hybridService ? 
       await aiManager.hybridService.webService.isAvailable() : false;
 
+    const healthyCount = providers.filter(p => p.available).length;
+    const status = healthyCount === providers.length ? 'operational' : healthyCount > 0 ? 'degraded' : 'unavailable';
+
     res.json(createResponse(true, {
-      status: 'operational',
+      status,
       timestamp: new Date().toISOString(),
       services: {
-        ai: { available: services.length > 0, providers: services.map(s => ({ name: s.name, available: true })) },
+        ai: { available: providers.some(p => p.available), providers },
         webSearch: { available: webServiceAvailable, status: webServiceAvailable ? 'online' : 'offline' }
       },
       features: { hybridMode: true, intelligentDecisions: true, webSearch: webServiceAvailable }
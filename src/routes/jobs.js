@@ -0,0 +1,61 @@
+import express from 'express';
+import { getJobQueue, formatJob, checkCallbackUrl, JOB_ID_PATTERN } from '../services/jobQueue.js';
+import { buildChatOptions } from '../services/chatService.js';
+import { chatRequestValidator } from '../middleware/index.js';
+import { createResponse, getClientId } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+const jobQueue = getJobQueue();
+
+router.post('/', chatRequestValidator, async (req, res) => {
+  const { callbackUrl, stream, ...request } = req.body;
+
+  if (stream) {
+    return res.status(400).json(createResponse(false, null, 'Streaming is not supported for jobs'));
+  }
+
+  if (callbackUrl !== undefined) {
+    const urlError = typeof callbackUrl === 'string'
+      ? await checkCallbackUrl(callbackUrl)
+      : 'callbackUrl must be an http or https URL';
+    if (urlError) {
+      return res.status(400).json(createResponse(false, null, urlError));
+    }
+  }
+
+  // Reject bad providers and personas now rather than when the job runs
+  try {
+    buildChatOptions(request);
+  } catch (error) {
+    return res.status(error.status || 400).json(createResponse(false, null, error.message));
+  }
+
+  try {
+    const job = await jobQueue.enqueue(request, callbackUrl || null, getClientId(req));
+
+    res.status(202).json(createResponse(true, {
+      ...formatJob(job),
+      statusUrl: `/api/jobs/${job.id}`
+    }));
+  } catch (error) {
+    logger.error('Job enqueue failed', { error: error.message });
+    res.status(500).json(createResponse(false, null, 'Unable to queue job'));
+  }
+});
+
+router.get('/:id', (req, res) => {
+  if (!JOB_ID_PATTERN.test(req.params.id)) {
+    return res.status(400).json(createResponse(false, null, 'Invalid job id'));
+  }
+
+  // Each client only sees the jobs it queued
+  const job = jobQueue.get(req.params.id);
+  if (!job || job.clientId !== getClientId(req)) {
+    return res.status(404).json(createResponse(false, null, `Job ${req.params.id} not found`));
+  }
+
+  res.json(createResponse(true, formatJob(job)));
+});
+
+export default router;
@@ -0,0 +1,440 @@
+/**
+ * OpenAI-compatible facade - lets existing OpenAI SDK clients talk to JARVIS
+ * Routes /v1/chat/completions through the same priority/fallback and hybrid
+ * web search path as /api/chat and returns OpenAI-shaped responses
+ */
+
+import express from 'express';
+import { getAIServiceManager } from '../services/aiServiceManager.js';
+import { getProviderModels } from '../services/priorityService.js';
+import { validateGenerationParams, validateToolOptions, validateResponseFormat, validateRoutingOptions, validateModeOptions } from '../middleware/index.js';
+import { createSSEWriter, createDisconnectSignal, getClientId, generateRequestId, sanitizeInput } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+const aiManager = getAIServiceManager();
+
+// Model id that selects normal priority routing
+const AUTO_MODEL = 'jarvis-auto';
+
+const MODELS_CREATED = Math.floor(Date.now() / 1000);
+
+router.get('/models', async (req, res) => {
+  res.json({ object: 'list', data: await listModels() });
+});
+
+router.get('/models/:model(*)', async (req, res) => {
+  const model = (await listModels()).find(m => m.id === req.params.model);
+  if (!model) {
+    return sendError(res, 404, `The model '${req.params.model}' does not exist`, 'model', 'model_not_found');
+  }
+  res.json(model);
+});
+
+router.post('/chat/completions', async (req, res) => {
+  const body = req.body || {};
+
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    return sendError(res, 400, "'messages' must be a non-empty array", 'messages');
+  }
+
+  const route = resolveModel(body.model, aiManager.getAvailableServices());
+  if (!route) {
+    return sendError(res, 404, `The model '${body.model}' does not exist`, 'model', 'model_not_found');
+  }
+
+  if (body.private_mode !== undefined && typeof body.private_mode !== 'boolean') {
+    return sendError(res, 400, 'private_mode must be a boolean', 'private_mode');
+  }
+
+  if (body.private_mode && route.provider) {
+    try {
+      aiManager.assertProviderAvailable(route.provider, { privateMode: true });
+    } catch (error) {
+      return sendError(res, error.status, error.message, 'model');
+    }
+  }
+
+  const params = {
+    temperature: body.temperature ?? undefined,
+    maxTokens: body.max_completion_tokens ?? body.max_tokens ?? undefined,
+    topP: body.top_p ?? undefined,
+    stop: body.stop ?? undefined,
+    seed: body.seed ?? undefined
+  };
+
+  const paramsError = validateGenerationParams(params);
+  if (paramsError) {
+    return sendError(res, 400, paramsError);
+  }
+
+  const toolOptions = {
+    tools: body.tools ?? undefined,
+    toolChoice: body.tool_choice ?? undefined,
+    serverTools: body.server_tools ?? undefined
+  };
+
+  const toolsError = validateToolOptions(toolOptions);
+  if (toolsError) {
+    return sendError(res, 400, toolsError, 'tools');
+  }
+
+  const routing = {
+    strategy: body.strategy ?? undefined,
+    raceSize: body.race_size ?? undefined,
+    hedgeDelay: body.hedge_delay ?? undefined,
+    timeout: body.timeout ?? undefined,
+    quality: body.quality ?? undefined
+  };
+
+  const routingError = validateRoutingOptions(routing);
+  if (routingError) {
+    return sendError(res, 400, routingError);
+  }
+
+  const responseFormat = toResponseFormat(body.response_format);
+  const formatError = validateResponseFormat(responseFormat);
+  if (formatError) {
+    return sendError(res, 400, formatError, 'response_format');
+  }
+
+  const ensemble = {
+    mode: body.mode ?? undefined,
+    ensembleSize: body.ensemble_size ?? undefined,
+    judge: body.judge ?? undefined
+  };
+
+  const modeError = validateModeOptions({ ...ensemble, ...routing, ...toolOptions, responseFormat });
+  if (modeError) {
+    return sendError(res, 400, modeError, 'mode');
+  }
+
+  if (ensemble.judge) {
+    try {
+      aiManager.assertProviderAvailable(ensemble.judge, { privateMode: body.private_mode === true });
+    } catch (error) {
+      return sendError(res, error.status, error.message, 'judge');
+    }
+  }
+
+  let conversation;
+  try {
+    conversation = normalizeMessages(body.messages);
+  } catch (error) {
+    return sendError(res, 400, error.message, 'messages');
+  }
+
+  const options = {
+    ...route,
+    ...routing,
+    ...ensemble,
+    hybridMode: body.hybrid_mode !== false,
+    privateMode: body.private_mode === true,
+    history: conversation.history,
+    toolTurns: conversation.toolTurns,
+    ...params,
+    ...toolOptions,
+    responseFormat,
+    signal: createDisconnectSignal(res),
+    clientId: getClientId(req)
+  };
+
+  const completion = {
+    id: `chatcmpl-${generateRequestId()}`,
+    created: Math.floor(Date.now() / 1000),
+    requestedModel: body.model || AUTO_MODEL
+  };
+
+  if (body.stream === true) {
+    return streamCompletion(res, conversation.message, options, completion, body.stream_options);
+  }
+
+  try {
+    const result = await aiManager.generateResponse(conversation.message, options);
+
+    res.json({
+      id: completion.id,
+      object: 'chat.completion',
+      created: completion.created,
+      model: result.model,
+      choices: [{
+        index: 0,
+        message: formatAssistantMessage(result),
+        finish_reason: result.metadata?.finishReason || 'stop'
+      }],
+      usage: formatUsage(result.metadata?.usage),
+      jarvis: formatJarvisMetadata(result)
+    });
+  } catch (error) {
+    logger.error('Chat completion failed', { error: error.message });
+    sendError(res, error.status || 500, error.message);
+  }
+});
+
+/**
+ * Stream a completion as OpenAI `chat.completion.chunk` events ending in [DONE].
+ * Every chunk names the model that produced the first token, as the
+ * non-streaming response names the model that answered.
+ */
+async function streamCompletion(res, message, options, completion, streamOptions = {}) {
+  const sse = createSSEWriter(res);
+  let model = null;
+  const chunk = (delta, finishReason = null) => ({
+    id: completion.id,
+    object: 'chat.completion.chunk',
+    created: completion.created,
+    model,
+    choices: [{ index: 0, delta, finish_reason: finishReason }]
+  });
+
+  let firstToken = true;
+
+  try {
+    const result = await aiManager.generateResponse(message, {
+      ...options,
+      onToken: (content, source) => {
+        model = model || source?.model || completion.requestedModel;
+        sse.send(chunk(firstToken ? { role: 'assistant', content } : { content }));
+        firstToken = false;
+      }
+    });
+    model = model || result.model;
+
+    // Tool calls are not streamed incrementally; send them whole in one delta
+    if (result.toolCalls) {
+      sse.send(chunk({
+        ...(firstToken && { role: 'assistant' }),
+        tool_calls: result.toolCalls.map((call, index) => ({ index, ...call }))
+      }));
+    }
+
+    sse.send({
+      ...chunk({}, result.metadata?.finishReason || 'stop'),
+      jarvis: formatJarvisMetadata(result)
+    });
+
+    if (streamOptions?.include_usage) {
+      sse.send({
+        id: completion.id,
+        object: 'chat.completion.chunk',
+        created: completion.created,
+        model,
+        choices: [],
+        usage: formatUsage(result.metadata?.usage)
+      });
+    }
+  } catch (error) {
+    logger.error('Chat completion stream failed', { error: error.message });
+    sse.send({ error: formatError(error.status || 500, error.message) });
+  }
+
+  sse.send('[DONE]');
+  sse.end();
+}
+
+/**
+ * Map an OpenAI model id onto routing options.
+ * Accepts `jarvis-auto`, a provider id, a configured model name or
+ * `<provider>/<model>`; returns null when the model is unknown.
+ */
+function resolveModel(requested, services) {
+  if (!requested || requested === AUTO_MODEL) {
+    return {};
+  }
+
+  const providerIds = services.map(service => service.id);
+  if (providerIds.includes(requested)) {
+    return { provider: requested };
+  }
+
+  const configured = services.find(service =>
+    getProviderModels(service.id).some(model => model.id === requested)
+  );
+  if (configured) {
+    return { provider: configured.id, model: requested };
+  }
+
+  const separator = requested.indexOf('/');
+  const prefix = requested.slice(0, separator);
+  if (separator > 0 && providerIds.includes(prefix)) {
+    return { provider: prefix, model: requested.slice(separator + 1) };
+  }
+
+  return null;
+}
+
+async function listModels() {
+  const services = aiManager.getAvailableServices();
+  const model = (id, ownedBy) => ({ id, object: 'model', created: MODELS_CREATED, owned_by: ownedBy });
+
+  // Providers that can list their models (the local server) expose each one as <provider>/<model>
+  const listed = await Promise.all(services.map(async (service) => {
+    const instance = await aiManager.getService(service.id);
+    if (!instance.listModels) return [];
+
+    const models = await instance.listModels().catch(() => []);
+    return models.map(id => model(`${service.id}/${id}`, service.id));
+  }));
+
+  return [
+    model(AUTO_MODEL, 'jarvis'),
+    ...services.map(service => model(service.id, service.id)),
+    ...services.flatMap(service => getProviderModels(service.id).map(entry => model(entry.id, service.id))),
+    ...listed.flat()
+  ];
+}
+
+/**
+ * Convert OpenAI messages into the last user message, the turns before it and
+ * the tool calls/results after it.
+ * System/developer messages are merged into a single leading system turn.
+ */
+function normalizeMessages(messages) {
+  const systemParts = [];
+  const turns = [];
+
+  messages.forEach((turn, index) => {
+    const content = extractText(turn?.content, index);
+    const role = turn?.role === 'developer' ? 'system' : turn?.role;
+
+    if (!['system', 'user', 'assistant', 'tool'].includes(role)) {
+      throw new Error(`messages[${index}].role '${turn?.role}' is not supported`);
+    }
+
+    if (role === 'tool') {
+      if (typeof turn.tool_call_id !== 'string' || !turn.tool_call_id) {
+        throw new Error(`messages[${index}].tool_call_id is required for tool messages`);
+      }
+      turns.push({ role, tool_call_id: turn.tool_call_id, content: sanitizeInput(content) });
+      return;
+    }
+
+    if (role === 'assistant' && Array.isArray(turn.tool_calls) && turn.tool_calls.length > 0) {
+      turns.push({
+        role,
+        content: content ? sanitizeInput(content) : null,
+        tool_calls: turn.tool_calls.map(({ id, function: fn }) => ({
+          id,
+          type: 'function',
+          function: { name: fn?.name, arguments: fn?.arguments ?? '{}' }
+        }))
+      });
+      return;
+    }
+
+    if (!content) {
+      throw new Error(`messages[${index}].content must be a non-empty string`);
+    }
+
+    if (role === 'system') {
+      systemParts.push(content);
+    } else {
+      turns.push({ role, content: sanitizeInput(content) });
+    }
+  });
+
+  const lastUserIndex = turns.map(turn => turn.role).lastIndexOf('user');
+  const toolTurns = turns.slice(lastUserIndex + 1);
+  if (lastUserIndex === -1 || toolTurns.some(turn => turn.role === 'assistant' && !turn.tool_calls)) {
+    throw new Error("The last message must have role 'user', or be followed only by tool calls and their results");
+  }
+
+  const priorTurns = turns.slice(0, lastUserIndex);
+  const history = systemParts.length > 0
+    ? [{ role: 'system', content: systemParts.join('\n\n') }, ...priorTurns]
+    : priorTurns;
+
+  return { message: turns[lastUserIndex].content, history, toolTurns };
+}
+
+/**
+ * Map OpenAI `response_format` onto the internal responseFormat option;
+ * `{ type: 'text' }` means no structured output
+ */
+function toResponseFormat(format) {
+  if (!format || format.type === 'text') {
+    return undefined;
+  }
+
+  if (format.type === 'json_schema') {
+    return { type: 'json_schema', schema: format.json_schema?.schema, name: format.json_schema?.name };
+  }
+
+  return format;
+}
+
+function formatAssistantMessage(result) {
+  if (!result.toolCalls) {
+    return { role: 'assistant', content: result.response };
+  }
+
+  return { role: 'assistant', content: result.response || null, tool_calls: result.toolCalls };
+}
+
+/**
+ * OpenAI content may be a string or an array of typed parts.
+ * Only text parts are accepted: no provider is sent images or audio.
+ */
+function extractText(content, index) {
+  if (typeof content === 'string') {
+    return content.trim();
+  }
+
+  if (Array.isArray(content)) {
+    const unsupported = content.find(part => part?.type !== 'text');
+    if (unsupported) {
+      throw new Error(`messages[${index}].content part type '${unsupported?.type}' is not supported; only text is accepted`);
+    }
+
+    return content
+      .filter(part => typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n')
+      .trim();
+  }
+
+  return '';
+}
+
+function formatUsage(usage = {}) {
+  return {
+    prompt_tokens: usage.promptTokens || 0,
+    completion_tokens: usage.completionTokens || 0,
+    total_tokens: usage.totalTokens || 0
+  };
+}
+
+/**
+ * JARVIS-specific routing details; OpenAI clients ignore unknown fields
+ */
+function formatJarvisMetadata(result) {
+  return {
+    provider: result.provider,
+    fallbackUsed: result.fallbackUsed,
+    totalAttempts: result.totalAttempts,
+    webSearchUsed: result.metadata?.webSearchUsed || false,
+    cost: result.metadata?.cost ?? null,
+    continuations: result.metadata?.continuations || 0,
+    ...(result.metadata?.routing && { routing: result.metadata.routing }),
+    ...(result.metadata?.mode === 'ensemble' && {
+      agreement: result.metadata.agreement,
+      candidates: result.metadata.candidates
+    }),
+    ...(result.metadata?.race && { race: result.metadata.race })
+  };
+}
+
+function formatError(status, message, param = null, code = null) {
+  let type = 'api_error';
+  if (status === 400 || status === 404) type = 'invalid_request_error';
+  if (status === 401) type = 'authentication_error';
+  if (status === 429) type = 'rate_limit_error';
+
+  return { message, type, param, code };
+}
+
+function sendError(res, status, message, param = null, code = null) {
+  res.status(status).json({ error: formatError(status, message, param, code) });
+}
+
+export default router;
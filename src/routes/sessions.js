@@ -0,0 +1,67 @@
+import express from 'express';
+import { getConversationStore, SESSION_ID_PATTERN } from '../services/conversationStore.js';
+import { CONFIG } from '../config/config.js';
+import { requireApiKey } from '../middleware/index.js';
+import { createResponse, getClientId } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const router = express.Router();
+
+// Each client only sees the sessions it created with its API key
+router.use(requireApiKey);
+
+router.get('/', async (req, res) => {
+  const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE } = CONFIG.CONVERSATIONS;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+  try {
+    const { sessions, total } = await getConversationStore().listSessions({ owner: getClientId(req), limit, offset });
+
+    res.json(createResponse(true, {
+      sessions,
+      pagination: { limit, offset, total, hasMore: offset + sessions.length < total }
+    }));
+  } catch (error) {
+    logger.error('Session list failed', { error: error.message });
+    res.status(500).json(createResponse(false, null, 'Unable to list sessions'));
+  }
+});
+
+router.get('/:id', async (req, res) => {
+  if (!SESSION_ID_PATTERN.test(req.params.id)) {
+    return res.status(400).json(createResponse(false, null, 'Invalid session id'));
+  }
+
+  try {
+    const session = await getConversationStore().getSession(req.params.id, getClientId(req));
+    if (!session) {
+      return res.status(404).json(createResponse(false, null, `Session ${req.params.id} not found`));
+    }
+
+    res.json(createResponse(true, session));
+  } catch (error) {
+    logger.error('Session lookup failed', { error: error.message, sessionId: req.params.id });
+    res.status(500).json(createResponse(false, null, 'Unable to load session'));
+  }
+});
+
+router.delete('/:id', async (req, res) => {
+  if (!SESSION_ID_PATTERN.test(req.params.id)) {
+    return res.status(400).json(createResponse(false, null, 'Invalid session id'));
+  }
+
+  try {
+    const deleted = await getConversationStore().deleteSession(req.params.id, getClientId(req));
+    if (!deleted) {
+      return res.status(404).json(createResponse(false, null, `Session ${req.params.id} not found`));
+    }
+
+    res.json(createResponse(true, { id: req.params.id, deleted: true }));
+  } catch (error) {
+    logger.error('Session delete failed', { error: error.message, sessionId: req.params.id });
+    res.status(500).json(createResponse(false, null, 'Unable to delete session'));
+  }
+});
+
+export default router;
@@ -4,9 +4,15 @@
  */
 
 import { CONFIG } from '../config/config.js';
-import { ServiceError, validateApiKey, retryWithBackoff } from '../utils/helpers.js';
+import { ServiceError, validateApiKey, retryWithBackoff, estimateTokens } from '../utils/helpers.js';
+import { classifyError, ERROR_CLASSES, ERROR_POLICIES } from '../utils/providerErrors.js';
+import { normalizeFinishReason } from '../utils/completionChecks.js';
 import { logger } from '../utils/logger.js';
-import { getProviderModel, reloadPriorityConfig } from './priorityService.js';
+import { getProviderModels, getProviderCapabilities } from './priorityService.js';
+import { findUnmetRequirement } from './capabilityRegistry.js';
+
+// Errors that move on to the provider's next model
+const MODEL_FALLBACK_CLASSES = [ERROR_CLASSES.MODEL_NOT_FOUND, ERROR_CLASSES.CONTEXT_LENGTH, ERROR_CLASSES.OVERLOAD];
 
 export class BaseAIService {
     constructor(providerConfig) {
@@ -14,7 +20,8 @@ export class BaseAIService {
         this.apiKey = process.env[providerConfig.envKey];
         this.isInitialized = false;
         this.client = null;
-        this.currentModel = null;
+        // Model id -> time until which it is skipped after being reported missing
+        this.suspendedModels = new Map();
         
         // Only validate in constructor, don't initialize client yet
         this.validateApiKey();
@@ -63,23 +70,54 @@ export class BaseAIService {
     }
 
     getCurrentModel() {
-        try {
-            // Use cached model if available
-            if (this.currentModel) {
-                return this.currentModel;
-            }
-            
-            // Only reload in development or when forced
-            if (process.env.NODE_ENV !== 'production') {
-                reloadPriorityConfig();
+        return this.getModelCandidates()[0].id;
+    }
+
+    /**
+     * Models to try for a request, in order: a requested model first, then the
+     * provider's `models` list from priority.json. Models recently reported
+     * missing go last, so they are only retried when nothing else is left.
+     * A requested model with fallback disabled is the only candidate.
+     */
+    getModelCandidates(requestedModel, fallback = true) {
+        const models = getProviderModels(this.config.id);
+        const now = Date.now();
+        const isSuspended = model => (this.suspendedModels.get(model.id) || 0) > now;
+        const ordered = [...models.filter(model => !isSuspended(model)), ...models.filter(isSuspended)];
+
+        if (!requestedModel) {
+            return ordered;
+        }
+
+        const requested = models.find(model => model.id === requestedModel) || { id: requestedModel };
+        if (fallback === false) {
+            return [requested];
+        }
+        return [requested, ...ordered.filter(model => model.id !== requestedModel)];
+    }
+
+    /**
+     * Fit request options to a model's limits from priority.json: maxOutputTokens
+     * caps the reply and contextLength must hold the prompt plus the reply.
+     * Returns null when the prompt alone does not fit.
+     */
+    applyModelLimits(requestOptions, model) {
+        let { maxTokens } = requestOptions;
+
+        if (model.maxOutputTokens) {
+            maxTokens = maxTokens == null ? model.maxOutputTokens : Math.min(maxTokens, model.maxOutputTokens);
+        }
+
+        if (model.contextLength) {
+            const promptTokens = estimateTokens(requestOptions.messages.map(turn => turn.content || '').join('\n'));
+            const room = model.contextLength - promptTokens;
+            if (room <= 0) {
+                return null;
             }
-            
-            this.currentModel = getProviderModel(this.config.id);
-            return this.currentModel;
-        } catch (error) {
-            logger.warn(`Failed to get model for ${this.config.id}:`, error.message);
-            throw error;
+            maxTokens = maxTokens == null ? maxTokens : Math.min(maxTokens, room);
         }
+
+        return { ...requestOptions, model: model.id, maxTokens };
     }
 
     async initialize() {
@@ -111,29 +149,122 @@ export class BaseAIService {
 
         const {
             temperature = CONFIG.AI.DEFAULT_TEMPERATURE,
-            maxTokens = CONFIG.AI.DEFAULT_MAX_TOKENS
+            maxTokens = CONFIG.AI.DEFAULT_MAX_TOKENS,
+            topP,
+            stop,
+            seed,
+            tools,
+            toolChoice,
+            responseFormat
         } = options;
 
         const requestOptions = {
             message: message.trim(),
+            messages: this.buildMessages(message, options),
             temperature,
             maxTokens,
-            model: this.getCurrentModel()
+            topP,
+            stop,
+            seed,
+            tools: tools?.length ? tools : undefined,
+            toolChoice: tools?.length ? toolChoice : undefined,
+            responseFormat: this.buildResponseFormat(responseFormat),
+            // Aborts the in-flight provider request, e.g. when a raced request loses
+            signal: options.signal,
+            // The manager's limiter lease; each call sent goes through it
+            lease: options.lease
         };
 
+        // Try each model in turn; a missing, overloaded or too-small model moves
+        // on to the next one, anything else fails the provider
+        const failedModels = [];
+        let lastError = null;
+        const capabilities = getProviderCapabilities(this.config.id);
+
+        for (const model of this.getModelCandidates(options.model, options.fallback)) {
+            // Skip models whose declared capabilities cannot cover the request
+            // (options.requirements from the manager); unlisted models use the provider's
+            const unmet = options.requirements && findUnmetRequirement(
+                capabilities.models.find(entry => entry.id === model.id) || capabilities,
+                options.requirements
+            );
+            if (unmet) {
+                const errorClass = unmet.capability === 'contextLength' ? ERROR_CLASSES.CONTEXT_LENGTH : ERROR_CLASSES.BAD_REQUEST;
+                lastError = new ServiceError(`${model.id} on ${this.config.name} ${unmet.reason}`, this.config.id, ERROR_POLICIES[errorClass].status, {
+                    errorClass
+                });
+                failedModels.push({ model: model.id, errorClass, error: lastError.message });
+                continue;
+            }
+
+            const modelOptions = this.applyModelLimits(requestOptions, model);
+            if (!modelOptions) {
+                lastError = new ServiceError(`Prompt is too long for ${model.id} on ${this.config.name}`, this.config.id, 413, {
+                    errorClass: ERROR_CLASSES.CONTEXT_LENGTH
+                });
+                failedModels.push({ model: model.id, errorClass: ERROR_CLASSES.CONTEXT_LENGTH, error: lastError.message });
+                continue;
+            }
+
+            // Tokens go out with the provider and model that produced them
+            let streamStarted = false;
+            const onToken = options.onToken && ((token) => {
+                streamStarted = true;
+                options.onToken(token, { provider: this.config.id, model: model.id });
+            });
+
+            try {
+                const result = await this.requestModel(modelOptions, onToken);
+                if (failedModels.length > 0) {
+                    result.metadata.failedModels = failedModels;
+                }
+                return result;
+            } catch (error) {
+                if (streamStarted || !MODEL_FALLBACK_CLASSES.includes(error.errorClass)) {
+                    throw error;
+                }
+
+                lastError = error;
+                failedModels.push({ model: model.id, errorClass: error.errorClass, error: error.message });
+
+                if (error.errorClass === ERROR_CLASSES.MODEL_NOT_FOUND) {
+                    this.suspendedModels.set(model.id, Date.now() + CONFIG.AI.MODEL_RETRY_AFTER);
+                }
+
+                logger.warn(`${this.config.name} model ${model.id} failed, trying next model`, {
+                    errorClass: error.errorClass,
+                    error: error.message
+                });
+            }
+        }
+
+        throw lastError;
+    }
+
+    /**
+     * Send the request to one model and shape the result
+     */
+    async requestModel(requestOptions, onToken) {
+        const { temperature, maxTokens } = requestOptions;
+
         if (process.env.NODE_ENV !== 'production') {
             logger.info(`Generating response with ${this.config.name}`, {
                 model: requestOptions.model,
                 temperature,
                 maxTokens,
-                messageLength: message.length
+                messageLength: requestOptions.message.length,
+                turns: requestOptions.messages.length
             });
         }
 
         try {
             // Use fewer retries in production for faster response
             const maxRetries = process.env.NODE_ENV === 'production' ? 1 : 2;
-            const result = await retryWithBackoff(() => this.makeRequest(requestOptions), maxRetries, 1000);
+            const send = async () => {
+                await this.admitCall(requestOptions);
+                return this.sendRequest(requestOptions, onToken);
+            };
+            const result = onToken ? await send() : await retryWithBackoff(send, maxRetries, 1000);
             const duration = result.duration || 0;
 
             if (process.env.NODE_ENV !== 'production') {
@@ -145,12 +276,16 @@ export class BaseAIService {
 
             return {
                 success: true,
-                response: result.content,
+                response: result.content || '',
                 provider: this.config.name,
+                providerId: this.config.id,
                 model: requestOptions.model,
+                ...(result.toolCalls && { toolCalls: result.toolCalls }),
+                ...(result.refusal && { refusal: result.refusal }),
                 metadata: {
                     responseTime: duration,
                     usage: result.usage || {},
+                    finishReason: normalizeFinishReason(result.finishReason),
                     temperature,
                     maxTokens
                 }
@@ -161,59 +296,266 @@ export class BaseAIService {
         }
     }
 
+    /**
+     * Count a call against the provider's limits through the manager's lease.
+     * A call that does not fit fails as rate limited without reaching the
+     * provider; `limited` tells the circuit breaker it was never sent.
+     */
+    async admitCall(requestOptions) {
+        const { lease, signal } = requestOptions;
+        if (!lease || await lease.admit({ maxWait: CONFIG.PROVIDER_LIMITS.MAX_QUEUE_WAIT, signal })) {
+            return;
+        }
+
+        const error = new ServiceError(`${this.config.name} is at its request limit`, this.config.id, 429, {
+            errorClass: ERROR_CLASSES.RATE_LIMIT
+        });
+        error.limited = true;
+        throw error;
+    }
+
+    /**
+     * Translate generation parameters into the provider's wire names using
+     * the `parameters` map from the provider config. Unset parameters and
+     * parameters the provider does not support are dropped.
+     */
+    buildGenerationParams(options) {
+        const params = {};
+
+        for (const [name, wireName] of Object.entries(this.config.parameters || {})) {
+            const value = options[name];
+            if (!wireName || value === undefined || value === null) continue;
+            params[wireName] = value;
+        }
+
+        return params;
+    }
+
+    /**
+     * Translate a requested response format into what the provider supports
+     * (config.structuredOutput). Providers without JSON Schema support fall back
+     * to JSON mode; the schema is still enforced by validating the output.
+     */
+    buildResponseFormat(responseFormat) {
+        if (!responseFormat || !this.config.structuredOutput) {
+            return undefined;
+        }
+
+        if (responseFormat.type === 'json_schema' && this.config.structuredOutput === 'json_schema') {
+            return {
+                type: 'json_schema',
+                json_schema: {
+                    name: responseFormat.name || 'response',
+                    schema: responseFormat.schema
+                }
+            };
+        }
+
+        return { type: 'json_object' };
+    }
+
+    /**
+     * Build the chat message list sent to the provider: system prompt,
+     * prior conversation turns, the current user message, then any tool
+     * calls and tool results that followed it.
+     * A system turn supplied in the history replaces the (persona) system prompt.
+     */
+    buildMessages(message, { history = [], systemPrompt, toolTurns = [] } = {}) {
+        const hasSystemTurn = history.some(turn => turn.role === 'system');
+        const messages = hasSystemTurn
+            ? [...history]
+            : [{ role: 'system', content: systemPrompt || CONFIG.AI.SYSTEM_PROMPT }, ...history];
+
+        messages.push({ role: 'user', content: message.trim() }, ...toolTurns);
+        return messages;
+    }
+
+    /**
+     * Normalize provider tool calls to the OpenAI shape. Some backends omit
+     * call ids or return arguments as an object instead of a JSON string.
+     */
+    normalizeToolCalls(toolCalls) {
+        if (!Array.isArray(toolCalls) || toolCalls.length === 0) {
+            return undefined;
+        }
+
+        return toolCalls.map((call, index) => {
+            const args = call.function?.arguments;
+
+            return {
+                id: call.id || `call_${Date.now().toString(36)}_${index}`,
+                type: 'function',
+                function: {
+                    name: call.function?.name,
+                    arguments: typeof args === 'string' ? args : JSON.stringify(args || {})
+                }
+            };
+        });
+    }
+
     async makeRequest(options) {
         throw new Error('makeRequest method must be implemented by subclass');
     }
 
+    /**
+     * Make one provider call under the provider timeout (config.timeout).
+     * A stream only needs its first token within the timeout; after that the
+     * overall request deadline applies. A call cut off by the timeout fails
+     * with a 408 so the next model or provider is tried.
+     */
+    async sendRequest(requestOptions, onToken = null) {
+        const { timeout } = this.config;
+        const controller = new AbortController();
+        const timer = timeout ? setTimeout(() => controller.abort(), timeout) : null;
+        const signal = requestOptions.signal
+            ? AbortSignal.any([requestOptions.signal, controller.signal])
+            : controller.signal;
+        const timedOptions = { ...requestOptions, signal };
+
+        try {
+            if (!onToken) {
+                return await this.makeRequest(timedOptions);
+            }
+
+            return await this.streamRequest(timedOptions, (token) => {
+                clearTimeout(timer);
+                onToken(token);
+            });
+        } catch (error) {
+            if (controller.signal.aborted && !requestOptions.signal?.aborted) {
+                throw new ServiceError(`Request timeout for ${this.config.name} after ${timeout}ms`, this.config.id, 408, {
+                    errorClass: ERROR_CLASSES.TIMEOUT
+                });
+            }
+            throw error;
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Streaming requests are not retried: once a token has reached the
+     * client the request cannot be replayed transparently.
+     */
+    async streamRequest(requestOptions, onToken) {
+        const startTime = Date.now();
+        const result = await this.makeStreamRequest(requestOptions, onToken);
+        return { ...result, duration: Date.now() - startTime };
+    }
+
+    /**
+     * Stream a response, calling onToken for each content delta.
+     * Providers without a streaming implementation emit the full response once.
+     */
+    async makeStreamRequest(options, onToken) {
+        const result = await this.makeRequest(options);
+        if (result.content) {
+            onToken(result.content);
+        }
+        return result;
+    }
+
+    /**
+     * Consume OpenAI-format completion chunks, forwarding content deltas
+     * and collecting the full text and token usage
+     */
+    async collectStream(chunks, onToken) {
+        let content = '';
+        let refusal = '';
+        let usage = null;
+        let finishReason = null;
+
+        for await (const chunk of chunks) {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                content += delta;
+                onToken(delta);
+            }
+
+            // A refusal arrives in its own delta field rather than as content
+            refusal += chunk.choices?.[0]?.delta?.refusal || '';
+
+            if (chunk.choices?.[0]?.finish_reason) {
+                finishReason = chunk.choices[0].finish_reason;
+            }
+
+            // Groq reports usage in x_groq on the final chunk
+            const chunkUsage = chunk.usage || chunk.x_groq?.usage;
+            if (chunkUsage) {
+                usage = chunkUsage;
+            }
+        }
+
+        return {
+            content,
+            refusal: refusal || undefined,
+            finishReason,
+            usage: {
+                promptTokens: usage?.prompt_tokens || 0,
+                completionTokens: usage?.completion_tokens || 0,
+                totalTokens: usage?.total_tokens || 0
+            }
+        };
+    }
+
+    /**
+     * Standardize a provider failure as a ServiceError carrying its error
+     * class, policy status and any Retry-After delay
+     */
     handleError(error) {
+        // Already standardized, e.g. by makeRequest before generateResponse sees it
+        if (error instanceof ServiceError) {
+            throw error;
+        }
+
+        const { errorClass, status, retryAfter } = classifyError(error);
+        const details = { errorClass, retryAfter };
+
+        // Cancelled by us rather than failed by the provider
+        if (errorClass === ERROR_CLASSES.CANCELLED) {
+            throw new ServiceError(`${this.config.name} request was cancelled`, this.config.id, status, details);
+        }
+
         // Only log detailed errors in development
         if (process.env.NODE_ENV !== 'production') {
             logger.error(`${this.config.name} request failed`, {
                 error: error.message,
+                errorClass,
                 provider: this.config.name
             });
         } else {
             // Minimal logging in production
-            logger.error(`${this.config.name} error: ${error.status || 500}`);
-        }
-
-        // Standardize error messages
-        if (error.message.includes('401') || error.message.includes('auth')) {
-            throw new ServiceError(
-                `Authentication failed for ${this.config.name}. Please check your API key.`,
-                this.config.id,
-                401
-            );
+            logger.error(`${this.config.name} error: ${status} (${errorClass})`);
         }
 
-        if (error.message.includes('429') || error.message.includes('rate limit')) {
-            throw new ServiceError(
-                `Rate limit exceeded for ${this.config.name}. Please try again later.`,
-                this.config.id,
-                429
-            );
-        }
+        throw new ServiceError(this.describeError(errorClass, error), this.config.id, status, details);
+    }
 
-        if (error.message.includes('503') || error.message.includes('service unavailable')) {
-            throw new ServiceError(
-                `${this.config.name} service is temporarily unavailable. Please try again in a few moments.`,
-                this.config.id,
-                503
-            );
-        }
+    /**
+     * User-facing message for each error class
+     */
+    describeError(errorClass, error) {
+        const { name } = this.config;
 
-        if (error.message.includes('timeout')) {
-            throw new ServiceError(
-                `Request timeout for ${this.config.name}. Please try again.`,
-                this.config.id,
-                408
-            );
+        switch (errorClass) {
+            case ERROR_CLASSES.AUTH:
+                return `Authentication failed for ${name}. Please check your API key.`;
+            case ERROR_CLASSES.QUOTA:
+                return `Quota exhausted for ${name}. Please check your plan or billing.`;
+            case ERROR_CLASSES.RATE_LIMIT:
+                return `Rate limit exceeded for ${name}. Please try again later.`;
+            case ERROR_CLASSES.OVERLOAD:
+                return `${name} service is temporarily unavailable. Please try again in a few moments.`;
+            case ERROR_CLASSES.TIMEOUT:
+                return `Request timeout for ${name}. Please try again.`;
+            case ERROR_CLASSES.MODEL_NOT_FOUND:
+                return `Model not available on ${name}: ${error.message}`;
+            case ERROR_CLASSES.CONTENT_FILTER:
+                return `${name} refused the request under its content policy: ${error.message}`;
+            case ERROR_CLASSES.NETWORK:
+                return `Could not reach ${name}: ${error.message}`;
+            default:
+                return `${name} request failed: ${error.message}`;
         }
-
-        throw new ServiceError(
-            `${this.config.name} request failed: ${error.message}`,
-            this.config.id,
-            500
-        );
     }
 }
@@ -5,25 +5,53 @@
  */
 
 import { logger } from '../utils/logger.js';
-import { ServiceError } from '../utils/helpers.js';
-import { getPriorityOrder, getPrioritySettings } from './priorityService.js';
-import { CONFIG } from '../config/config.js';
+import { ServiceError, estimateTokens } from '../utils/helpers.js';
+import { getErrorPolicy, ERROR_CLASSES, ERROR_POLICIES } from '../utils/providerErrors.js';
+import {
+  getPriorityOrder, getPrioritySettings, getDeclaredProviders, getProviderLimits, getProviderModels,
+  getProviderWeight, getRoutingStrategy, getQueryRoutingSettings, getProviderConfig, getProviderCapabilities,
+  MOCK_PROVIDER_TYPE
+} from './priorityService.js';
+import { CONFIG, buildCompatibleProviderConfig, buildMockProviderConfig } from '../config/config.js';
 import GroqService from './groqService.js';
 import GeminiService from './geminiService.js';
 import GitHubOpenAIService from './githubOpenAIService.js';
 import OpenRouterService from './openRouterService.js';
+import OpenAICompatibleService from './openAICompatibleService.js';
+import LocalAIService from './localAIService.js';
+import MockAIService from './mockAIService.js';
 import HybridAIService from './hybridAIService.js';
+import CircuitBreaker, { CIRCUIT_STATES } from './circuitBreaker.js';
+import ProviderLimiter, { LIMIT_REASONS } from './providerLimiter.js';
+import { getUsageLedger, estimateCost, addCosts, getModelPrice } from './usageLedger.js';
+import ProviderStats from './providerStats.js';
+import { applyRoutingStrategy } from './routingStrategies.js';
+import { resolveQualityPreference } from './queryRouter.js';
+import { getRequirements, findUnmetRequirement } from './capabilityRegistry.js';
+import { getToolRegistry } from './toolRegistry.js';
+import { validateStructuredOutput, buildFormatInstruction, buildRepairPrompt } from '../utils/structuredOutput.js';
+import { checkCompletion, FINISH_REASONS } from '../utils/completionChecks.js';
 
 class AIServiceManager {
   constructor() {
     this.services = new Map();
+    this.breakers = new Map();
+    this.limiters = new Map();
+    this.stats = new Map();
+    // Requests routed so far, for round-robin routing
+    this.routingTurn = 0;
     this.serviceClasses = {
       groq: GroqService,
       github: GitHubOpenAIService,
       openrouter: OpenRouterService,
-      gemini: GeminiService
+      gemini: GeminiService,
+      local: LocalAIService,
+      mock: MockAIService
     };
 
+    // OpenAI-compatible and mock providers declared in priority.json, keyed by id
+    this.declaredProviders = this.loadDeclaredProviders();
+
     // Cache for available services (refreshed every 30 seconds)
     this.availableServicesCache = null;
     this.availableServicesCacheTime = 0;
@@ -42,9 +70,58 @@ class AIServiceManager {
     const isProd = process.env.NODE_ENV === 'production';
     
     if (!isProd) {
-      logger.info(`Service manager initialized with lazy loading for ${Object.keys(this.serviceClasses).length} providers`);
+      logger.info(`Service manager initialized with lazy loading for ${this.getProviderIds().length} providers`);
     }
   }
+
+  loadDeclaredProviders() {
+    const providers = new Map();
+
+    for (const definition of getDeclaredProviders()) {
+      if (this.serviceClasses[definition.id]) {
+        logger.warn(`Ignoring ${definition.type} provider ${definition.id}: id is used by a built-in provider`);
+        continue;
+      }
+      providers.set(definition.id, definition.type === MOCK_PROVIDER_TYPE
+        ? buildMockProviderConfig(definition)
+        : buildCompatibleProviderConfig(definition));
+    }
+
+    return providers;
+  }
+
+  /**
+   * Ids of every provider that can be created, built-in or declared in priority.json
+   */
+  getProviderIds() {
+    return [...Object.keys(this.serviceClasses), ...this.declaredProviders.keys()];
+  }
+
+  /**
+   * Provider config (name, baseURL, envKey, ...) for a provider id, or null
+   */
+  getProviderDefinition(serviceId) {
+    if (this.serviceClasses[serviceId]) {
+      return CONFIG.PROVIDERS[serviceId.toUpperCase()] || null;
+    }
+    return this.declaredProviders.get(serviceId) || null;
+  }
+
+  createService(serviceId) {
+    const ServiceClass = this.serviceClasses[serviceId];
+    if (ServiceClass) {
+      return new ServiceClass();
+    }
+
+    const providerConfig = this.declaredProviders.get(serviceId);
+    if (providerConfig) {
+      return providerConfig.mock
+        ? new MockAIService(providerConfig)
+        : new OpenAICompatibleService(providerConfig);
+    }
+
+    throw new Error(`Service ${serviceId} not found`);
+  }
   
   async getService(serviceId) {
     // Check if service is already initialized
@@ -54,12 +131,7 @@ class AIServiceManager {
     
     // Initialize service on first use
     try {
-      const ServiceClass = this.serviceClasses[serviceId];
-      if (!ServiceClass) {
-        throw new Error(`Service ${serviceId} not found`);
-      }
-      
-      const service = new ServiceClass();
+      const service = this.createService(serviceId);
       this.services.set(serviceId, service);
       
       // Only log in non-production
@@ -74,6 +146,79 @@ class AIServiceManager {
     }
   }
 
+  /**
+   * Circuit breaker for a provider, created on first use
+   */
+  getBreaker(serviceId) {
+    if (!this.breakers.has(serviceId)) {
+      this.breakers.set(serviceId, new CircuitBreaker(serviceId));
+    }
+    return this.breakers.get(serviceId);
+  }
+
+  /**
+   * Concurrency and rate limiter for a provider, created on first use
+   */
+  getLimiter(serviceId) {
+    if (!this.limiters.has(serviceId)) {
+      this.limiters.set(serviceId, new ProviderLimiter(serviceId, getProviderLimits(serviceId) || {}));
+    }
+    return this.limiters.get(serviceId);
+  }
+
+  /**
+   * Rolling latency and success stats for a provider, created on first use
+   */
+  getStats(serviceId) {
+    if (!this.stats.has(serviceId)) {
+      this.stats.set(serviceId, new ProviderStats(serviceId));
+    }
+    return this.stats.get(serviceId);
+  }
+
+  /**
+   * Reserve a provider for one attempt without waiting: its circuit must let
+   * a request through and the request must fit within its limits.
+   * Returns { lease }, { open: true } or { limited: { reason, retryIn } }.
+   */
+  reserveProvider(serviceId, estimatedTokens) {
+    const breaker = this.getBreaker(serviceId);
+    if (breaker.getCooldownRemaining() > 0) {
+      return { open: true };
+    }
+
+    const limiter = this.getLimiter(serviceId);
+    const lease = limiter.tryAcquire(estimatedTokens);
+    if (!lease) {
+      return { limited: limiter.check(estimatedTokens) };
+    }
+
+    if (!breaker.allowRequest()) {
+      lease.cancel();
+      return { open: true };
+    }
+
+    return { lease };
+  }
+
+  /**
+   * Health of each available provider, in priority order
+   */
+  getProviderHealth() {
+    return this.getAvailableServices().map(service => {
+      const health = this.getBreaker(service.id).getHealth();
+      return {
+        id: service.id,
+        name: service.name,
+        available: health.state !== CIRCUIT_STATES.OPEN,
+        health,
+        limits: this.getLimiter(service.id).getUsage(),
+        stats: this.getStats(service.id).getSummary(),
+        capabilities: service.capabilities
+      };
+    });
+  }
+
   getAvailableServices() {
     const now = Date.now();
     
@@ -88,19 +233,23 @@ class AIServiceManager {
     const availableServices = priorityOrder
       .map(serviceId => {
         try {
-          const ServiceClass = this.serviceClasses[serviceId];
-          if (!ServiceClass) return null;
+          const config = this.getProviderDefinition(serviceId);
+          if (!config) return null;
+
+          // MOCK_MODE never routes to real providers
+          if (CONFIG.MOCK.ENABLED && !config.mock) return null;
           
           // Create temporary instance to check API key without full initialization
-          const tempService = new ServiceClass();
-
-        const config = CONFIG.PROVIDERS[serviceId.toUpperCase()];
-        if (!config) return null;
+          const tempService = this.createService(serviceId);
 
         return {
           id: serviceId,
           name: config.name,
           description: config.description,
+          local: config.local === true,
+          mock: config.mock === true,
+          quality: getProviderConfig(serviceId).quality || null,
+          capabilities: getProviderCapabilities(serviceId),
             hasApiKey: tempService.hasApiKey(),
           priority: priorityOrder.indexOf(serviceId) + 1
         };
@@ -118,15 +267,47 @@ class AIServiceManager {
     return availableServices;
   }
 
+  /**
+   * Generate a response for the current user message within the request
+   * deadline (options.timeout ms, default CONFIG.AI.REQUEST_DEADLINE).
+   * Prior conversation turns are passed as `options.history`
+   * ([{ role, content }]) and forwarded to every provider.
+   * options.signal cancels the request, e.g. when the HTTP client disconnects.
+   */
   async generateResponse(message, options = {}) {
-    // Check if hybrid mode is enabled (default: true)
-    const useHybridMode = options.hybridMode !== false;
+    const timeout = options.timeout ?? CONFIG.AI.REQUEST_DEADLINE;
+    const deadline = AbortSignal.timeout(timeout);
+    const signal = options.signal ? AbortSignal.any([options.signal, deadline]) : deadline;
+
+    try {
+      return await this.routeRequest(message, { ...options, signal });
+    } catch (error) {
+      if (deadline.aborted && !options.signal?.aborted) {
+        throw new ServiceError(`Request did not complete within its ${timeout}ms deadline`, null, 504);
+      }
+      throw error;
+    }
+  }
+
+  async routeRequest(message, options) {
+    // Tool requests run the tool-call loop, where web search is available as a tool
+    if (options.tools?.length || options.serverTools) {
+      return await this.generateToolResponse(message, options);
+    }
+
+    // Check if hybrid mode is enabled (default: true); private requests never search the web
+    const useHybridMode = options.hybridMode !== false && !options.privateMode;
     
     if (useHybridMode) {
       try {
         // Use hybrid service for intelligent web search + AI response
         return await this.hybridService.generateResponse(message, options);
       } catch (error) {
+        // Tokens already sent to a streaming client cannot be taken back,
+        // and a cancelled request has no one left to answer
+        if (error.streamStarted || options.signal?.aborted) {
+          throw error;
+        }
         logger.warn('Hybrid service failed, falling back to pure AI', { error: error.message });
         // Continue to pure AI fallback below
       }
@@ -136,10 +317,278 @@ class AIServiceManager {
     return await this.generatePureAIResponse(message, options);
   }
 
-  async generatePureAIResponse(message, options = {}) {
-    const availableServices = this.getAvailableServices();
+  /**
+   * Tool-call loop: calls to server-registered tools (options.serverTools) are
+   * executed and their results fed back until the model gives a final answer.
+   * Calls to caller-supplied tools (options.tools) end the loop and are
+   * returned to the caller, as with the OpenAI API; server calls in the same
+   * turn run first. Calls to tools nobody declared get an error result.
+   * A forced toolChoice applies to the first round only.
+   */
+  async generateToolResponse(message, options = {}) {
+    const registry = getToolRegistry();
+    const callerTools = options.tools || [];
+    const callerToolNames = callerTools.map(tool => tool.function.name);
+    const serverTools = registry.getDefinitions(options.serverTools, { privateMode: options.privateMode })
+      .filter(tool => !callerToolNames.includes(tool.function.name));
+    const serverToolNames = serverTools.map(tool => tool.function.name);
+
+    // Intermediate turns are not streamed; the final answer is emitted once
+    const { onToken, ...baseOptions } = options;
+    const toolTurns = [...(options.toolTurns || [])];
+    const toolExecutions = [];
+    let provider = options.provider;
+    let toolChoice = options.toolChoice;
+    let cost = null;
+
+    for (let iteration = 1; iteration <= CONFIG.AI.MAX_TOOL_ITERATIONS; iteration++) {
+      const result = await this.generatePureAIResponse(message, {
+        ...baseOptions,
+        provider,
+        model: provider === options.provider ? options.model : undefined,
+        tools: [...callerTools, ...serverTools],
+        toolChoice,
+        toolTurns
+      });
+
+      const toolCalls = result.toolCalls || [];
+      const callerCalls = toolCalls.filter(call => callerToolNames.includes(call.function.name));
+      const serverCalls = toolCalls.filter(call => !callerToolNames.includes(call.function.name));
+      // Every round trip is billed, not just the final answer
+      cost = addCosts(cost, result.metadata?.cost);
+
+      if (serverCalls.length > 0) {
+        toolTurns.push({ role: 'assistant', content: result.response || null, tool_calls: serverCalls });
+
+        for (const call of serverCalls) {
+          const output = await this.executeServerTool(registry, call, serverToolNames, options.signal);
+          toolTurns.push({ role: 'tool', tool_call_id: call.id, content: output });
+          if (serverToolNames.includes(call.function.name)) {
+            toolExecutions.push({ name: call.function.name, arguments: call.function.arguments, iteration });
+          }
+        }
+      }
+
+      const metadata = {
+        ...result.metadata,
+        cost,
+        toolIterations: iteration,
+        toolExecutions,
+        webSearchUsed: toolExecutions.some(execution => execution.name === 'web_search')
+      };
+
+      if (callerCalls.length > 0) {
+        return {
+          ...result,
+          toolCalls: callerCalls,
+          metadata: { ...metadata, finishReason: 'tool_calls' }
+        };
+      }
+
+      if (toolCalls.length === 0) {
+        if (onToken && result.response) {
+          onToken(result.response, tokenSource(result));
+        }
+        return { ...result, metadata };
+      }
+
+      // Keep the rest of the loop on the provider that issued the tool calls,
+      // and let the model answer once it has the results it was made to fetch
+      provider = result.providerId;
+      toolChoice = toolChoice === undefined ? undefined : 'auto';
+    }
+
+    throw new ServiceError(
+      `Tool calling stopped after ${CONFIG.AI.MAX_TOOL_ITERATIONS} iterations without a final answer`,
+      null,
+      500
+    );
+  }
+
+  /**
+   * Run a server tool call, or describe the error for a tool that was never
+   * offered so the model can correct itself on the next round
+   */
+  async executeServerTool(registry, call, serverToolNames, signal) {
+    if (!serverToolNames.includes(call.function.name)) {
+      logger.warn(`Model called undeclared tool ${call.function.name}`);
+      return JSON.stringify({ error: `Tool ${call.function.name} does not exist; call only the tools provided` });
+    }
+    return await registry.execute(call.function.name, call.function.arguments, { signal });
+  }
+
+  /**
+   * Validate structured output, re-prompting the same provider once to repair it.
+   * Throws a 422 ServiceError when the output still does not validate so that
+   * generatePureAIResponse moves on to the next provider.
+   */
+  async enforceResponseFormat(service, message, requestOptions, result) {
+    const { responseFormat } = requestOptions;
+    let validation = validateStructuredOutput(result.response, responseFormat);
+    let repaired = false;
+
+    if (!validation.valid) {
+      logger.warn(`${result.provider} returned invalid structured output, requesting repair`, {
+        errors: validation.errors
+      });
+
+      const firstCost = result.metadata?.cost ?? null;
+      result = this.recordUsage(await service.generateResponse(buildRepairPrompt(validation.errors, responseFormat), {
+        ...requestOptions,
+        history: [
+          ...(requestOptions.history || []),
+          { role: 'user', content: message },
+          ...(requestOptions.toolTurns || []),
+          { role: 'assistant', content: result.response }
+        ],
+        toolTurns: []
+      }), requestOptions);
+      result.metadata.cost = addCosts(firstCost, result.metadata.cost);
+
+      validation = validateStructuredOutput(result.response, responseFormat);
+      repaired = true;
+    }
+
+    if (!validation.valid) {
+      throw new ServiceError(
+        `${result.provider} output does not match the requested format: ${validation.errors.join('; ')}`,
+        result.providerId,
+        422,
+        { errorClass: ERROR_CLASSES.INVALID_OUTPUT }
+      );
+    }
+
+    return {
+      ...result,
+      response: JSON.stringify(validation.data),
+      json: validation.data,
+      metadata: { ...result.metadata, structuredOutput: { repaired } }
+    };
+  }
+
+  /**
+   * Order services for a request: a pinned provider (options.provider)
+   * goes first, then a persona's preferred providers (options.preferredProviders)
+   * in their listed order, then providers of the preferred quality tiers
+   * (options.quality, or query routing on options.routingQuery, else the
+   * message), each group in the order of the routing strategy from priority.json.
+   * With options.fallback === false only the first service is tried.
+   * With options.privateMode only local providers are eligible.
+   * Returns { services, routing: { strategy, order, reason, queryClass, quality } }.
+   */
+  orderServices(services, options = {}, message = '') {
+    const preferred = [options.provider, ...(options.preferredProviders || [])].filter(Boolean);
+    const eligible = options.privateMode ? services.filter(service => service.local) : services;
+
+    const strategy = getRoutingStrategy();
+    const routed = applyRoutingStrategy(strategy, eligible, this.getRoutingContext());
+    const reasons = [routed.reason];
+
+    let ordered = routed.services;
+
+    const preference = resolveQualityPreference(options.routingQuery ?? message, options.quality, getQueryRoutingSettings());
+    if (preference?.qualities.length > 0) {
+      ordered = [...ordered].sort((a, b) => rankOf(preference.qualities, a.quality) - rankOf(preference.qualities, b.quality));
+    }
+    if (preference) {
+      reasons.unshift(preference.reason);
+    }
+
+    if (preferred.length > 0) {
+      ordered = [...ordered].sort((a, b) => rankOf(preferred, a.id) - rankOf(preferred, b.id));
+    }
+    const pinned = preferred.filter(id => eligible.some(service => service.id === id));
+    if (pinned.length > 0) {
+      reasons.unshift(`requested ${pinned.join(', ')}`);
+    }
+
+    const tried = options.fallback === false ? ordered.slice(0, 1) : ordered;
+
+    return {
+      services: tried,
+      routing: {
+        strategy,
+        order: tried.map(service => service.id),
+        reason: reasons.join(', then '),
+        ...(preference && { queryClass: preference.queryClass, quality: preference.qualities })
+      }
+    };
+  }
+
+  /**
+   * What the routing strategies need to know about each provider
+   */
+  getRoutingContext() {
+    return {
+      turn: this.routingTurn++,
+      weight: serviceId => getProviderWeight(serviceId),
+      stats: serviceId => this.getStats(serviceId).getSummary(),
+      price: (serviceId) => {
+        const price = getModelPrice(serviceId, getProviderModels(serviceId)[0].id);
+        return price ? price.input + price.output : null;
+      },
+      minSuccessRate: CONFIG.ROUTING.MIN_SUCCESS_RATE
+    };
+  }
+
+  /**
+   * Ensure a requested provider can serve requests.
+   * Throws a 400 ServiceError listing the valid provider ids otherwise.
+   * With options.privateMode only local providers are valid.
+   */
+  assertProviderAvailable(providerId, options = {}) {
+    const validProviders = this.getAvailableServices()
+      .filter(service => !options.privateMode || service.local)
+      .map(service => service.id);
+    if (validProviders.includes(providerId)) {
+      return;
+    }
+
+    const definition = this.getProviderDefinition(providerId);
+    const reason = !definition
+      ? 'is not a known provider'
+      : options.privateMode && !definition.local
+        ? 'is not a local provider and cannot be used with privateMode'
+        : 'is disabled or has no API key configured';
+
+    throw new ServiceError(
+      `Provider "${providerId}" ${reason}. Valid providers: ${validProviders.join(', ') || 'none'}`,
+      providerId,
+      400
+    );
+  }
+
+  /**
+   * Shared setup for a provider request: eligible services in order and the
+   * message and options sent to each of them
+   */
+  prepareRequest(message, options) {
+    // Structured output is validated before the client sees it, so it is
+    // generated without token streaming and emitted once at the end
+    const structured = Boolean(options.responseFormat);
+    const requestMessage = structured
+      ? `${message}\n\n${buildFormatInstruction(options.responseFormat)}`
+      : message;
+
+    const promptText = [requestMessage, ...(options.history || []), ...(options.toolTurns || [])]
+      .map(turn => (typeof turn === 'string' ? turn : JSON.stringify(turn)))
+      .join('\n');
+    const requirements = getRequirements(options, estimateTokens(promptText));
+
+    const { services: availableServices, routing } = this.filterCapableServices(
+      this.orderServices(this.getAvailableServices(), options, message),
+      requirements
+    );
+
+    if (availableServices.length === 0 && routing.unsupported) {
+      const reasons = routing.unsupported.map(({ provider, reason }) => `${provider} ${reason}`).join('; ');
+      throw new ServiceError(`No available provider can handle this request: ${reasons}`, null, 400);
+    }
 
     if (availableServices.length === 0) {
+      if (options.privateMode) {
+        throw new ServiceError('No local AI providers are available for privateMode. Please check that your local model server is running.', null, 503);
+      }
       throw new ServiceError('No AI services are available. Please check your API key configuration.');
     }
 
@@ -154,33 +603,235 @@ class AIServiceManager {
     });
     }
 
-    // Remove all restrictions for complete responses
+    // Remove token restrictions for complete responses
     const requestOptions = {
       ...options,
-      // Remove token limits to allow complete responses
-      maxTokens: settings.noTokenLimits ? null : options.maxTokens,
-      // Remove timeout restrictions
-      timeout: settings.noTimeoutRestrictions ? null : options.timeout
+      onToken: undefined,
+      // An explicit per-request limit wins; otherwise remove token limits to allow complete responses
+      maxTokens: options.maxTokens ?? (settings.noTokenLimits ? null : undefined),
+      // A reply cut off by the provider's own limit is continued; one the caller capped is not
+      continueTruncated: settings.allowCompleteResponse && options.maxTokens == null,
+      // Lets the provider pass over models that cannot handle the request
+      requirements
+    };
+
+    // Rough size of the request (prompt plus the completion it may produce)
+    // for providers with a tokens-per-minute budget
+    const estimatedTokens = requirements.contextLength + (requestOptions.maxTokens ?? CONFIG.AI.DEFAULT_MAX_TOKENS);
+
+    return { availableServices, routing, settings, structured, requestMessage, requestOptions, estimatedTokens };
+  }
+
+  /**
+   * Drop providers whose capabilities cannot cover the request's requirements.
+   * They are listed with the reason in routing.unsupported.
+   */
+  filterCapableServices({ services, routing }, requirements) {
+    const unsupported = [];
+    const capable = services.filter(service => {
+      const unmet = findUnmetRequirement(service.capabilities, requirements);
+      if (unmet) {
+        unsupported.push({ provider: service.id, capability: unmet.capability, reason: unmet.reason });
+      }
+      return !unmet;
+    });
+
+    if (unsupported.length === 0) {
+      return { services, routing };
+    }
+
+    return {
+      services: capable,
+      routing: { ...routing, order: capable.map(service => service.id), unsupported }
     };
+  }
+
+  /**
+   * One provider attempt: the request, continuation of a truncated reply,
+   * circuit breaker bookkeeping and, for structured output, validation with
+   * one repair round. An empty or refused reply fails the attempt. Every call
+   * the attempt makes, retries included, is admitted through the limiter
+   * lease, which is released with the tokens actually used once it ends.
+   */
+  async attemptService(serviceInfo, message, options, structured, lease = null) {
+    const requestOptions = { ...options, lease };
+    let result;
+    try {
+      const service = await this.getService(serviceInfo.id);
+      const breaker = this.getBreaker(serviceInfo.id);
+      const stats = this.getStats(serviceInfo.id);
+      const startTime = Date.now();
+
+      try {
+        result = this.recordUsage(await service.generateResponse(message, requestOptions), requestOptions);
+        result = await this.continueTruncatedResponse(service, message, requestOptions, result);
+
+        const problem = checkCompletion(result);
+        if (problem) {
+          throw new ServiceError(`${result.provider} returned an unusable reply: ${problem.reason}`, result.providerId, ERROR_POLICIES[problem.errorClass].status, {
+            errorClass: problem.errorClass
+          });
+        }
+        breaker.recordSuccess();
+        stats.record(Date.now() - startTime, true);
+      } catch (error) {
+        breaker.recordFailure(error);
+        // A cancelled attempt (e.g. a race loser) or one held back by the limiter
+        // says nothing about the provider
+        if (error.errorClass !== ERROR_CLASSES.CANCELLED && !error.limited) {
+          stats.record(Date.now() - startTime, false);
+        }
+        throw error;
+      }
+
+      if (structured && !result.toolCalls) {
+        result = await this.enforceResponseFormat(service, message, requestOptions, result);
+      }
+
+      return result;
+    } finally {
+      lease?.release(result?.metadata?.usage?.totalTokens);
+    }
+  }
+
+  /**
+   * With requestOptions.continueTruncated, ask the same provider and model to
+   * go on with a reply that stopped at its token limit, up to
+   * CONFIG.AI.MAX_CONTINUATIONS times, and join the parts. Usage, cost and
+   * response time cover every part; metadata.finishReason is the last part's.
+   * A failed continuation keeps what was generated so far.
+   */
+  async continueTruncatedResponse(service, message, requestOptions, result) {
+    let continuations = 0;
+
+    while (requestOptions.continueTruncated && result.metadata.finishReason === FINISH_REASONS.LENGTH
+        && !result.toolCalls && continuations < CONFIG.AI.MAX_CONTINUATIONS) {
+      logger.info(`${result.provider} reply hit its token limit, requesting a continuation`, {
+        continuation: continuations + 1
+      });
+
+      let next;
+      try {
+        next = this.recordUsage(await service.generateResponse(CONTINUATION_PROMPT, {
+          ...requestOptions,
+          model: result.model,
+          history: [
+            ...(requestOptions.history || []),
+            { role: 'user', content: message },
+            ...(requestOptions.toolTurns || []),
+            { role: 'assistant', content: result.response }
+          ],
+          toolTurns: []
+        }), requestOptions);
+      } catch (error) {
+        if (error.errorClass === ERROR_CLASSES.CANCELLED || requestOptions.signal?.aborted) {
+          throw error;
+        }
+        logger.warn(`Continuation failed with ${result.provider}, returning the truncated reply`, { error: error.message });
+        break;
+      }
+
+      continuations++;
+      result = {
+        ...result,
+        response: result.response + next.response,
+        metadata: {
+          ...result.metadata,
+          responseTime: (result.metadata.responseTime || 0) + (next.metadata.responseTime || 0),
+          usage: addUsage(result.metadata.usage, next.metadata.usage),
+          cost: addCosts(result.metadata.cost, next.metadata.cost),
+          finishReason: next.metadata.finishReason
+        }
+      };
+    }
+
+    return { ...result, metadata: { ...result.metadata, continuations } };
+  }
+
+  /**
+   * Count a provider call in the usage ledger under options.clientId and
+   * add its estimated cost to the result metadata
+   */
+  recordUsage(result, options) {
+    const usage = result.metadata?.usage || {};
+    const cost = estimateCost(result.providerId, result.model, usage);
+
+    getUsageLedger().record({
+      provider: result.providerId,
+      model: result.model,
+      client: options.clientId,
+      usage,
+      cost
+    });
+
+    return { ...result, metadata: { ...result.metadata, cost } };
+  }
+
+  async generatePureAIResponse(message, options = {}) {
+    if (options.mode === 'ensemble') {
+      return await this.generateEnsembleResponse(message, options);
+    }
+
+    if (options.strategy === 'race') {
+      return await this.generateRaceResponse(message, options);
+    }
+
+    const { availableServices, routing, settings, structured, requestMessage, requestOptions, estimatedTokens } = this.prepareRequest(message, options);
 
     let lastError = null;
     let attempts = 0;
+    const skippedProviders = [];
+    const limitedProviders = [];
 
     // Try each service in priority order
     for (const serviceInfo of availableServices) {
+      let reservation = this.reserveProvider(serviceInfo.id, estimatedTokens);
+
+      // A provider that is only briefly at its limit is worth a short wait
+      if (reservation.limited && await this.getLimiter(serviceInfo.id).waitForRoom(estimatedTokens, {
+        maxWait: CONFIG.PROVIDER_LIMITS.MAX_QUEUE_WAIT,
+        signal: options.signal
+      })) {
+        reservation = this.reserveProvider(serviceInfo.id, estimatedTokens);
+      }
+
+      if (reservation.open) {
+        skippedProviders.push(serviceInfo.id);
+        continue;
+      }
+      if (reservation.limited) {
+        limitedProviders.push({ provider: serviceInfo.id, ...reservation.limited });
+        continue;
+      }
+
       attempts++;
 
+      // A requested model only applies to the pinned provider
+      requestOptions.model = serviceInfo.id === options.provider ? options.model : undefined;
+
+      // Track whether this attempt has streamed anything to the client;
+      // fallback is only possible before the first token
+      let streamStarted = false;
+      if (options.onToken && !structured) {
+        requestOptions.onToken = (token, source) => {
+          streamStarted = true;
+          options.onToken(token, source);
+        };
+      }
+
       try {
-        // Get or initialize the service
-        const service = await this.getService(serviceInfo.id);
-        
         // Only log in non-production
         if (process.env.NODE_ENV !== 'production') {
         logger.info(`Attempting request with ${serviceInfo.name} (attempt ${attempts})`);
         }
 
         const startTime = Date.now();
-        const result = await service.generateResponse(message, requestOptions);
+        const result = await this.attemptService(serviceInfo, requestMessage, requestOptions, structured, reservation.lease);
+
+        if (structured && !result.toolCalls && options.onToken) {
+          options.onToken(result.response, tokenSource(result));
+        }
+
         const duration = Date.now() - startTime;
 
         // Only log in non-production
@@ -195,14 +846,16 @@ class AIServiceManager {
 
         return {
           ...result,
-          fallbackUsed: attempts > 1,
+          fallbackUsed: attempts > 1 || skippedProviders.length > 0 || limitedProviders.length > 0,
           totalAttempts: attempts,
           availableServices: availableServices.length,
-          settings: {
-            noTimeoutRestrictions: settings.noTimeoutRestrictions,
-            noTokenLimits: settings.noTokenLimits,
-            allowCompleteResponse: settings.allowCompleteResponse
-          }
+          metadata: {
+            ...result.metadata,
+            routing,
+            ...(skippedProviders.length > 0 && { skippedProviders }),
+            ...(limitedProviders.length > 0 && { limitedProviders })
+          },
+          settings: formatSettings(settings)
         };
 
       } catch (error) {
@@ -210,12 +863,23 @@ class AIServiceManager {
         logger.error(`Request failed with ${serviceInfo.name}`, {
           provider: serviceInfo.name,
           error: error.message,
+          errorClass: error.errorClass,
           attempt: attempts
         });
 
-        // Don't retry on authentication errors
-        if (error.status === 401) {
-          break;
+        if (streamStarted) {
+          error.streamStarted = true;
+          throw error;
+        }
+
+        // Cancelled or out of time: trying more providers cannot help
+        if (options.signal?.aborted) {
+          throw error;
+        }
+
+        // Errors such as a content filter refusal fail the request instead of moving on
+        if (getErrorPolicy(error).action === 'abort') {
+          throw error;
         }
 
         // For 503 errors, continue to next service but log the issue
@@ -226,9 +890,356 @@ class AIServiceManager {
       }
     }
 
+    this.throwAllFailed(lastError, attempts, skippedProviders, limitedProviders);
+  }
+
+  /**
+   * Race strategy: run up to options.raceSize providers at once and return the
+   * first success, aborting the others. With options.hedgeDelay > 0 a backup
+   * provider only starts if no answer has arrived after that delay. A failed
+   * provider is replaced by the next one straight away.
+   * A streaming race is won by the first provider to emit a token.
+   * Providers at their request limits are skipped rather than waited for.
+   */
+  async generateRaceResponse(message, options = {}) {
+    const { availableServices, routing, settings, structured, requestMessage, requestOptions, estimatedTokens } = this.prepareRequest(message, options);
+    const raceSize = options.raceSize ?? CONFIG.AI.RACE.SIZE;
+    const hedgeDelay = options.hedgeDelay ?? CONFIG.AI.RACE.HEDGE_DELAY;
+    const streaming = Boolean(options.onToken) && !structured;
+
+    const queue = [...availableServices];
+    const inFlight = new Map();
+    const race = { started: [], cancelled: [], finished: [], failed: [], skipped: [], limited: [], hedgeDelay };
+    let winner = null;
+    let lastError = null;
+    let hedgeTimer = null;
+
+    logger.info(`Starting race across up to ${raceSize} providers`, { hedgeDelay: `${hedgeDelay}ms` });
+
+    return new Promise((resolve, reject) => {
+      // The first provider to answer (or to stream a token) wins; the rest are aborted
+      const claim = (serviceId) => {
+        winner = serviceId;
+        clearTimeout(hedgeTimer);
+        for (const [otherId, controller] of inFlight) {
+          if (otherId !== serviceId) {
+            controller.abort();
+            race.cancelled.push(otherId);
+          }
+        }
+      };
+
+      const finish = () => {
+        if (inFlight.size > 0 || winner) return;
+        try {
+          this.throwAllFailed(lastError, race.started.length, race.skipped, race.limited);
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      const launchNext = () => {
+        while (queue.length > 0) {
+          const serviceInfo = queue.shift();
+          const reservation = this.reserveProvider(serviceInfo.id, estimatedTokens);
+          if (reservation.lease) {
+            launch(serviceInfo, reservation.lease);
+            return true;
+          }
+          if (reservation.limited) {
+            race.limited.push({ provider: serviceInfo.id, ...reservation.limited });
+          } else {
+            race.skipped.push(serviceInfo.id);
+          }
+        }
+        return false;
+      };
+
+      const scheduleHedge = () => {
+        if (hedgeDelay <= 0 || queue.length === 0) return;
+        hedgeTimer = setTimeout(() => {
+          if (!winner && inFlight.size < raceSize && launchNext()) {
+            scheduleHedge();
+          }
+        }, hedgeDelay);
+      };
+
+      const launch = (serviceInfo, lease) => {
+        const controller = new AbortController();
+        inFlight.set(serviceInfo.id, controller);
+        race.started.push(serviceInfo.id);
+
+        const attemptOptions = {
+          ...requestOptions,
+          model: serviceInfo.id === options.provider ? options.model : undefined,
+          signal: options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal,
+          onToken: streaming
+            ? (token, source) => {
+              if (!winner) claim(serviceInfo.id);
+              if (winner === serviceInfo.id) options.onToken(token, source);
+            }
+            : undefined
+        };
+
+        this.attemptService(serviceInfo, requestMessage, attemptOptions, structured, lease)
+          .then((result) => {
+            inFlight.delete(serviceInfo.id);
+            // A loser that answers despite the abort is already recorded as cancelled
+            if (controller.signal.aborted) return;
+
+            race.finished.push(serviceInfo.id);
+            if (winner && winner !== serviceInfo.id) return;
+
+            if (!winner) claim(serviceInfo.id);
+            if (structured && !result.toolCalls && options.onToken) {
+              options.onToken(result.response, tokenSource(result));
+            }
+
+            logger.info(`Race won by ${serviceInfo.name}`, { started: race.started, cancelled: race.cancelled });
+            resolve({
+              ...result,
+              fallbackUsed: serviceInfo.id !== availableServices[0].id,
+              totalAttempts: race.started.length,
+              availableServices: availableServices.length,
+              metadata: { ...result.metadata, routing, strategy: 'race', race: { ...race, winner: serviceInfo.id } },
+              settings: formatSettings(settings)
+            });
+          })
+          .catch((error) => {
+            inFlight.delete(serviceInfo.id);
+            if (controller.signal.aborted) return;
+
+            // The client went away; there is no one left to answer
+            if (options.signal?.aborted) {
+              clearTimeout(hedgeTimer);
+              reject(error);
+              return;
+            }
+
+            lastError = error;
+            race.failed.push({ provider: serviceInfo.id, errorClass: error.errorClass, error: error.message });
+            logger.warn(`Race attempt failed with ${serviceInfo.name}`, { error: error.message });
+
+            // The winner already streamed tokens, so there is nothing to fall back to
+            if (winner === serviceInfo.id) {
+              error.streamStarted = true;
+              reject(error);
+              return;
+            }
+
+            // Errors such as a content filter refusal fail the request; stop the other attempts
+            if (!winner && getErrorPolicy(error).action === 'abort') {
+              claim(serviceInfo.id);
+              reject(error);
+              return;
+            }
+
+            if (!winner) launchNext();
+            finish();
+          });
+      };
+
+      const initial = hedgeDelay > 0 ? 1 : raceSize;
+      for (let i = 0; i < initial && launchNext(); i++);
+      scheduleHedge();
+      finish();
+    });
+  }
+
+  /**
+   * Ensemble mode: ask up to options.ensembleSize providers in parallel, then
+   * have a judge provider merge their answers and score how much they agree.
+   * A failed provider is replaced by the next one; with a single answer, or
+   * when the judge fails, the first answer is returned without merging.
+   */
+  async generateEnsembleResponse(message, options = {}) {
+    const { availableServices, routing, settings, requestMessage, requestOptions, estimatedTokens } = this.prepareRequest(message, options);
+    const size = options.ensembleSize ?? CONFIG.AI.ENSEMBLE.SIZE;
+
+    // One failure that must fail the request (e.g. a content filter) stops the other candidates
+    const controller = new AbortController();
+    const signal = options.signal ? AbortSignal.any([options.signal, controller.signal]) : controller.signal;
+
+    const queue = [...availableServices];
+    const candidates = [];
+    const failed = [];
+    const skippedProviders = [];
+    const limitedProviders = [];
+    let lastError = null;
+
+    logger.info(`Starting ensemble across up to ${size} providers`);
+
+    const collectCandidate = async () => {
+      while (queue.length > 0) {
+        const serviceInfo = queue.shift();
+        const reservation = this.reserveProvider(serviceInfo.id, estimatedTokens);
+        if (reservation.open) {
+          skippedProviders.push(serviceInfo.id);
+          continue;
+        }
+        if (reservation.limited) {
+          limitedProviders.push({ provider: serviceInfo.id, ...reservation.limited });
+          continue;
+        }
+
+        const startTime = Date.now();
+        try {
+          const result = await this.attemptService(serviceInfo, requestMessage, {
+            ...requestOptions,
+            model: serviceInfo.id === options.provider ? options.model : undefined,
+            signal
+          }, false, reservation.lease);
+          candidates.push({ serviceInfo, result, responseTime: Date.now() - startTime });
+          return;
+        } catch (error) {
+          if (signal.aborted || getErrorPolicy(error).action === 'abort') {
+            controller.abort();
+            throw error;
+          }
+          lastError = error;
+          failed.push({ provider: serviceInfo.id, errorClass: error.errorClass, error: error.message });
+          logger.warn(`Ensemble candidate failed with ${serviceInfo.name}`, { error: error.message });
+        }
+      }
+    };
+
+    await Promise.all(Array.from({ length: size }, collectCandidate));
+
+    if (candidates.length === 0) {
+      this.throwAllFailed(lastError, failed.length, skippedProviders, limitedProviders);
+    }
+
+    // Keep candidates in routing order rather than finishing order
+    candidates.sort((a, b) => availableServices.indexOf(a.serviceInfo) - availableServices.indexOf(b.serviceInfo));
+
+    const verdict = candidates.length > 1
+      ? await this.judgeCandidates(message, candidates, options)
+      : { skipped: 'only one provider answered' };
+
+    const answer = verdict.result ? verdict.result.json : null;
+    const source = verdict.result || candidates[0].result;
+    const response = answer ? answer.answer : candidates[0].result.response;
+
+    // Usage and cost cover every call made for the answer
+    const calls = [...candidates.map(candidate => candidate.result), ...(verdict.result ? [verdict.result] : [])];
+    const usages = calls.map(result => result.metadata?.usage || {});
+
+    if (options.onToken) {
+      options.onToken(response, tokenSource(source));
+    }
+
+    logger.info(`Ensemble answered by ${candidates.length} providers`, {
+      judge: verdict.result?.providerId || null,
+      agreement: answer?.agreement ?? null
+    });
+
+    return {
+      response,
+      provider: source.provider,
+      providerId: source.providerId,
+      model: source.model,
+      fallbackUsed: failed.length > 0 || skippedProviders.length > 0 || limitedProviders.length > 0,
+      totalAttempts: candidates.length + failed.length,
+      availableServices: availableServices.length,
+      metadata: {
+        mode: 'ensemble',
+        routing,
+        agreement: answer ? answer.agreement : null,
+        disagreements: answer ? answer.disagreements : [],
+        judge: verdict.result
+          ? { provider: verdict.result.providerId, model: verdict.result.model }
+          : { provider: null, error: verdict.error || null, skipped: verdict.skipped || null },
+        candidates: candidates.map(({ serviceInfo, result, responseTime }) => ({
+          provider: serviceInfo.id,
+          model: result.model,
+          response: result.response,
+          responseTime,
+          usage: result.metadata?.usage || {},
+          cost: result.metadata?.cost ?? null
+        })),
+        ...(failed.length > 0 && { failedCandidates: failed }),
+        ...(skippedProviders.length > 0 && { skippedProviders }),
+        ...(limitedProviders.length > 0 && { limitedProviders }),
+        usage: {
+          promptTokens: usages.reduce((sum, usage) => sum + (usage.promptTokens || 0), 0),
+          completionTokens: usages.reduce((sum, usage) => sum + (usage.completionTokens || 0), 0),
+          totalTokens: usages.reduce((sum, usage) => sum + (usage.totalTokens || 0), 0)
+        },
+        cost: calls.reduce((total, result) => addCosts(total, result.metadata?.cost ?? null), null)
+      },
+      settings: formatSettings(settings)
+    };
+  }
+
+  /**
+   * Ask the judge provider (options.judge, CONFIG.AI.ENSEMBLE.JUDGE or the
+   * first high quality provider) to merge the candidates. Returns { result }
+   * with the structured verdict in result.json, or { error } when judging failed.
+   */
+  async judgeCandidates(message, candidates, options) {
+    const judge = options.judge || CONFIG.AI.ENSEMBLE.JUDGE
+      || this.orderServices(this.getAvailableServices(), { quality: 'high', privateMode: options.privateMode }).services[0]?.id;
+
+    try {
+      const result = await this.generatePureAIResponse(buildJudgePrompt(message, candidates), {
+        history: options.history,
+        provider: judge,
+        privateMode: options.privateMode,
+        clientId: options.clientId,
+        signal: options.signal,
+        temperature: 0,
+        responseFormat: { type: 'json_schema', name: 'ensemble_verdict', schema: JUDGE_SCHEMA }
+      });
+      return { result };
+    } catch (error) {
+      if (options.signal?.aborted) {
+        throw error;
+      }
+      logger.warn('Ensemble judge failed, returning the first answer', { judge, error: error.message });
+      return { error: error.message };
+    }
+  }
+
+  /**
+   * Throw the error for a request where no provider succeeded
+   */
+  throwAllFailed(lastError, attempts, skippedProviders, limitedProviders = []) {
+    const waitable = limitedProviders.filter(limited => limited.reason !== LIMIT_REASONS.REQUEST_SIZE);
+
+    // Waiting would not help a request larger than every tokens-per-minute budget
+    if (attempts === 0 && limitedProviders.length > 0 && waitable.length === 0) {
+      throw new ServiceError(
+        `Request is too large for the tokens-per-minute limits of ${limitedProviders.map(limited => limited.provider).join(', ')}`,
+        null,
+        413,
+        { errorClass: ERROR_CLASSES.CONTEXT_LENGTH }
+      );
+    }
+
+    if (attempts === 0 && limitedProviders.length > 0) {
+      // Concurrency slots have no known wait; suggest a short retry
+      const retryIn = Math.min(...waitable.map(limited => limited.retryIn ?? 1000));
+      throw new ServiceError(
+        `All AI providers are at their request limits (${limitedProviders.map(limited => limited.provider).join(', ')}). Try again in ${Math.ceil(retryIn / 1000)}s.`,
+        null,
+        429,
+        { errorClass: ERROR_CLASSES.RATE_LIMIT, retryAfter: retryIn }
+      );
+    }
+
+    if (attempts === 0) {
+      const cooldown = Math.min(...skippedProviders.map(id => this.getBreaker(id).getCooldownRemaining()));
+      throw new ServiceError(
+        `All AI providers are temporarily skipped after repeated failures (${skippedProviders.join(', ')}). Try again in ${Math.ceil(cooldown / 1000)}s.`,
+        null,
+        503
+      );
+    }
+
     // All services failed
     logger.error(`All AI services failed after ${attempts} attempts`, {
-      lastError: lastError?.message
+      lastError: lastError?.message,
+      skippedProviders
     });
 
     // Better error message for 503 errors
@@ -314,15 +1325,17 @@ class AIServiceManager {
 
   async getServiceStatus() {
     const availableServices = this.getAvailableServices();
-    const hybridStatus = await this.hybridService.getServiceStatus();
+    const health = this.getProviderHealth();
+    const healthy = availableServices.filter((service, index) => health[index].available);
+    const webSearchAvailable = await this.hybridService.webService.isAvailable();
 
     return {
-      totalServices: Object.keys(this.serviceClasses).length,
-      availableServices: availableServices.length,
-      services: availableServices,
-      currentPriority: availableServices[0]?.name || 'None available',
-      hybridCapabilities: hybridStatus.hybridCapabilities,
-      webSearchAvailable: hybridStatus.webSearchAvailable
+      totalServices: this.getProviderIds().length,
+      availableServices: healthy.length,
+      services: availableServices.map((service, index) => ({ ...service, health: health[index].health })),
+      currentPriority: healthy[0]?.name || 'None available',
+      hybridCapabilities: { webSearch: webSearchAvailable, intelligentDecisions: true },
+      webSearchAvailable
     };
   }
 
@@ -339,4 +1352,80 @@ class AIServiceManager {
   }
 }
 
+// Structured verdict the ensemble judge must return
+const JUDGE_SCHEMA = {
+  type: 'object',
+  properties: {
+    answer: { type: 'string', minLength: 1 },
+    agreement: { type: 'number', minimum: 0, maximum: 1 },
+    disagreements: { type: 'array', items: { type: 'string' } }
+  },
+  required: ['answer', 'agreement', 'disagreements']
+};
+
+function buildJudgePrompt(message, candidates) {
+  const answers = candidates
+    .map(({ serviceInfo, result }, index) => `Answer ${index + 1} (${serviceInfo.name}):\n${result.response}`)
+    .join('\n\n');
+
+  return [
+    'Several AI assistants answered the same question. Compare their answers and write the single best answer.',
+    'Keep what they agree on, settle disagreements in favour of the best-supported claim and leave out anything wrong.',
+    'Rate their agreement from 0 (they contradict each other) to 1 (they say the same thing), and list the points they disagree on.',
+    '',
+    `Question:\n${message}`,
+    '',
+    answers
+  ].join('\n');
+}
+
+/**
+ * The provider and model behind a result, passed to onToken with the text
+ */
+function tokenSource(result) {
+  return { provider: result.providerId, model: result.model };
+}
+
+const CONTINUATION_PROMPT = 'Your previous reply was cut off. Continue exactly where it stopped, without repeating anything or adding an introduction.';
+
+/**
+ * Sum the token usage of two provider calls
+ */
+function addUsage(a = {}, b = {}) {
+  return {
+    promptTokens: (a.promptTokens || 0) + (b.promptTokens || 0),
+    completionTokens: (a.completionTokens || 0) + (b.completionTokens || 0),
+    totalTokens: (a.totalTokens || 0) + (b.totalTokens || 0)
+  };
+}
+
+function formatSettings(settings) {
+  return {
+    noTimeoutRestrictions: settings.noTimeoutRestrictions,
+    noTokenLimits: settings.noTokenLimits,
+    allowCompleteResponse: settings.allowCompleteResponse
+  };
+}
+
+/**
+ * Position of a provider in a preference list; unlisted providers sort last
+ * and keep their priority order (Array.prototype.sort is stable)
+ */
+function rankOf(preferred, serviceId) {
+  const index = preferred.indexOf(serviceId);
+  return index === -1 ? preferred.length : index;
+}
+
+let sharedManager = null;
+
+/**
+ * Shared service manager used by all route modules
+ */
+export function getAIServiceManager() {
+  if (!sharedManager) {
+    sharedManager = new AIServiceManager();
+  }
+  return sharedManager;
+}
+
 export default AIServiceManager;
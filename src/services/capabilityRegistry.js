@@ -0,0 +1,85 @@
+/**
+ * Capability Registry - What each provider and model can do, declared as
+ * "capabilities" in priority.json, and whether that covers a request
+ *
+ * "capabilities": {
+ *   "contextLength": 128000,  tokens the prompt may take up; unset means unknown
+ *   "streaming": true,        sends tokens as they are generated
+ *   "tools": true,            tool (function) calling
+ *   "jsonMode": true          takes responseFormat requests
+ * }
+ *
+ * settings.capabilities sets the defaults, a provider's capabilities override
+ * them, and a model entry's capabilities (and contextLength) override its provider's.
+ */
+
+export const CAPABILITY_NAMES = ['contextLength', 'streaming', 'tools', 'jsonMode'];
+
+// Used for anything neither settings.capabilities nor the provider declares
+export const DEFAULT_CAPABILITIES = {
+    contextLength: null,
+    streaming: true,
+    tools: true,
+    jsonMode: true
+};
+
+/**
+ * Capabilities of each model, and of the provider as a whole: a provider can
+ * do something when any of its models can, and its context length is its
+ * largest model's (null when any model's is unknown)
+ */
+export function resolveCapabilities(defaults, providerCapabilities = {}, models = []) {
+    const resolvedModels = models.map(model => ({
+        id: model.id,
+        ...defaults,
+        ...providerCapabilities,
+        ...model.capabilities,
+        ...(model.contextLength && { contextLength: model.contextLength })
+    }));
+
+    const contextLengths = resolvedModels.map(model => model.contextLength);
+    const summary = {
+        contextLength: contextLengths.includes(null) ? null : Math.max(...contextLengths)
+    };
+    for (const name of CAPABILITY_NAMES.filter(name => name !== 'contextLength')) {
+        summary[name] = resolvedModels.some(model => model[name]);
+    }
+
+    return { ...summary, models: resolvedModels };
+}
+
+/**
+ * What a request needs from a provider, given the estimated prompt size in tokens
+ */
+export function getRequirements(options, promptTokens) {
+    return {
+        contextLength: promptTokens,
+        // Structured output is never streamed token by token
+        streaming: Boolean(options.onToken) && !options.responseFormat,
+        tools: Boolean(options.tools?.length || options.serverTools),
+        jsonMode: Boolean(options.responseFormat)
+    };
+}
+
+/**
+ * The first requirement the capabilities do not meet as { capability, reason },
+ * or null when they meet them all
+ */
+export function findUnmetRequirement(capabilities, requirements) {
+    if (capabilities.contextLength && requirements.contextLength > capabilities.contextLength) {
+        return {
+            capability: 'contextLength',
+            reason: `prompt of about ${requirements.contextLength} tokens exceeds its ${capabilities.contextLength}-token context`
+        };
+    }
+    if (requirements.streaming && !capabilities.streaming) {
+        return { capability: 'streaming', reason: 'does not support streaming' };
+    }
+    if (requirements.tools && !capabilities.tools) {
+        return { capability: 'tools', reason: 'does not support tool calling' };
+    }
+    if (requirements.jsonMode && !capabilities.jsonMode) {
+        return { capability: 'jsonMode', reason: 'does not support JSON output' };
+    }
+    return null;
+}
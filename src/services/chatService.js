@@ -0,0 +1,127 @@
+/**
+ * Chat Service - Turns a validated /api/chat body into manager options and
+ * runs the request, loading and saving session history when a sessionId is given
+ */
+
+import { getAIServiceManager } from './aiServiceManager.js';
+import { getPersona, listPersonas, applyPersona } from './personaService.js';
+import { getConversationStore } from './conversationStore.js';
+import { ServiceError } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Build AIServiceManager options from a validated chat request body.
+ * Throws a 400 ServiceError for an unavailable provider or unknown persona.
+ */
+export function buildChatOptions(body) {
+    const {
+        history, toolTurns, hybridMode,
+        provider, model, fallback, persona: personaId,
+        temperature, maxTokens, topP, stop, seed,
+        tools, toolChoice, serverTools, responseFormat, privateMode,
+        strategy, raceSize, hedgeDelay, timeout, quality, mode, ensembleSize, judge
+    } = body;
+
+    if (provider) {
+        getAIServiceManager().assertProviderAvailable(provider, { privateMode });
+    }
+
+    if (judge) {
+        getAIServiceManager().assertProviderAvailable(judge, { privateMode });
+    }
+
+    const options = {
+        hybridMode, history, toolTurns, provider, model, fallback, privateMode,
+        strategy, raceSize, hedgeDelay, timeout, quality, mode, ensembleSize, judge,
+        temperature, maxTokens, topP, stop, seed,
+        tools, toolChoice, serverTools, responseFormat
+    };
+
+    if (!personaId) {
+        return options;
+    }
+
+    const persona = getPersona(personaId);
+    if (!persona) {
+        const validPersonas = listPersonas().map(p => p.id).join(', ');
+        throw new ServiceError(`Persona "${personaId}" not found. Valid personas: ${validPersonas || 'none'}`, null, 400);
+    }
+
+    return applyPersona(persona, options);
+}
+
+/**
+ * Generate a chat response. With a sessionId, stored turns are prepended to
+ * the request history and the new exchange is saved afterwards. Sessions
+ * belong to options.clientId.
+ */
+export async function runChat(message, options, sessionId = null) {
+    const aiManager = getAIServiceManager();
+
+    if (!sessionId) {
+        return aiManager.generateResponse(message, options);
+    }
+
+    const store = getConversationStore();
+    const storedHistory = await store.getHistory(sessionId, options.clientId);
+    const requestHistory = options.history || [];
+
+    // Keep any system turn from the request at the front of the combined history
+    const result = await aiManager.generateResponse(message, {
+        ...options,
+        history: [
+            ...requestHistory.filter(turn => turn.role === 'system'),
+            ...storedHistory,
+            ...requestHistory.filter(turn => turn.role !== 'system')
+        ]
+    });
+
+    await saveExchange(store, sessionId, message, result, options);
+    return result;
+}
+
+/**
+ * Response fields shared by /api/chat, the streaming `done` event and job results
+ */
+export function formatChatResult(result, duration, sessionId = null) {
+    return {
+        ...(sessionId && { sessionId }),
+        provider: result.provider,
+        model: result.model,
+        fallbackUsed: result.fallbackUsed,
+        totalAttempts: result.totalAttempts,
+        responseTime: duration,
+        usage: result.metadata?.usage || {},
+        ...(result.toolCalls && { toolCalls: result.toolCalls }),
+        ...(result.json !== undefined && { json: result.json }),
+        settings: { noTimeoutRestrictions: true, noTokenLimits: true, allowCompleteResponse: true },
+        ...(result.webData && { webData: result.webData }),
+        metadata: result.metadata || {}
+    };
+}
+
+/**
+ * Save the user message and assistant reply. A storage failure is logged
+ * rather than failing a request that already produced an answer.
+ */
+async function saveExchange(store, sessionId, message, result, options) {
+    try {
+        await store.appendMessages(sessionId, [
+            { role: 'user', content: message },
+            {
+                role: 'assistant',
+                content: result.response,
+                provider: result.provider,
+                model: result.model,
+                metadata: {
+                    usage: result.metadata?.usage || {},
+                    responseTime: result.metadata?.responseTime,
+                    webSearchUsed: result.metadata?.webSearchUsed || false,
+                    ...(options.persona && { persona: options.persona })
+                }
+            }
+        ], options.clientId);
+    } catch (error) {
+        logger.warn('Failed to save session messages', { sessionId, error: error.message });
+    }
+}
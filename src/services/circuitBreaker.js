@@ -0,0 +1,150 @@
+/**
+ * Circuit Breaker - Tracks provider health so failing providers are skipped
+ * instead of being retried on every request
+ *
+ * closed    - requests flow normally
+ * open      - requests are skipped until the cooldown ends
+ * half-open - one trial request is let through; success closes the
+ *             circuit, failure opens it again
+ */
+
+import { CONFIG } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+export const CIRCUIT_STATES = {
+    CLOSED: 'closed',
+    OPEN: 'open',
+    HALF_OPEN: 'half-open'
+};
+
+// Client errors caused by the request itself, and requests we cancelled (499),
+// say nothing about provider health
+const HEALTH_NEUTRAL_STATUSES = [400, 404, 413, 422, 499];
+
+class CircuitBreaker {
+    constructor(providerId, settings = CONFIG.CIRCUIT_BREAKER) {
+        this.providerId = providerId;
+        this.settings = settings;
+        this.state = CIRCUIT_STATES.CLOSED;
+        this.consecutiveFailures = 0;
+        this.openedAt = null;
+        this.cooldown = 0;
+        this.trialInFlight = false;
+        this.lastError = null;
+        this.lastSuccessAt = null;
+    }
+
+    /**
+     * Whether a request may be sent now. Moving from open to half-open
+     * reserves the single trial request for the caller.
+     */
+    allowRequest() {
+        if (this.state === CIRCUIT_STATES.CLOSED) {
+            return true;
+        }
+
+        if (this.state === CIRCUIT_STATES.OPEN) {
+            if (this.getCooldownRemaining() > 0) {
+                return false;
+            }
+            this.transition(CIRCUIT_STATES.HALF_OPEN);
+        }
+
+        if (this.trialInFlight) {
+            return false;
+        }
+
+        this.trialInFlight = true;
+        return true;
+    }
+
+    recordSuccess() {
+        this.consecutiveFailures = 0;
+        this.trialInFlight = false;
+        this.lastSuccessAt = new Date().toISOString();
+
+        if (this.state !== CIRCUIT_STATES.CLOSED) {
+            this.transition(CIRCUIT_STATES.CLOSED);
+        }
+    }
+
+    /**
+     * Count a failed request. Quota, rate limit and 503 errors open the circuit at once;
+     * other failures open it after FAILURE_THRESHOLD in a row.
+     */
+    recordFailure(error) {
+        this.trialInFlight = false;
+
+        // Calls held back by the provider limiter never reached the provider
+        if (HEALTH_NEUTRAL_STATUSES.includes(error.status) || error.limited) {
+            return;
+        }
+
+        this.consecutiveFailures++;
+        this.lastError = {
+            message: error.message,
+            status: error.status || 500,
+            errorClass: error.errorClass || null,
+            at: new Date().toISOString()
+        };
+
+        const tripsImmediately = this.settings.TRIP_STATUSES.includes(error.status);
+
+        if (this.state === CIRCUIT_STATES.HALF_OPEN
+            || tripsImmediately
+            || this.consecutiveFailures >= this.settings.FAILURE_THRESHOLD) {
+            this.cooldown = this.getCooldown(error);
+            this.openedAt = Date.now();
+            this.transition(CIRCUIT_STATES.OPEN);
+        }
+    }
+
+    /**
+     * How long to skip the provider: as long as the provider asked for with
+     * Retry-After, otherwise a cooldown for the kind of failure
+     */
+    getCooldown(error) {
+        if (error.retryAfter) {
+            return error.retryAfter;
+        }
+        if (error.status === 402) {
+            return this.settings.QUOTA_COOLDOWN;
+        }
+        return error.status === 429 ? this.settings.RATE_LIMIT_COOLDOWN : this.settings.COOLDOWN;
+    }
+
+    getCooldownRemaining() {
+        if (this.state !== CIRCUIT_STATES.OPEN) {
+            return 0;
+        }
+        return Math.max(this.openedAt + this.cooldown - Date.now(), 0);
+    }
+
+    /**
+     * Health summary for /api/status
+     */
+    getHealth() {
+        // An open circuit whose cooldown has passed will accept the next request
+        const state = this.state === CIRCUIT_STATES.OPEN && this.getCooldownRemaining() === 0
+            ? CIRCUIT_STATES.HALF_OPEN
+            : this.state;
+
+        return {
+            state,
+            consecutiveFailures: this.consecutiveFailures,
+            lastError: this.lastError,
+            lastSuccessAt: this.lastSuccessAt,
+            cooldownRemaining: this.getCooldownRemaining()
+        };
+    }
+
+    transition(state) {
+        logger.info(`Circuit for ${this.providerId} ${this.state} -> ${state}`, {
+            consecutiveFailures: this.consecutiveFailures,
+            ...(state === CIRCUIT_STATES.OPEN && { cooldown: `${this.cooldown}ms`, lastError: this.lastError?.message })
+        });
+        this.state = state;
+    }
+}
+
+export default CircuitBreaker;
@@ -0,0 +1,341 @@
+/**
+ * Conversation Store - Persists chat sessions so follow-up requests can
+ * carry a sessionId instead of resending the full history
+ * Backends: local JSON files (default) or Supabase
+ *
+ * Sessions belong to the API client that created them (getClientId): every
+ * method takes the owner, and another client's session is treated as missing.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createHash } from 'crypto';
+import { createClient } from '@supabase/supabase-js';
+import { CONFIG } from '../config/config.js';
+import { ServiceError } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Session ids are used as file names, so keep them to a safe character set
+export const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Base class for conversation store backends
+ *
+ * A session has the shape:
+ * { id, createdAt, updatedAt, messages: [{ role, content, createdAt, provider?, model?, metadata? }] }
+ */
+export class ConversationStore {
+    async getSession(sessionId, owner) {
+        throw new Error('getSession method must be implemented by subclass');
+    }
+
+    async appendMessages(sessionId, messages, owner) {
+        throw new Error('appendMessages method must be implemented by subclass');
+    }
+
+    async listSessions({ owner, limit, offset }) {
+        throw new Error('listSessions method must be implemented by subclass');
+    }
+
+    async deleteSession(sessionId, owner) {
+        throw new Error('deleteSession method must be implemented by subclass');
+    }
+
+    /**
+     * Prior turns for a session in chat history format, newest turns kept
+     */
+    async getHistory(sessionId, owner) {
+        const session = await this.getSession(sessionId, owner);
+        if (!session) return [];
+
+        return session.messages
+            .slice(-CONFIG.CONVERSATIONS.MAX_HISTORY_MESSAGES)
+            .map(({ role, content }) => ({ role, content }));
+    }
+}
+
+/**
+ * Stores each session as a JSON file under CONFIG.CONVERSATIONS.DIR, in one
+ * directory per owner
+ */
+export class FileConversationStore extends ConversationStore {
+    constructor(directory = CONFIG.CONVERSATIONS.DIR) {
+        super();
+        this.directory = directory;
+        this.locks = new Map();
+        fs.mkdirSync(this.directory, { recursive: true });
+    }
+
+    ownerDirectory(owner) {
+        return path.join(this.directory, ownerKey(owner));
+    }
+
+    sessionPath(sessionId, owner) {
+        return path.join(this.ownerDirectory(owner), `${sessionId}.json`);
+    }
+
+    async getSession(sessionId, owner) {
+        try {
+            const data = await fs.promises.readFile(this.sessionPath(sessionId, owner), 'utf8');
+            return JSON.parse(data);
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async appendMessages(sessionId, messages, owner) {
+        const filePath = this.sessionPath(sessionId, owner);
+
+        // Serialize writes per session so concurrent requests don't drop turns
+        return this.withLock(filePath, async () => {
+            const now = new Date().toISOString();
+            const session = await this.getSession(sessionId, owner) || {
+                id: sessionId,
+                createdAt: now,
+                messages: []
+            };
+
+            session.messages.push(...messages.map(message => ({ createdAt: now, ...message })));
+            session.updatedAt = now;
+
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(session, null, 2));
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+
+            return session;
+        });
+    }
+
+    /**
+     * Sessions are ordered by file modification time, so only the files on
+     * the requested page are read
+     */
+    async listSessions({ owner, limit, offset }) {
+        const directory = this.ownerDirectory(owner);
+        let files;
+        try {
+            files = (await fs.promises.readdir(directory)).filter(file => file.endsWith('.json'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return { sessions: [], total: 0 };
+            throw error;
+        }
+
+        const stats = await Promise.all(files.map(async file => {
+            try {
+                return { file, modified: (await fs.promises.stat(path.join(directory, file))).mtimeMs };
+            } catch (error) {
+                return null; // Deleted since readdir
+            }
+        }));
+        const ordered = stats.filter(Boolean).sort((a, b) => b.modified - a.modified);
+
+        const sessions = await Promise.all(
+            ordered.slice(offset, offset + limit).map(({ file }) => this.getSession(path.basename(file, '.json'), owner))
+        );
+
+        return {
+            sessions: sessions.filter(Boolean).map(summarizeSession),
+            total: ordered.length
+        };
+    }
+
+    async deleteSession(sessionId, owner) {
+        try {
+            await fs.promises.unlink(this.sessionPath(sessionId, owner));
+            return true;
+        } catch (error) {
+            if (error.code === 'ENOENT') return false;
+            throw error;
+        }
+    }
+
+    async withLock(key, fn) {
+        const previous = this.locks.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(fn);
+        this.locks.set(key, current);
+
+        try {
+            return await current;
+        } finally {
+            if (this.locks.get(key) === current) {
+                this.locks.delete(key);
+            }
+        }
+    }
+}
+
+/**
+ * Stores sessions in Supabase using a sessions table and a messages table
+ * (see README for the schema). Rows are keyed by owner and session id.
+ */
+export class SupabaseConversationStore extends ConversationStore {
+    constructor() {
+        super();
+        const { SUPABASE_URL, SUPABASE_KEY, SESSIONS_TABLE, MESSAGES_TABLE } = CONFIG.CONVERSATIONS;
+
+        if (!SUPABASE_URL || !SUPABASE_KEY) {
+            throw new ServiceError('SUPABASE_URL and SUPABASE_KEY are required for the supabase conversation store');
+        }
+
+        this.client = createClient(SUPABASE_URL, SUPABASE_KEY, { auth: { persistSession: false } });
+        this.sessionsTable = SESSIONS_TABLE;
+        this.messagesTable = MESSAGES_TABLE;
+    }
+
+    async getSession(sessionId, owner) {
+        const { data: session, error } = await this.client
+            .from(this.sessionsTable)
+            .select('*')
+            .eq('owner', ownerKey(owner))
+            .eq('id', sessionId)
+            .maybeSingle();
+
+        if (error) throw new ServiceError(`Failed to load session: ${error.message}`);
+        if (!session) return null;
+
+        const { data: messages, error: messagesError } = await this.client
+            .from(this.messagesTable)
+            .select('*')
+            .eq('owner', ownerKey(owner))
+            .eq('session_id', sessionId)
+            .order('id', { ascending: true });
+
+        if (messagesError) throw new ServiceError(`Failed to load session messages: ${messagesError.message}`);
+
+        return {
+            id: session.id,
+            createdAt: session.created_at,
+            updatedAt: session.updated_at,
+            messages: messages.map(row => ({
+                role: row.role,
+                content: row.content,
+                createdAt: row.created_at,
+                ...(row.provider && { provider: row.provider }),
+                ...(row.model && { model: row.model }),
+                ...(row.metadata && { metadata: row.metadata })
+            }))
+        };
+    }
+
+    async appendMessages(sessionId, messages, owner) {
+        const now = new Date().toISOString();
+        const key = ownerKey(owner);
+
+        const { data: existing, error: lookupError } = await this.client
+            .from(this.sessionsTable)
+            .select('message_count')
+            .eq('owner', key)
+            .eq('id', sessionId)
+            .maybeSingle();
+
+        if (lookupError) throw new ServiceError(`Failed to load session: ${lookupError.message}`);
+
+        const { error: sessionError } = await this.client
+            .from(this.sessionsTable)
+            .upsert({
+                owner: key,
+                id: sessionId,
+                updated_at: now,
+                message_count: (existing?.message_count || 0) + messages.length,
+                ...(!existing && { created_at: now, preview: messages[0]?.content.slice(0, 100) })
+            }, { onConflict: 'owner,id' });
+
+        if (sessionError) throw new ServiceError(`Failed to save session: ${sessionError.message}`);
+
+        const { error: messagesError } = await this.client
+            .from(this.messagesTable)
+            .insert(messages.map(message => ({
+                owner: key,
+                session_id: sessionId,
+                role: message.role,
+                content: message.content,
+                provider: message.provider || null,
+                model: message.model || null,
+                metadata: message.metadata || null,
+                created_at: now
+            })));
+
+        if (messagesError) throw new ServiceError(`Failed to save session messages: ${messagesError.message}`);
+    }
+
+    async listSessions({ owner, limit, offset }) {
+        const { data, count, error } = await this.client
+            .from(this.sessionsTable)
+            .select('*', { count: 'exact' })
+            .eq('owner', ownerKey(owner))
+            .order('updated_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (error) throw new ServiceError(`Failed to list sessions: ${error.message}`);
+
+        return {
+            sessions: data.map(row => ({
+                id: row.id,
+                createdAt: row.created_at,
+                updatedAt: row.updated_at,
+                messageCount: row.message_count,
+                preview: row.preview || ''
+            })),
+            total: count || 0
+        };
+    }
+
+    async deleteSession(sessionId, owner) {
+        const key = ownerKey(owner);
+        const { error: messagesError } = await this.client
+            .from(this.messagesTable)
+            .delete()
+            .eq('owner', key)
+            .eq('session_id', sessionId);
+
+        if (messagesError) throw new ServiceError(`Failed to delete session messages: ${messagesError.message}`);
+
+        const { data, error } = await this.client
+            .from(this.sessionsTable)
+            .delete()
+            .eq('owner', key)
+            .eq('id', sessionId)
+            .select('id');
+
+        if (error) throw new ServiceError(`Failed to delete session: ${error.message}`);
+        return data.length > 0;
+    }
+}
+
+/**
+ * Storage key for a session owner: a hash, so client ids (which may be IP
+ * addresses) are safe as directory names and never stored as given
+ */
+function ownerKey(owner) {
+    return createHash('sha256').update(String(owner || 'anonymous')).digest('hex').slice(0, 32);
+}
+
+function summarizeSession(session) {
+    const firstUserMessage = session.messages.find(message => message.role === 'user');
+
+    return {
+        id: session.id,
+        createdAt: session.createdAt,
+        updatedAt: session.updatedAt,
+        messageCount: session.messages.length,
+        preview: firstUserMessage ? firstUserMessage.content.slice(0, 100) : ''
+    };
+}
+
+let sharedStore = null;
+
+/**
+ * Shared conversation store for the configured backend
+ */
+export function getConversationStore() {
+    if (!sharedStore) {
+        const backend = CONFIG.CONVERSATIONS.BACKEND;
+        sharedStore = backend === 'supabase'
+            ? new SupabaseConversationStore()
+            : new FileConversationStore();
+
+        logger.info(`Conversation store initialized`, { backend });
+    }
+    return sharedStore;
+}
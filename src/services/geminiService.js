@@ -23,23 +23,16 @@ class GeminiService extends BaseAIService {
   async makeRequest(options) {
     try {
       const response = await this.client.chat.completions.create({
-        messages: [
-          {
-            role: 'system',
-            content: CONFIG.AI.SYSTEM_PROMPT
-          },
-          {
-            role: 'user',
-            content: options.message
-          }
-        ],
+        messages: options.messages,
         model: options.model,
-        temperature: options.temperature,
-        max_tokens: options.maxTokens
-      });
+        ...this.buildGenerationParams(options)
+      }, { signal: options.signal });
 
       return {
         content: response.choices[0].message.content,
+        finishReason: response.choices[0].finish_reason,
+        refusal: response.choices[0].message.refusal,
+        toolCalls: this.normalizeToolCalls(response.choices[0].message.tool_calls),
         usage: {
           promptTokens: response.usage?.prompt_tokens || 0,
           completionTokens: response.usage?.completion_tokens || 0,
@@ -50,6 +43,22 @@ class GeminiService extends BaseAIService {
       this.handleError(error);
     }
   }
+
+  async makeStreamRequest(options, onToken) {
+    try {
+      const stream = await this.client.chat.completions.create({
+        messages: options.messages,
+        model: options.model,
+        ...this.buildGenerationParams(options),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal: options.signal });
+
+      return await this.collectStream(stream, onToken);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
 }
 
 export default GeminiService;
@@ -6,6 +6,7 @@ import ModelClient, { isUnexpected } from '@azure-rest/ai-inference';
 import { AzureKeyCredential } from '@azure/core-auth';
 import { BaseAIService } from './BaseAIService.js';
 import { CONFIG } from '../config/config.js';
+import { parseSSEStream } from '../utils/helpers.js';
 
 class GitHubOpenAIService extends BaseAIService {
   constructor() {
@@ -26,31 +27,25 @@ class GitHubOpenAIService extends BaseAIService {
     try {
       const response = await this.client.path('/chat/completions').post({
         body: {
-          messages: [
-            {
-              role: 'system',
-              content: CONFIG.AI.SYSTEM_PROMPT
-            },
-            {
-              role: 'user',
-              content: options.message
-            }
-          ],
+          messages: options.messages,
           model: options.model,
-          temperature: options.temperature,
-          max_tokens: options.maxTokens
-        }
+          ...this.buildGenerationParams(options)
+        },
+        abortSignal: options.signal
       });
 
       // Use isUnexpected to check for errors
       if (isUnexpected(response)) {
-        throw response.body.error;
+        throw createResponseError(response, response.body?.error);
       }
 
       const result = response.body;
 
       return {
         content: result.choices[0].message.content,
+        finishReason: result.choices[0].finish_reason,
+        refusal: result.choices[0].message.refusal,
+        toolCalls: this.normalizeToolCalls(result.choices[0].message.tool_calls),
         usage: {
           promptTokens: result.usage?.prompt_tokens || 0,
           completionTokens: result.usage?.completion_tokens || 0,
@@ -61,6 +56,41 @@ class GitHubOpenAIService extends BaseAIService {
       this.handleError(error);
     }
   }
+
+  async makeStreamRequest(options, onToken) {
+    try {
+      const response = await this.client.path('/chat/completions').post({
+        body: {
+          messages: options.messages,
+          model: options.model,
+          ...this.buildGenerationParams(options),
+          stream: true,
+          stream_options: { include_usage: true }
+        },
+        abortSignal: options.signal
+      }).asNodeStream();
+
+      if (response.status !== '200') {
+        throw createResponseError(response);
+      }
+
+      return await this.collectStream(parseSSEStream(response.body), onToken);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+}
+
+/**
+ * Error for a failed response, keeping the status, headers (Retry-After) and
+ * the error code from the body (e.g. content_filter) for classification
+ */
+function createResponseError(response, bodyError = null) {
+  const error = new Error(`GitHub Models API error: ${response.status}${bodyError?.message ? ` ${bodyError.message}` : ''}`);
+  error.status = Number(response.status);
+  error.headers = response.headers;
+  error.code = bodyError?.code;
+  return error;
 }
 
 export default GitHubOpenAIService;
@@ -22,24 +22,17 @@ class GroqService extends BaseAIService {
   async makeRequest(options) {
     try {
       const response = await this.client.chat.completions.create({
-        messages: [
-          {
-            role: 'system',
-            content: CONFIG.AI.SYSTEM_PROMPT
-          },
-          {
-            role: 'user',
-            content: options.message
-          }
-        ],
+        messages: options.messages,
         model: options.model,
-        temperature: options.temperature,
-        max_tokens: options.maxTokens,
-        top_p: 0.9
-      });
+        top_p: 0.9,
+        ...this.buildGenerationParams(options)
+      }, { signal: options.signal });
 
       return {
         content: response.choices[0].message.content,
+        finishReason: response.choices[0].finish_reason,
+        refusal: response.choices[0].message.refusal,
+        toolCalls: this.normalizeToolCalls(response.choices[0].message.tool_calls),
         usage: {
           promptTokens: response.usage.prompt_tokens,
           completionTokens: response.usage.completion_tokens,
@@ -50,6 +43,22 @@ class GroqService extends BaseAIService {
       this.handleError(error);
     }
   }
+
+  async makeStreamRequest(options, onToken) {
+    try {
+      const stream = await this.client.chat.completions.create({
+        messages: options.messages,
+        model: options.model,
+        top_p: 0.9,
+        ...this.buildGenerationParams(options),
+        stream: true
+      }, { signal: options.signal });
+
+      return await this.collectStream(stream, onToken);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
 }
 
 export default GroqService;
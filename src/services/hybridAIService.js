@@ -1,5 +1,6 @@
 import IntelligentDecisionAgent from './intelligentDecisionAgent.js';
 import WebScrapingService from './webScrapingService.js';
+import { addCosts } from './usageLedger.js';
 import { logger } from '../utils/logger.js';
 
 class HybridAIService {
@@ -17,7 +18,9 @@ class HybridAIService {
             this.webServiceAvailable = await this.webService.isAvailable();
         }
 
-        const analysis = await this.decisionAgent.analyzeQuery(userMessage);
+        const analysis = await this.decisionAgent.analyzeQuery(userMessage, options.signal);
+        // The decision is a model call of its own and is billed like one
+        const decision = analysis.call ? this.aiServiceManager.recordUsage(analysis.call, options) : null;
         const shouldUseWeb = analysis.needsWebSearch && this.webServiceAvailable;
         
         let response;
@@ -32,6 +35,9 @@ class HybridAIService {
         response.metadata.totalResponseTime = totalTime;
         response.metadata.webSearchUsed = shouldUseWeb;
         response.metadata.decisionReasoning = analysis.reasoning;
+        if (decision) {
+            response.metadata.cost = addCosts(response.metadata.cost ?? null, decision.metadata.cost);
+        }
 
         return response;
     }
@@ -39,13 +45,17 @@ class HybridAIService {
     async generateHybridResponse(userMessage, analysis, options) {
         try {
             const searchQuery = analysis.searchQuery || userMessage;
-            const webResults = await this.webService.search(searchQuery);
+            const webResults = await this.webService.search(searchQuery, options.signal);
             
             const hybridPrompt = this.createHybridPrompt(userMessage, webResults, analysis);
-            const aiResponse = await this.aiServiceManager.generatePureAIResponse(hybridPrompt, options);
+            // Route on the user's query rather than the prompt wrapped around the web results
+            const aiResponse = await this.aiServiceManager.generatePureAIResponse(hybridPrompt, { ...options, routingQuery: userMessage });
             
             return this.formatHybridResponse(aiResponse, webResults, analysis);
         } catch (error) {
+            if (error.streamStarted || options.signal?.aborted) {
+                throw error;
+            }
             logger.warn('Web search failed, falling back to AI only', { error: error.message });
             return this.generateAIOnlyResponse(userMessage, analysis, options);
         }
@@ -1,4 +1,8 @@
 import { logger } from '../utils/logger.js';
+import { CONFIG } from '../config/config.js';
+import { getMockDecisionModel } from './mockDecisionModel.js';
+
+const DECISION_MODEL = 'gemini-2.0-flash-exp';
 
 class IntelligentDecisionAgent {
     constructor() {
@@ -9,10 +13,21 @@ class IntelligentDecisionAgent {
     }
 
     async initialize() {
+        // In MOCK_MODE decisions are made offline by a scripted model
+        if (CONFIG.MOCK.ENABLED) {
+            this.client = this.model = getMockDecisionModel();
+            this.providerId = 'mock';
+            this.modelName = this.model.name;
+            this.isInitialized = true;
+            return;
+        }
+
         try {
             const { GoogleGenerativeAI } = await import('@google/generative-ai');
             this.client = new GoogleGenerativeAI(this.geminiApiKey);
-            this.model = this.client.getGenerativeModel({ model: 'gemini-2.0-flash-exp' });
+            this.model = this.client.getGenerativeModel({ model: DECISION_MODEL });
+            this.providerId = 'gemini';
+            this.modelName = DECISION_MODEL;
             this.isInitialized = true;
             logger.info('Decision agent initialized with Gemini');
         } catch (error) {
@@ -21,7 +36,7 @@ class IntelligentDecisionAgent {
         }
     }
 
-    async analyzeQuery(userMessage) {
+    async analyzeQuery(userMessage, signal = null) {
         if (!this.isInitialized) {
             await this.initialize();
         }
@@ -41,12 +56,17 @@ class IntelligentDecisionAgent {
                     topP: 0.8,
                     maxOutputTokens: 150,
                 }
-            });
+            }, { signal, timeout: CONFIG.DECISION_AGENT.TIMEOUT });
 
             const responseText = result.response.text();
-            return this.processDecision(responseText, userMessage);
+            return { ...this.processDecision(responseText, userMessage), call: this.describeCall(result.response) };
 
         } catch (error) {
+            // The whole request was cancelled; don't carry on with a default decision
+            if (signal?.aborted) {
+                throw error;
+            }
+
             logger.error('Decision analysis failed', { 
                 error: error.message,
                 query: userMessage.substring(0, 50)
@@ -55,6 +75,25 @@ class IntelligentDecisionAgent {
         }
     }
 
+    /**
+     * The model call behind a decision, shaped like a provider result so
+     * it can be counted in the usage ledger
+     */
+    describeCall(response) {
+        const usage = response.usageMetadata || {};
+        return {
+            providerId: this.providerId,
+            model: this.modelName,
+            metadata: {
+                usage: {
+                    promptTokens: usage.promptTokenCount || 0,
+                    completionTokens: usage.candidatesTokenCount || 0,
+                    totalTokens: usage.totalTokenCount || 0
+                }
+            }
+        };
+    }
+
     buildDecisionPrompt(query) {
         return `CRITICAL DECISION: Only use web search if this query ABSOLUTELY requires CURRENT/LIVE data that changes frequently.
 
@@ -0,0 +1,339 @@
+/**
+ * Job Queue - Runs chat requests in the background for /api/jobs
+ * Jobs are kept in memory and mirrored to JSON files under CONFIG.JOBS.DIR,
+ * so queued and interrupted jobs are picked up again after a restart
+ */
+
+import fs from 'fs';
+import path from 'path';
+import dns from 'dns';
+import net from 'net';
+import { randomUUID } from 'crypto';
+import { CONFIG } from '../config/config.js';
+import { buildChatOptions, runChat, formatChatResult } from './chatService.js';
+import { retryWithBackoff, ServiceError } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Job ids are generated UUIDs and used as file names
+export const JOB_ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+// Callbacks are never sent to this machine or its private networks
+const BLOCKED_CALLBACK_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+    ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+    ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+    BLOCKED_CALLBACK_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+    BLOCKED_CALLBACK_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * A job has the shape:
+ * { id, status: 'queued' | 'running' | 'completed' | 'failed', createdAt, startedAt, finishedAt,
+ *   request, callbackUrl, clientId, result, error, callback: { status, attempts, deliveredAt, error } }
+ */
+class JobQueue {
+    constructor(directory = CONFIG.JOBS.DIR, concurrency = CONFIG.JOBS.CONCURRENCY) {
+        this.directory = directory;
+        this.concurrency = Math.max(concurrency, 1);
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+
+        fs.mkdirSync(this.directory, { recursive: true });
+        this.restore();
+
+        this.pruneTimer = setInterval(() => this.prune(), CONFIG.JOBS.PRUNE_INTERVAL);
+        this.pruneTimer.unref();
+    }
+
+    jobPath(jobId) {
+        return path.join(this.directory, `${jobId}.json`);
+    }
+
+    /**
+     * Load saved jobs, requeue unfinished ones and drop expired finished ones
+     */
+    restore() {
+        const cutoff = retentionCutoff();
+        const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.json'));
+
+        for (const file of files) {
+            let job;
+            try {
+                job = JSON.parse(fs.readFileSync(path.join(this.directory, file), 'utf8'));
+            } catch (error) {
+                logger.warn('Skipping unreadable job file', { file, error: error.message });
+                continue;
+            }
+
+            if (isExpired(job, cutoff)) {
+                fs.rmSync(path.join(this.directory, file), { force: true });
+                continue;
+            }
+
+            this.jobs.set(job.id, job);
+        }
+
+        // Jobs that were running when the process stopped start over
+        const unfinished = [...this.jobs.values()]
+            .filter(job => job.status === 'queued' || job.status === 'running')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const job of unfinished) {
+            job.status = 'queued';
+            job.startedAt = null;
+            this.pending.push(job.id);
+        }
+
+        if (this.jobs.size > 0) {
+            logger.info('Jobs restored', { total: this.jobs.size, requeued: unfinished.length });
+        }
+
+        this.drain();
+    }
+
+    /**
+     * Remove finished jobs older than the retention period
+     */
+    prune() {
+        const cutoff = retentionCutoff();
+        let removed = 0;
+
+        for (const job of this.jobs.values()) {
+            if (isExpired(job, cutoff)) {
+                this.jobs.delete(job.id);
+                fs.rmSync(this.jobPath(job.id), { force: true });
+                removed++;
+            }
+        }
+
+        if (removed > 0) {
+            logger.info('Expired jobs removed', { removed, remaining: this.jobs.size });
+        }
+    }
+
+    /**
+     * Queue a validated chat request body and return the new job. Usage is
+     * accounted to clientId.
+     */
+    async enqueue(request, callbackUrl = null, clientId = null) {
+        const job = {
+            id: randomUUID(),
+            status: 'queued',
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null,
+            request,
+            callbackUrl,
+            clientId,
+            result: null,
+            error: null,
+            callback: null
+        };
+
+        this.jobs.set(job.id, job);
+        await this.save(job);
+
+        this.pending.push(job.id);
+        this.drain();
+
+        return job;
+    }
+
+    get(jobId) {
+        return this.jobs.get(jobId) || null;
+    }
+
+    getStats() {
+        const counts = { queued: 0, running: 0, completed: 0, failed: 0 };
+        for (const job of this.jobs.values()) {
+            counts[job.status]++;
+        }
+        return { ...counts, concurrency: this.concurrency };
+    }
+
+    drain() {
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.jobs.get(this.pending.shift());
+            if (!job) continue;
+
+            this.running++;
+            this.run(job)
+                .catch(error => logger.error('Job runner failed', { jobId: job.id, error: error.message }))
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                });
+        }
+    }
+
+    async run(job) {
+        const startTime = Date.now();
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        await this.save(job);
+
+        const { message, sessionId = null } = job.request;
+
+        try {
+            const options = { ...buildChatOptions(job.request), clientId: job.clientId };
+            const result = await runChat(message, options, sessionId);
+
+            job.status = 'completed';
+            job.result = {
+                response: result.response,
+                ...formatChatResult(result, Date.now() - startTime, sessionId)
+            };
+        } catch (error) {
+            logger.error('Job failed', { jobId: job.id, error: error.message });
+            job.status = 'failed';
+            job.error = { message: error.message, status: error.status || 500 };
+        }
+
+        job.finishedAt = new Date().toISOString();
+        await this.save(job);
+
+        logger.info(`Job ${job.status}`, { jobId: job.id, duration: `${Date.now() - startTime}ms` });
+
+        if (job.callbackUrl) {
+            await this.deliverCallback(job);
+        }
+    }
+
+    /**
+     * POST the finished job to its callbackUrl, retrying with backoff.
+     * The outcome is recorded on the job rather than failing it.
+     */
+    async deliverCallback(job) {
+        const { callback, ...payload } = formatJob(job);
+        let attempts = 0;
+
+        try {
+            await retryWithBackoff(async () => {
+                attempts++;
+
+                // The host may resolve differently than when the job was queued
+                const urlError = await checkCallbackUrl(job.callbackUrl);
+                if (urlError) {
+                    throw new ServiceError(urlError, null, 400);
+                }
+
+                const response = await fetch(job.callbackUrl, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json', 'User-Agent': 'JARVIS-API' },
+                    body: JSON.stringify(payload),
+                    redirect: 'error',
+                    signal: AbortSignal.timeout(CONFIG.JOBS.CALLBACK_TIMEOUT)
+                });
+
+                if (!response.ok) {
+                    throw new ServiceError(`Callback returned HTTP ${response.status}`, null, response.status);
+                }
+                return {};
+            }, CONFIG.JOBS.CALLBACK_RETRIES);
+
+            job.callback = { status: 'delivered', attempts, deliveredAt: new Date().toISOString() };
+        } catch (error) {
+            logger.warn('Job callback failed', { jobId: job.id, attempts, error: error.message });
+            job.callback = { status: 'failed', attempts, error: error.message };
+        }
+
+        await this.save(job);
+    }
+
+    async save(job) {
+        try {
+            const filePath = this.jobPath(job.id);
+            await fs.promises.writeFile(`${filePath}.tmp`, JSON.stringify(job, null, 2));
+            await fs.promises.rename(`${filePath}.tmp`, filePath);
+        } catch (error) {
+            logger.warn('Failed to save job', { jobId: job.id, error: error.message });
+        }
+    }
+}
+
+/**
+ * Check that a callbackUrl is an http(s) URL whose host does not resolve to a
+ * loopback, private, link-local or otherwise internal address. Returns an
+ * error message or null.
+ */
+export async function checkCallbackUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        return 'callbackUrl must be an http or https URL';
+    }
+    if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+        return 'callbackUrl must be an http or https URL';
+    }
+
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (host === 'localhost' || host.endsWith('.localhost')) {
+        return 'callbackUrl must not point to a local or private address';
+    }
+
+    let addresses;
+    try {
+        addresses = net.isIP(host)
+            ? [host]
+            : (await dns.promises.lookup(host, { all: true })).map(entry => entry.address);
+    } catch (error) {
+        return `callbackUrl host ${host} could not be resolved`;
+    }
+
+    if (addresses.some(isBlockedAddress)) {
+        return 'callbackUrl must not point to a local or private address';
+    }
+    return null;
+}
+
+function isBlockedAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        return BLOCKED_CALLBACK_ADDRESSES.check(mapped[1], 'ipv4');
+    }
+    return BLOCKED_CALLBACK_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+function retentionCutoff() {
+    return Date.now() - CONFIG.JOBS.RETENTION_HOURS * 60 * 60 * 1000;
+}
+
+function isExpired(job, cutoff) {
+    return Boolean(job.finishedAt) && Date.parse(job.finishedAt) < cutoff;
+}
+
+/**
+ * Public view of a job - the stored request body is left out
+ */
+export function formatJob(job) {
+    return {
+        id: job.id,
+        status: job.status,
+        createdAt: job.createdAt,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        ...(job.result && { result: job.result }),
+        ...(job.error && { error: job.error }),
+        ...(job.callbackUrl && { callback: job.callback || { status: 'pending' } })
+    };
+}
+
+let sharedQueue = null;
+
+/**
+ * Shared job queue, restoring saved jobs on first use
+ */
+export function getJobQueue() {
+    if (!sharedQueue) {
+        sharedQueue = new JobQueue();
+    }
+    return sharedQueue;
+}
+
+export default JobQueue;
@@ -0,0 +1,125 @@
+/**
+ * Local AI Service Implementation - Ollama / llama.cpp server
+ * Both expose OpenAI-compatible /v1 endpoints, so requests reuse the
+ * OpenAI-compatible service. No API key is needed; availability comes
+ * from probing the server's model list instead.
+ */
+
+import OpenAI from 'openai';
+import OpenAICompatibleService from './openAICompatibleService.js';
+import { CONFIG } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+// Shared across instances: the manager creates a throwaway instance on every
+// availability check, so the probe result can't live on the instance
+const probeState = {
+  available: null, // null until the first probe finishes
+  checkedAt: 0,
+  models: [],
+  error: null,
+  pending: null
+};
+
+class LocalAIService extends OpenAICompatibleService {
+  constructor() {
+    super(CONFIG.PROVIDERS.LOCAL);
+  }
+
+  // The API key is optional for local servers
+  validateApiKey() {
+    return true;
+  }
+
+  /**
+   * Available once a probe has reached the server, until one fails. A stale
+   * result triggers a background re-probe so the next check sees the current
+   * state; the server awaits the first probe before accepting requests.
+   */
+  isAvailable() {
+    if (Date.now() - probeState.checkedAt > this.config.probeInterval) {
+      this.probe().catch(() => {});
+    }
+    return probeState.available === true;
+  }
+
+  hasApiKey() {
+    return this.isAvailable();
+  }
+
+  getProviderInfo() {
+    return {
+      ...super.getProviderInfo(),
+      baseURL: this.config.baseURL,
+      models: probeState.models,
+      lastProbe: probeState.checkedAt ? new Date(probeState.checkedAt).toISOString() : null,
+      ...(probeState.error && { probeError: probeState.error })
+    };
+  }
+
+  /**
+   * Check the server is up by listing its models. Concurrent callers share
+   * one request; a fresh result is reused unless `force` is set.
+   */
+  async probe(force = false) {
+    if (probeState.pending) {
+      return probeState.pending;
+    }
+
+    if (!force && probeState.available !== null && Date.now() - probeState.checkedAt <= this.config.probeInterval) {
+      return { available: probeState.available, models: probeState.models };
+    }
+
+    probeState.pending = this.fetchModels()
+      .then(models => {
+        if (probeState.available !== true) {
+          logger.info(`${this.config.name} is available`, { models: models.length });
+        }
+        Object.assign(probeState, { available: true, models, error: null });
+      })
+      .catch(error => {
+        if (probeState.available !== false) {
+          logger.warn(`${this.config.name} is not reachable`, { baseURL: this.config.baseURL, error: error.message });
+        }
+        Object.assign(probeState, { available: false, models: [], error: error.message });
+      })
+      .then(() => {
+        probeState.checkedAt = Date.now();
+        probeState.pending = null;
+        return { available: probeState.available, models: probeState.models };
+      });
+
+    return probeState.pending;
+  }
+
+  /**
+   * Models installed (Ollama) or loaded (llama.cpp) on the local server
+   */
+  async listModels() {
+    const { models } = await this.probe();
+    return models;
+  }
+
+  async fetchModels() {
+    const response = await fetch(`${this.config.baseURL.replace(/\/+$/, '')}/models`, {
+      headers: this.apiKey ? { Authorization: `Bearer ${this.apiKey}` } : {},
+      signal: AbortSignal.timeout(this.config.probeTimeout)
+    });
+
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status}`);
+    }
+
+    const body = await response.json();
+    return (body.data || []).map(model => model.id);
+  }
+
+  handleError(error) {
+    // Stop routing to the server until a probe finds it again
+    if (error instanceof OpenAI.APIConnectionError) {
+      Object.assign(probeState, { available: false, checkedAt: Date.now(), error: error.message });
+    }
+    super.handleError(error);
+  }
+}
+
+export default LocalAIService;
@@ -0,0 +1,114 @@
+/**
+ * Mock AI Service Implementation - scripted, offline provider for testing
+ * Only available when MOCK_MODE=true. Responses, latencies and errors come
+ * from the `script` steps in the provider's priority.json entry, or from
+ * setScript() in tests (see utils/mockScript.js for the step format).
+ */
+
+import { BaseAIService } from './BaseAIService.js';
+import { CONFIG } from '../config/config.js';
+import { getProviderConfig } from './priorityService.js';
+import { MockScript, runMockStep } from '../utils/mockScript.js';
+import { estimateTokens } from '../utils/helpers.js';
+
+class MockAIService extends BaseAIService {
+  constructor(providerConfig = CONFIG.PROVIDERS.MOCK) {
+    super(providerConfig);
+    this.script = new MockScript(providerConfig.script || loadScript(providerConfig.id));
+    // Request options received, for assertions in tests
+    this.requests = [];
+  }
+
+  validateApiKey() {
+    return true;
+  }
+
+  isAvailable() {
+    return CONFIG.MOCK.ENABLED;
+  }
+
+  hasApiKey() {
+    return this.isAvailable();
+  }
+
+  /**
+   * Replace the script, e.g. to inject errors for a single test
+   */
+  setScript(steps) {
+    this.script.setSteps(steps);
+    this.requests = [];
+  }
+
+  async createClient() {
+    this.client = null;
+  }
+
+  async makeRequest(options) {
+    const { result } = await this.respond(options);
+    return result;
+  }
+
+  /**
+   * Emit the scripted response word by word, waiting `tokenLatency` ms between tokens
+   */
+  async makeStreamRequest(options, onToken) {
+    const { step, result } = await this.respond(options);
+
+    for (const token of result.content.match(/\S+\s*/g) || []) {
+      if (step.tokenLatency) {
+        try {
+          await runMockStep({ latency: step.tokenLatency }, this.config.name, options.signal);
+        } catch (error) {
+          this.handleError(error);
+        }
+      }
+      onToken(token);
+    }
+
+    return result;
+  }
+
+  /**
+   * Play the next script step. Steps may set `response`, `toolCalls`,
+   * `finishReason` and `refusal`; without a response the message is echoed back.
+   */
+  async respond(options) {
+    this.requests.push(options);
+    const step = this.script.next();
+
+    try {
+      await runMockStep(step, this.config.name, options.signal);
+    } catch (error) {
+      this.handleError(error);
+    }
+
+    const content = step.response ?? `Mock response from ${this.config.name}: ${options.message}`;
+    const promptTokens = estimateTokens(options.messages.map(turn => turn.content || '').join('\n'));
+    const completionTokens = estimateTokens(content);
+
+    return {
+      step,
+      result: {
+        content,
+        finishReason: step.finishReason || (step.toolCalls ? 'tool_calls' : 'stop'),
+        refusal: step.refusal,
+        toolCalls: this.normalizeToolCalls(step.toolCalls),
+        usage: {
+          promptTokens,
+          completionTokens,
+          totalTokens: promptTokens + completionTokens
+        }
+      }
+    };
+  }
+}
+
+function loadScript(providerId) {
+  try {
+    return getProviderConfig(providerId).script || [];
+  } catch (error) {
+    return [];
+  }
+}
+
+export default MockAIService;
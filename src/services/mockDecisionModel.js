@@ -0,0 +1,82 @@
+/**
+ * Mock Decision Model - stands in for the Gemini model used by
+ * IntelligentDecisionAgent in MOCK_MODE
+ * Answers generateContent() like Gemini does, so the agent's prompt,
+ * parsing and confidence checks all run unchanged.
+ */
+
+import { MockScript, runMockStep } from '../utils/mockScript.js';
+import { estimateTokens } from '../utils/helpers.js';
+
+// Queries that ask for live data get a web search decision by default
+const LIVE_DATA_PATTERN = /\b(today|now|current|currently|latest|news|weather|price|prices|score|live)\b/i;
+
+class MockDecisionModel {
+    constructor() {
+        this.name = 'mock-decision';
+        this.script = new MockScript();
+        // Queries analysed, for assertions in tests
+        this.queries = [];
+    }
+
+    /**
+     * Steps may set `decision` ({ needsWebSearch, confidence, reasoning, searchQuery })
+     * or `text` for a raw model reply. Without either, a keyword rule decides.
+     */
+    setScript(steps) {
+        this.script.setSteps(steps);
+        this.queries = [];
+    }
+
+    async generateContent(request, requestOptions = {}) {
+        const prompt = request.contents[0].parts[0].text;
+        const query = prompt.match(/QUERY: "([\s\S]*?)"\n/)?.[1] || '';
+        this.queries.push(query);
+
+        const step = this.script.next();
+        await runMockStep(step, 'Mock decision model', requestOptions.signal);
+
+        const text = step.text ?? JSON.stringify(step.decision ?? decide(query));
+        const promptTokenCount = estimateTokens(prompt);
+        const candidatesTokenCount = estimateTokens(text);
+
+        return {
+            response: {
+                text: () => text,
+                usageMetadata: { promptTokenCount, candidatesTokenCount, totalTokenCount: promptTokenCount + candidatesTokenCount }
+            }
+        };
+    }
+}
+
+function decide(query) {
+    if (LIVE_DATA_PATTERN.test(query)) {
+        return {
+            needsWebSearch: true,
+            confidence: 0.95,
+            reasoning: 'Mock decision: query asks for live data',
+            searchQuery: query
+        };
+    }
+
+    return {
+        needsWebSearch: false,
+        confidence: 0.9,
+        reasoning: 'Mock decision: answerable from model knowledge',
+        searchQuery: ''
+    };
+}
+
+let sharedModel = null;
+
+/**
+ * Shared model, so a script set in a test applies to every agent
+ */
+export function getMockDecisionModel() {
+    if (!sharedModel) {
+        sharedModel = new MockDecisionModel();
+    }
+    return sharedModel;
+}
+
+export default MockDecisionModel;
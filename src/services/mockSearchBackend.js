@@ -0,0 +1,67 @@
+/**
+ * Mock Search Backend - stands in for the web scraping API in MOCK_MODE
+ * Returns results in the scraping API's format, so WebScrapingService
+ * formatting and the hybrid prompt are exercised unchanged.
+ */
+
+import { MockScript, runMockStep } from '../utils/mockScript.js';
+
+class MockSearchBackend {
+    constructor() {
+        this.available = true;
+        this.script = new MockScript();
+        // Queries received, for assertions in tests
+        this.queries = [];
+    }
+
+    isAvailable() {
+        return this.available;
+    }
+
+    setAvailable(available) {
+        this.available = available;
+    }
+
+    /**
+     * Steps may set `results` ([{ title, link, snippet }]) and `relatedQuestions`.
+     * Without results, three deterministic results are generated from the query.
+     */
+    setScript(steps) {
+        this.script.setSteps(steps);
+        this.queries = [];
+    }
+
+    async search(query, signal = null) {
+        this.queries.push(query);
+        const step = this.script.next();
+        await runMockStep(step, 'Mock search', signal);
+
+        return {
+            organic_results: step.results ?? generateResults(query),
+            related_questions: step.relatedQuestions ?? []
+        };
+    }
+}
+
+function generateResults(query) {
+    return [1, 2, 3].map(position => ({
+        title: `Mock result ${position} for ${query}`,
+        link: `https://example.com/mock/${position}?q=${encodeURIComponent(query)}`,
+        snippet: `Mock snippet ${position} about ${query}.`,
+        displayed_link: 'example.com'
+    }));
+}
+
+let sharedBackend = null;
+
+/**
+ * Shared backend, so a script set in a test applies to every search caller
+ */
+export function getMockSearchBackend() {
+    if (!sharedBackend) {
+        sharedBackend = new MockSearchBackend();
+    }
+    return sharedBackend;
+}
+
+export default MockSearchBackend;
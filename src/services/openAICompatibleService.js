@@ -0,0 +1,80 @@
+/**
+ * Generic OpenAI-compatible Service Implementation
+ * Backs providers declared in priority.json with "type": "openai-compatible"
+ * (vLLM, LM Studio, Ollama, Together, ...)
+ */
+
+import OpenAI from 'openai';
+import { BaseAIService } from './BaseAIService.js';
+
+class OpenAICompatibleService extends BaseAIService {
+  constructor(providerConfig) {
+    super(providerConfig);
+  }
+
+  // Providers declared without an envKey (e.g. local servers) need no API key
+  validateApiKey() {
+    return this.config.envKey ? super.validateApiKey() : true;
+  }
+
+  isAvailable() {
+    return this.config.envKey ? super.isAvailable() : true;
+  }
+
+  hasApiKey() {
+    return this.config.envKey ? super.hasApiKey() : true;
+  }
+
+  async createClient() {
+    this.client = new OpenAI({
+      // The SDK requires a key even when the server ignores it
+      apiKey: this.apiKey || 'not-needed',
+      baseURL: this.config.baseURL,
+      defaultHeaders: this.config.headers,
+      timeout: this.config.timeout,
+      maxRetries: 0
+    });
+  }
+
+  async makeRequest(options) {
+    try {
+      const response = await this.client.chat.completions.create({
+        messages: options.messages,
+        model: options.model,
+        ...this.buildGenerationParams(options)
+      }, { signal: options.signal });
+
+      return {
+        content: response.choices[0].message.content,
+        finishReason: response.choices[0].finish_reason,
+        refusal: response.choices[0].message.refusal,
+        toolCalls: this.normalizeToolCalls(response.choices[0].message.tool_calls),
+        usage: {
+          promptTokens: response.usage?.prompt_tokens || 0,
+          completionTokens: response.usage?.completion_tokens || 0,
+          totalTokens: response.usage?.total_tokens || 0
+        }
+      };
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+
+  async makeStreamRequest(options, onToken) {
+    try {
+      const stream = await this.client.chat.completions.create({
+        messages: options.messages,
+        model: options.model,
+        ...this.buildGenerationParams(options),
+        stream: true,
+        stream_options: { include_usage: true }
+      }, { signal: options.signal });
+
+      return await this.collectStream(stream, onToken);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+}
+
+export default OpenAICompatibleService;
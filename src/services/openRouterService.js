@@ -5,6 +5,7 @@
 import fetch from 'node-fetch';
 import { BaseAIService } from './BaseAIService.js';
 import { CONFIG } from '../config/config.js';
+import { parseSSEStream } from '../utils/helpers.js';
 
 class OpenRouterService extends BaseAIService {
   constructor() {
@@ -31,30 +32,24 @@ class OpenRouterService extends BaseAIService {
         headers: this.client.headers,
         body: JSON.stringify({
           model: options.model,
-          messages: [
-            { 
-              role: 'system', 
-              content: CONFIG.AI.SYSTEM_PROMPT 
-            },
-            { 
-              role: 'user', 
-              content: options.message 
-            }
-          ],
-          temperature: options.temperature,
-          max_tokens: options.maxTokens,
-          top_p: 0.9
-        })
+          messages: options.messages,
+          top_p: 0.9,
+          ...this.buildGenerationParams(options)
+        }),
+        signal: options.signal
       });
 
       if (!response.ok) {
-        throw new Error(`OpenRouter API error: ${response.status} ${response.statusText}`);
+        throw await createResponseError(response);
       }
 
       const result = await response.json();
       
       return {
         content: result.choices[0].message.content,
+        finishReason: result.choices[0].finish_reason,
+        refusal: result.choices[0].message.refusal,
+        toolCalls: this.normalizeToolCalls(result.choices[0].message.tool_calls),
         usage: {
           promptTokens: result.usage?.prompt_tokens || 0,
           completionTokens: result.usage?.completion_tokens || 0,
@@ -65,6 +60,44 @@ class OpenRouterService extends BaseAIService {
       this.handleError(error);
     }
   }
+
+  async makeStreamRequest(options, onToken) {
+    try {
+      const response = await fetch(this.client.endpoint, {
+        method: 'POST',
+        headers: this.client.headers,
+        body: JSON.stringify({
+          model: options.model,
+          messages: options.messages,
+          top_p: 0.9,
+          ...this.buildGenerationParams(options),
+          stream: true,
+          stream_options: { include_usage: true }
+        }),
+        signal: options.signal
+      });
+
+      if (!response.ok) {
+        throw await createResponseError(response);
+      }
+
+      return await this.collectStream(parseSSEStream(response.body), onToken);
+    } catch (error) {
+      this.handleError(error);
+    }
+  }
+}
+
+/**
+ * Error for a failed response, keeping the status, headers (Retry-After) and
+ * OpenRouter's own error message for classification
+ */
+async function createResponseError(response) {
+  const body = await response.json().catch(() => null);
+  const error = new Error(`OpenRouter API error: ${response.status} ${body?.error?.message || response.statusText}`);
+  error.status = response.status;
+  error.headers = response.headers;
+  return error;
 }
 
 export default OpenRouterService;
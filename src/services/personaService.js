@@ -0,0 +1,186 @@
+/**
+ * Persona Service - Manages named system prompts based on personas.json
+ * Each persona carries its own default temperature, preferred provider order
+ * and hybrid-mode default
+ */
+
+import fs from 'fs';
+import { CONFIG } from '../config/config.js';
+import { ServiceError } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const PERSONA_FILE = 'personas.json';
+
+let personaConfig = null;
+
+/**
+ * Load persona configuration from personas.json
+ */
+export function loadPersonaConfig() {
+    try {
+        if (!fs.existsSync(PERSONA_FILE)) {
+            personaConfig = { version: '1.0.0', personas: [] };
+            return personaConfig;
+        }
+
+        const data = fs.readFileSync(PERSONA_FILE, 'utf8');
+        personaConfig = JSON.parse(data);
+
+        if (!personaConfig.personas || !Array.isArray(personaConfig.personas)) {
+            throw new Error('Invalid personas.json: personas array is required');
+        }
+
+        logger.info('Persona configuration loaded successfully');
+        return personaConfig;
+    } catch (error) {
+        logger.error('Failed to load persona configuration', { error: error.message });
+        throw error;
+    }
+}
+
+/**
+ * Reload persona configuration (clears cache)
+ */
+export function reloadPersonaConfig() {
+    personaConfig = null;
+    return loadPersonaConfig();
+}
+
+/**
+ * List all personas
+ */
+export function listPersonas() {
+    const config = personaConfig || loadPersonaConfig();
+    return config.personas;
+}
+
+/**
+ * Get a persona by ID, or null when it does not exist
+ */
+export function getPersona(personaId) {
+    return listPersonas().find(p => p.id === personaId) || null;
+}
+
+/**
+ * Create a new persona
+ */
+export function createPersona(data) {
+    const config = personaConfig || loadPersonaConfig();
+
+    if (config.personas.some(p => p.id === data.id)) {
+        throw new ServiceError(`Persona ${data.id} already exists`, null, 409);
+    }
+
+    const persona = normalizePersona(data);
+    config.personas.push(persona);
+    savePersonaConfig(config);
+
+    logger.info(`Created persona ${persona.id}`);
+    return persona;
+}
+
+/**
+ * Update an existing persona; the ID cannot be changed
+ */
+export function updatePersona(personaId, data) {
+    const config = personaConfig || loadPersonaConfig();
+
+    const index = config.personas.findIndex(p => p.id === personaId);
+    if (index === -1) {
+        throw new ServiceError(`Persona ${personaId} not found`, null, 404);
+    }
+
+    const persona = normalizePersona({ ...config.personas[index], ...data, id: personaId });
+    config.personas[index] = persona;
+    savePersonaConfig(config);
+
+    logger.info(`Updated persona ${personaId}`);
+    return persona;
+}
+
+/**
+ * Delete a persona
+ */
+export function deletePersona(personaId) {
+    const config = personaConfig || loadPersonaConfig();
+
+    const index = config.personas.findIndex(p => p.id === personaId);
+    if (index === -1) {
+        throw new ServiceError(`Persona ${personaId} not found`, null, 404);
+    }
+
+    const [removed] = config.personas.splice(index, 1);
+    savePersonaConfig(config);
+
+    logger.info(`Deleted persona ${personaId}`);
+    return removed;
+}
+
+/**
+ * Merge persona defaults into request options.
+ * Values set explicitly on the request always win.
+ */
+export function applyPersona(persona, options) {
+    return {
+        ...options,
+        systemPrompt: persona.systemPrompt,
+        temperature: options.temperature ?? persona.temperature,
+        hybridMode: options.hybridMode ?? persona.hybridMode,
+        preferredProviders: persona.providers,
+        persona: persona.id
+    };
+}
+
+/**
+ * Validate persona fields, returning an error message or null
+ */
+export function validatePersona(data, { partial = false } = {}) {
+    if (!data || typeof data !== 'object') {
+        return 'Persona must be an object';
+    }
+
+    if (!partial && (typeof data.id !== 'string' || !/^[a-z0-9][a-z0-9-]*$/.test(data.id))) {
+        return 'Persona id must be lowercase letters, numbers and dashes';
+    }
+
+    if ((!partial || data.systemPrompt !== undefined) &&
+        (typeof data.systemPrompt !== 'string' || !data.systemPrompt.trim())) {
+        return 'Persona systemPrompt must be a non-empty string';
+    }
+
+    if (data.temperature !== undefined &&
+        (typeof data.temperature !== 'number' ||
+         data.temperature < CONFIG.AI.MIN_TEMPERATURE ||
+         data.temperature > CONFIG.AI.MAX_TEMPERATURE)) {
+        return `Persona temperature must be between ${CONFIG.AI.MIN_TEMPERATURE} and ${CONFIG.AI.MAX_TEMPERATURE}`;
+    }
+
+    if (data.providers !== undefined &&
+        (!Array.isArray(data.providers) || !data.providers.every(id => typeof id === 'string'))) {
+        return 'Persona providers must be an array of provider ids';
+    }
+
+    if (data.hybridMode !== undefined && typeof data.hybridMode !== 'boolean') {
+        return 'Persona hybridMode must be a boolean';
+    }
+
+    return null;
+}
+
+function normalizePersona(data) {
+    return {
+        id: data.id,
+        name: data.name || data.id,
+        description: data.description || '',
+        systemPrompt: data.systemPrompt.trim(),
+        temperature: data.temperature ?? CONFIG.AI.DEFAULT_TEMPERATURE,
+        providers: data.providers || [],
+        hybridMode: data.hybridMode ?? true
+    };
+}
+
+function savePersonaConfig(config) {
+    config.lastUpdated = new Date().toISOString();
+    fs.writeFileSync(PERSONA_FILE, JSON.stringify(config, null, 2));
+    personaConfig = config;
+}
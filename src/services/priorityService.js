@@ -6,9 +6,16 @@
 import fs from 'fs';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { ROUTING_STRATEGIES } from './routingStrategies.js';
+import { QUERY_CLASSES } from './queryRouter.js';
+import { CAPABILITY_NAMES, DEFAULT_CAPABILITIES, resolveCapabilities } from './capabilityRegistry.js';
 
 const PRIORITY_FILE = 'priority.json';
 
+// Providers of these types are created from priority.json alone
+export const COMPATIBLE_PROVIDER_TYPE = 'openai-compatible';
+export const MOCK_PROVIDER_TYPE = 'mock';
+
 let priorityConfig = null;
 
 /**
@@ -28,6 +35,40 @@ export function loadPriorityConfig() {
             throw new Error('Invalid priority.json: providers array is required');
         }
 
+        priorityConfig.providers
+            .filter(provider => provider.models !== undefined)
+            .forEach(validateProviderModels);
+
+        priorityConfig.providers
+            .filter(provider => provider.limits !== undefined)
+            .forEach(validateProviderLimits);
+
+        priorityConfig.providers
+            .filter(provider => provider.weight !== undefined)
+            .forEach(validateProviderWeight);
+
+        priorityConfig.providers
+            .filter(provider => provider.capabilities !== undefined)
+            .forEach(provider => validateCapabilities(provider.capabilities, `provider ${provider.id}`));
+
+        if (priorityConfig.settings?.capabilities !== undefined) {
+            validateCapabilities(priorityConfig.settings.capabilities, 'settings');
+        }
+
+        validateRoutingStrategy(priorityConfig.settings?.routing);
+
+        if (priorityConfig.settings?.queryRouting !== undefined) {
+            validateQueryRouting(priorityConfig.settings.queryRouting);
+        }
+
+        priorityConfig.providers
+            .filter(provider => provider.type === COMPATIBLE_PROVIDER_TYPE)
+            .forEach(validateCompatibleProvider);
+
+        priorityConfig.providers
+            .filter(provider => provider.type === MOCK_PROVIDER_TYPE)
+            .forEach(validateMockProvider);
+
         logger.info('Priority configuration loaded successfully');
         return priorityConfig;
     } catch (error) {
@@ -36,6 +77,149 @@ export function loadPriorityConfig() {
     }
 }
 
+/**
+ * Check a provider's `models` fallback list. Entries are model ids or
+ * { id, contextLength, maxOutputTokens, capabilities } objects.
+ */
+function validateProviderModels(provider) {
+    if (!Array.isArray(provider.models) || provider.models.length === 0) {
+        throw new Error(`Invalid priority.json: models for provider ${provider.id} must be a non-empty array`);
+    }
+
+    provider.models.forEach((model, index) => {
+        const id = typeof model === 'string' ? model : model?.id;
+        if (typeof id !== 'string' || !id) {
+            throw new Error(`Invalid priority.json: models[${index}] for provider ${provider.id} needs a model id`);
+        }
+
+        for (const limit of ['contextLength', 'maxOutputTokens']) {
+            if (model[limit] !== undefined && (!Number.isInteger(model[limit]) || model[limit] < 1)) {
+                throw new Error(`Invalid priority.json: ${limit} for model ${id} must be a positive integer`);
+            }
+        }
+
+        if (model.capabilities !== undefined) {
+            validateCapabilities(model.capabilities, `model ${id}`);
+        }
+    });
+}
+
+/**
+ * Check a provider's `limits`: concurrency, rpm and tpm are all optional
+ * positive integers
+ */
+function validateProviderLimits(provider) {
+    if (!provider.limits || typeof provider.limits !== 'object' || Array.isArray(provider.limits)) {
+        throw new Error(`Invalid priority.json: limits for provider ${provider.id} must be an object`);
+    }
+
+    for (const [name, value] of Object.entries(provider.limits)) {
+        if (!['concurrency', 'rpm', 'tpm'].includes(name)) {
+            throw new Error(`Invalid priority.json: unknown limit ${name} for provider ${provider.id}`);
+        }
+        if (!Number.isInteger(value) || value < 1) {
+            throw new Error(`Invalid priority.json: ${name} limit for provider ${provider.id} must be a positive integer`);
+        }
+    }
+}
+
+/**
+ * Check a `capabilities` object: contextLength is a positive integer (or null
+ * for unknown) and the rest are booleans
+ */
+function validateCapabilities(capabilities, owner) {
+    if (!capabilities || typeof capabilities !== 'object' || Array.isArray(capabilities)) {
+        throw new Error(`Invalid priority.json: capabilities for ${owner} must be an object`);
+    }
+
+    for (const [name, value] of Object.entries(capabilities)) {
+        if (!CAPABILITY_NAMES.includes(name)) {
+            throw new Error(`Invalid priority.json: unknown capability ${name} for ${owner} (use ${CAPABILITY_NAMES.join(', ')})`);
+        }
+        if (name === 'contextLength') {
+            if (value !== null && (!Number.isInteger(value) || value < 1)) {
+                throw new Error(`Invalid priority.json: contextLength capability for ${owner} must be a positive integer or null`);
+            }
+        } else if (typeof value !== 'boolean') {
+            throw new Error(`Invalid priority.json: ${name} capability for ${owner} must be a boolean`);
+        }
+    }
+}
+
+/**
+ * Check a provider's `weight` for weighted routing
+ */
+function validateProviderWeight(provider) {
+    if (typeof provider.weight !== 'number' || !(provider.weight > 0)) {
+        throw new Error(`Invalid priority.json: weight for provider ${provider.id} must be a positive number`);
+    }
+}
+
+/**
+ * Check settings.routing names a known routing strategy
+ */
+function validateRoutingStrategy(strategy) {
+    const strategies = Object.values(ROUTING_STRATEGIES);
+    if (strategy !== undefined && !strategies.includes(strategy)) {
+        throw new Error(`Invalid priority.json: settings.routing must be one of ${strategies.join(', ')}`);
+    }
+}
+
+/**
+ * Check settings.queryRouting: { enabled, rules: { <query class>: [<quality>, ...] } }
+ */
+function validateQueryRouting(queryRouting) {
+    if (!queryRouting || typeof queryRouting !== 'object' || Array.isArray(queryRouting)) {
+        throw new Error('Invalid priority.json: settings.queryRouting must be an object');
+    }
+
+    if (queryRouting.enabled !== undefined && typeof queryRouting.enabled !== 'boolean') {
+        throw new Error('Invalid priority.json: settings.queryRouting.enabled must be a boolean');
+    }
+
+    const classes = Object.values(QUERY_CLASSES);
+    for (const [queryClass, qualities] of Object.entries(queryRouting.rules || {})) {
+        if (!classes.includes(queryClass)) {
+            throw new Error(`Invalid priority.json: unknown query class ${queryClass} in settings.queryRouting.rules (use ${classes.join(', ')})`);
+        }
+        if (!Array.isArray(qualities) || !qualities.every(quality => typeof quality === 'string')) {
+            throw new Error(`Invalid priority.json: settings.queryRouting.rules.${queryClass} must be an array of quality tags`);
+        }
+    }
+}
+
+/**
+ * Check the fields an OpenAI-compatible provider entry needs
+ */
+function validateCompatibleProvider(provider) {
+    if (!provider.id || !(provider.model || provider.models)) {
+        throw new Error(`Invalid priority.json: ${COMPATIBLE_PROVIDER_TYPE} provider ${provider.id || '(no id)'} needs an id and a model`);
+    }
+
+    try {
+        new URL(provider.baseURL);
+    } catch (error) {
+        throw new Error(`Invalid priority.json: provider ${provider.id} needs a valid baseURL`);
+    }
+
+    if (provider.headers !== undefined && (typeof provider.headers !== 'object' || Array.isArray(provider.headers))) {
+        throw new Error(`Invalid priority.json: headers for provider ${provider.id} must be an object`);
+    }
+}
+
+/**
+ * Check the fields a mock provider entry needs
+ */
+function validateMockProvider(provider) {
+    if (!provider.id || !(provider.model || provider.models)) {
+        throw new Error(`Invalid priority.json: ${MOCK_PROVIDER_TYPE} provider ${provider.id || '(no id)'} needs an id and a model`);
+    }
+
+    if (provider.script !== undefined && !Array.isArray(provider.script)) {
+        throw new Error(`Invalid priority.json: script for provider ${provider.id} must be an array of steps`);
+    }
+}
+
 /**
  * Reload priority configuration (clears cache)
  */
@@ -69,6 +253,41 @@ export function getProviderConfig(providerId) {
     return provider;
 }
 
+/**
+ * Get the providers declared in priority.json with a `type` (OpenAI-compatible
+ * or mock), enabled or not
+ */
+export function getDeclaredProviders() {
+    const config = priorityConfig || loadPriorityConfig();
+
+    return config.providers.filter(provider =>
+        provider.type === COMPATIBLE_PROVIDER_TYPE || provider.type === MOCK_PROVIDER_TYPE
+    );
+}
+
+/**
+ * Get the routing strategy that orders providers for each request
+ */
+export function getRoutingStrategy() {
+    const config = priorityConfig || loadPriorityConfig();
+    return config.settings?.routing || ROUTING_STRATEGIES.STATIC;
+}
+
+/**
+ * Get query routing settings ({ enabled, rules }), or null when not configured
+ */
+export function getQueryRoutingSettings() {
+    const config = priorityConfig || loadPriorityConfig();
+    return config.settings?.queryRouting || null;
+}
+
+/**
+ * Get a provider's weight for weighted routing (default 1)
+ */
+export function getProviderWeight(providerId) {
+    return getProviderConfig(providerId).weight ?? 1;
+}
+
 /**
  * Get priority settings (no restrictions)
  */
@@ -78,7 +297,7 @@ export function getPrioritySettings() {
     return {
         noTimeoutRestrictions: config.settings?.noTimeoutRestrictions || true,
         noTokenLimits: config.settings?.noTokenLimits || true,
-        allowCompleteResponse: config.settings?.allowCompleteResponse || true,
+        allowCompleteResponse: config.settings?.allowCompleteResponse ?? true,
         maxTokens: null, // No token limit
         timeoutThreshold: null, // No timeout
         retryCount: 1 // Only try once per provider
@@ -164,17 +383,40 @@ export function toggleProvider(providerId, enabled) {
 }
 
 /**
- * Get model for specific provider from priority.json
+ * Get the primary model for specific provider from priority.json
  */
 export function getProviderModel(providerId) {
-    const config = priorityConfig || loadPriorityConfig();
-    const provider = config.providers.find(p => p.id === providerId);
+    return getProviderModels(providerId)[0].id;
+}
 
-    if (!provider) {
-        throw new Error(`Provider ${providerId} not found in priority configuration`);
-    }
+/**
+ * Get a provider's concurrency and rate limits, or null when it has none
+ */
+export function getProviderLimits(providerId) {
+    return getProviderConfig(providerId).limits || null;
+}
+
+/**
+ * Get the ordered model fallback list for a provider as
+ * { id, contextLength, maxOutputTokens } entries.
+ * `models` replaces the single `model` when both are set.
+ */
+export function getProviderModels(providerId) {
+    const provider = getProviderConfig(providerId);
+
+    const models = provider.models || [provider.model];
+    return models.map(model => (typeof model === 'string' ? { id: model } : { ...model }));
+}
+
+/**
+ * Get what a provider and each of its models can do, as resolved by
+ * resolveCapabilities from settings.capabilities and the provider's entry
+ */
+export function getProviderCapabilities(providerId) {
+    const config = priorityConfig || loadPriorityConfig();
+    const defaults = { ...DEFAULT_CAPABILITIES, ...config.settings?.capabilities };
 
-    return provider.model;
+    return resolveCapabilities(defaults, getProviderConfig(providerId).capabilities, getProviderModels(providerId));
 }
 
 // Load configuration on module import
@@ -0,0 +1,219 @@
+/**
+ * Provider Limiter - Keeps requests to a provider within the limits set in
+ * its priority.json entry, so the manager can skip (or briefly queue for) a
+ * provider instead of sending a request that would get a 429
+ *
+ * "limits": {
+ *   "concurrency": 2,  requests in flight at once
+ *   "rpm": 30,         requests per minute
+ *   "tpm": 6000        tokens (prompt + completion) per minute
+ * }
+ *
+ * Requests and tokens per minute are token buckets that refill continuously.
+ * Token use is estimated up front and corrected with the reported usage.
+ */
+
+import { logger } from '../utils/logger.js';
+
+const MINUTE = 60000;
+
+export const LIMIT_REASONS = {
+    CONCURRENCY: 'concurrency',
+    RPM: 'rpm',
+    TPM: 'tpm',
+    // The request needs more tokens than the tpm budget holds, so it never fits
+    REQUEST_SIZE: 'request_size'
+};
+
+class TokenBucket {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.available = capacity;
+        this.updatedAt = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.available = Math.min(this.capacity, this.available + (now - this.updatedAt) * this.capacity / MINUTE);
+        this.updatedAt = now;
+    }
+
+    /**
+     * Milliseconds until `amount` is available; callers check `amount`
+     * against the capacity first
+     */
+    getWait(amount) {
+        this.refill();
+        return this.available >= amount ? 0 : Math.ceil((amount - this.available) * MINUTE / this.capacity);
+    }
+
+    /**
+     * Take `amount`; a negative amount gives tokens back. The balance may go
+     * negative when usage turns out higher than estimated.
+     */
+    take(amount) {
+        this.refill();
+        this.available = Math.min(this.capacity, this.available - amount);
+    }
+
+    getRemaining() {
+        this.refill();
+        return Math.max(Math.floor(this.available), 0);
+    }
+}
+
+class ProviderLimiter {
+    constructor(providerId, limits = {}) {
+        this.providerId = providerId;
+        this.concurrency = limits.concurrency || null;
+        this.requests = limits.rpm ? new TokenBucket(limits.rpm) : null;
+        this.tokens = limits.tpm ? new TokenBucket(limits.tpm) : null;
+        this.active = 0;
+        // Callers waiting for a slot, woken on every release
+        this.waiters = new Set();
+    }
+
+    /**
+     * Why a request of `tokens` cannot start now and how long until it could,
+     * or null when it can start. retryIn is null while waiting on concurrency
+     * and for a request too large to ever fit. A caller that already holds a
+     * slot (holdsSlot) is not held back by the concurrency limit.
+     */
+    check(tokens, holdsSlot = false) {
+        if (this.tokens && tokens > this.tokens.capacity) {
+            return { reason: LIMIT_REASONS.REQUEST_SIZE, retryIn: null };
+        }
+
+        if (this.concurrency && !holdsSlot && this.active >= this.concurrency) {
+            return { reason: LIMIT_REASONS.CONCURRENCY, retryIn: null };
+        }
+
+        const requestWait = this.requests?.getWait(1) || 0;
+        if (requestWait > 0) {
+            return { reason: LIMIT_REASONS.RPM, retryIn: requestWait };
+        }
+
+        const tokenWait = this.tokens?.getWait(tokens) || 0;
+        if (tokenWait > 0) {
+            return { reason: LIMIT_REASONS.TPM, retryIn: tokenWait };
+        }
+
+        return null;
+    }
+
+    /**
+     * Start a request now if it fits. Returns a lease, or null. The lease is
+     * released with the tokens the request used when it finishes, or
+     * cancelled to hand back everything if the request is not sent after all.
+     * Every call sent under the lease goes through admit().
+     */
+    tryAcquire(tokens) {
+        if (this.check(tokens)) {
+            return null;
+        }
+
+        this.active++;
+        this.requests?.take(1);
+        this.tokens?.take(tokens);
+
+        let done = false;
+        let calls = 0;
+        let reserved = tokens;
+        const finish = () => {
+            if (done) return false;
+            done = true;
+            this.active--;
+            this.waiters.forEach(wake => wake());
+            return true;
+        };
+
+        return {
+            release: (usedTokens = null) => {
+                if (finish() && usedTokens) {
+                    this.tokens?.take(usedTokens - reserved);
+                }
+            },
+            cancel: () => {
+                if (finish()) {
+                    this.requests?.take(-1);
+                    this.tokens?.take(-tokens);
+                }
+            },
+            /**
+             * Let a call go out under the lease. The first was counted when
+             * the lease was taken; each later one (a retry, continuation or
+             * repair) takes another request and `tokens` from the budgets,
+             * waiting up to maxWait ms for room. Resolves false when there
+             * is no room in time.
+             */
+            admit: async ({ maxWait = 0, signal = null } = {}) => {
+                if (calls++ === 0) {
+                    return true;
+                }
+                if (done || !await this.waitForRoom(tokens, { maxWait, signal, holdsSlot: true })) {
+                    return false;
+                }
+
+                this.requests?.take(1);
+                this.tokens?.take(tokens);
+                reserved += tokens;
+                return true;
+            }
+        };
+    }
+
+    /**
+     * Wait up to `maxWait` ms for room for a request of `tokens`. Resolves
+     * true when there is room, false when it would take longer.
+     */
+    async waitForRoom(tokens, { maxWait = 0, signal = null, holdsSlot = false } = {}) {
+        const deadline = Date.now() + maxWait;
+
+        for (;;) {
+            const limited = this.check(tokens, holdsSlot);
+            if (!limited) {
+                return true;
+            }
+
+            const remaining = deadline - Date.now();
+            if (limited.reason === LIMIT_REASONS.REQUEST_SIZE || remaining <= 0 || (limited.retryIn !== null && limited.retryIn > remaining)) {
+                logger.warn(`${this.providerId} is at its ${limited.reason} limit`, { retryIn: limited.retryIn });
+                return false;
+            }
+
+            await this.wait(limited.retryIn ?? remaining, signal);
+            signal?.throwIfAborted();
+        }
+    }
+
+    /**
+     * Sleep for `ms` or until a request is released, whichever comes first
+     */
+    wait(ms, signal) {
+        return new Promise(resolve => {
+            const done = () => {
+                clearTimeout(timer);
+                this.waiters.delete(done);
+                signal?.removeEventListener('abort', done);
+                resolve();
+            };
+            const timer = setTimeout(done, ms);
+            this.waiters.add(done);
+            signal?.addEventListener('abort', done, { once: true });
+        });
+    }
+
+    /**
+     * Current usage for /api/status
+     */
+    getUsage() {
+        return {
+            active: this.active,
+            concurrency: this.concurrency,
+            requestsRemaining: this.requests?.getRemaining() ?? null,
+            tokensRemaining: this.tokens?.getRemaining() ?? null
+        };
+    }
+}
+
+export default ProviderLimiter;
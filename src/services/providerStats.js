@@ -0,0 +1,64 @@
+/**
+ * Provider Stats - Rolling window of recent request outcomes per provider,
+ * used by the least-latency routing strategy and reported in /api/status
+ *
+ * Samples older than CONFIG.ROUTING.STATS_WINDOW are dropped, and at most
+ * CONFIG.ROUTING.MAX_SAMPLES are kept per provider.
+ */
+
+import { CONFIG } from '../config/config.js';
+
+class ProviderStats {
+    constructor(providerId, settings = CONFIG.ROUTING) {
+        this.providerId = providerId;
+        this.settings = settings;
+        this.samples = [];
+    }
+
+    /**
+     * Record a finished request: its duration in ms and whether it succeeded
+     */
+    record(duration, success) {
+        this.samples.push({ at: Date.now(), duration, success });
+        this.prune();
+    }
+
+    prune() {
+        const cutoff = Date.now() - this.settings.STATS_WINDOW;
+        const firstRecent = this.samples.findIndex(sample => sample.at >= cutoff);
+        const start = Math.max(firstRecent === -1 ? this.samples.length : firstRecent, this.samples.length - this.settings.MAX_SAMPLES);
+        if (start > 0) {
+            this.samples.splice(0, start);
+        }
+    }
+
+    /**
+     * Summary of the window: sample count, success rate and p50/p95 latency
+     * of successful requests (null until there are enough samples)
+     */
+    getSummary() {
+        this.prune();
+
+        const durations = this.samples
+            .filter(sample => sample.success)
+            .map(sample => sample.duration)
+            .sort((a, b) => a - b);
+        const measured = this.samples.length >= this.settings.MIN_SAMPLES && durations.length > 0;
+
+        return {
+            samples: this.samples.length,
+            successRate: this.samples.length > 0
+                ? Math.round(durations.length / this.samples.length * 100) / 100
+                : null,
+            p50: measured ? percentile(durations, 0.5) : null,
+            p95: measured ? percentile(durations, 0.95) : null
+        };
+    }
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, fraction) {
+    return sorted[Math.max(Math.ceil(fraction * sorted.length) - 1, 0)];
+}
+
+export default ProviderStats;
@@ -0,0 +1,92 @@
+/**
+ * Query Router - Picks which provider quality tier ("quality" in priority.json)
+ * should answer a request: the caller's `quality` option, or the tier order
+ * configured for the kind of query in settings.queryRouting
+ *
+ * Queries are classified with cheap local heuristics, so routing adds no
+ * model call to the request:
+ * coding    - code blocks or programming terms
+ * creative  - stories, poems and other writing
+ * reasoning - long prompts, or asking to explain, compare, analyze or prove
+ * factual   - short questions
+ * general   - anything else; no preference
+ */
+
+import { CONFIG } from '../config/config.js';
+
+export const QUALITY_TIERS = ['high', 'balanced', 'speed'];
+
+export const QUERY_CLASSES = {
+    CODING: 'coding',
+    CREATIVE: 'creative',
+    REASONING: 'reasoning',
+    FACTUAL: 'factual',
+    GENERAL: 'general'
+};
+
+// Tier order for an explicit `quality`: the requested tier, then the nearest ones
+const REQUESTED_QUALITY_ORDER = {
+    high: ['high', 'balanced', 'speed'],
+    balanced: ['balanced', 'high', 'speed'],
+    speed: ['speed', 'balanced', 'high']
+};
+
+const CODE_PATTERN = /```|\b(code|function|method|variable|compile[rsd]?|debug|bug|stack ?trace|exception|regex|sql|refactor|unit tests?|python|javascript|typescript|java|rust|golang|c\+\+|c#|bash|html|css|react|node\.?js)\b/i;
+const CREATIVE_PATTERN = /\b(poem|story|stories|song|lyrics|haiku|limerick|novel|fiction|screenplay|slogan|brainstorm|imagine)\b/i;
+const REASONING_PATTERN = /\b(explain|step[- ]by[- ]step|prove|derive|analy[sz]e|compare|trade-?offs?|pros and cons|evaluate|calculate)\b/i;
+
+/**
+ * Classify a query as { queryClass, reason }
+ */
+export function classifyQuery(message = '') {
+    const text = message.trim();
+    const { SHORT_QUERY_CHARS, LONG_QUERY_CHARS } = CONFIG.ROUTING;
+
+    if (CODE_PATTERN.test(text)) {
+        return { queryClass: QUERY_CLASSES.CODING, reason: 'mentions code' };
+    }
+    if (CREATIVE_PATTERN.test(text)) {
+        return { queryClass: QUERY_CLASSES.CREATIVE, reason: 'asks for creative writing' };
+    }
+    if (text.length > LONG_QUERY_CHARS) {
+        return { queryClass: QUERY_CLASSES.REASONING, reason: `longer than ${LONG_QUERY_CHARS} characters` };
+    }
+    if (REASONING_PATTERN.test(text)) {
+        return { queryClass: QUERY_CLASSES.REASONING, reason: 'asks for explanation or analysis' };
+    }
+    if (text.length <= SHORT_QUERY_CHARS) {
+        return { queryClass: QUERY_CLASSES.FACTUAL, reason: `${SHORT_QUERY_CHARS} characters or fewer` };
+    }
+    return { queryClass: QUERY_CLASSES.GENERAL, reason: 'no specific signals' };
+}
+
+/**
+ * Quality tiers to try first for a request, as { qualities, queryClass, reason },
+ * or null when nothing prefers a tier. An explicit `quality` wins over
+ * query routing; queryRouting is settings.queryRouting from priority.json.
+ */
+export function resolveQualityPreference(message, quality, queryRouting) {
+    if (quality) {
+        return {
+            qualities: REQUESTED_QUALITY_ORDER[quality],
+            queryClass: null,
+            reason: `requested quality ${quality}`
+        };
+    }
+
+    if (!queryRouting?.enabled) {
+        return null;
+    }
+
+    const { queryClass, reason } = classifyQuery(message);
+    const qualities = queryRouting.rules?.[queryClass];
+    if (!qualities) {
+        return { qualities: [], queryClass, reason: `${queryClass} query (${reason}), no quality preference` };
+    }
+
+    return {
+        qualities,
+        queryClass,
+        reason: `${queryClass} query (${reason}) prefers ${qualities.join(', ')}`
+    };
+}
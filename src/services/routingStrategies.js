@@ -0,0 +1,119 @@
+/**
+ * Routing Strategies - Decide the order providers are tried in, set with
+ * "routing" in the settings of priority.json
+ *
+ * static        - priority order
+ * weighted      - random order, each provider drawn in proportion to its "weight"
+ * round-robin   - priority order rotated by one provider per request
+ * least-latency - lowest recent p95 latency first
+ * cheapest      - lowest price per token first (CONFIG.USAGE.PRICES)
+ *
+ * Each strategy returns the ordered services and a reason for /api/chat metadata.
+ */
+
+export const ROUTING_STRATEGIES = {
+    STATIC: 'static',
+    WEIGHTED: 'weighted',
+    ROUND_ROBIN: 'round-robin',
+    LEAST_LATENCY: 'least-latency',
+    CHEAPEST: 'cheapest'
+};
+
+/**
+ * Order services (given in priority order) with a strategy.
+ * context supplies what the strategies need:
+ * - turn:      request counter for round-robin
+ * - weight(id): the provider's weight
+ * - stats(id):  { samples, successRate, p95 } for the provider's rolling window
+ * - price(id):  USD per million tokens (input plus output) or null
+ * - minSuccessRate: providers below this success rate go last for least-latency
+ */
+export function applyRoutingStrategy(strategy, services, context) {
+    switch (strategy) {
+        case ROUTING_STRATEGIES.WEIGHTED:
+            return orderByWeight(services, context);
+        case ROUTING_STRATEGIES.ROUND_ROBIN:
+            return rotate(services, context);
+        case ROUTING_STRATEGIES.LEAST_LATENCY:
+            return orderByLatency(services, context);
+        case ROUTING_STRATEGIES.CHEAPEST:
+            return orderByPrice(services, context);
+        default:
+            return { services, reason: 'static priority order' };
+    }
+}
+
+function orderByWeight(services, context) {
+    const remaining = services.map(service => ({ service, weight: context.weight(service.id) }));
+    const ordered = [];
+
+    while (remaining.length > 0) {
+        const total = remaining.reduce((sum, entry) => sum + entry.weight, 0);
+        let pick = Math.random() * total;
+        const index = remaining.findIndex(entry => (pick -= entry.weight) < 0);
+        ordered.push(remaining.splice(index === -1 ? remaining.length - 1 : index, 1)[0].service);
+    }
+
+    const weights = services.map(service => `${service.id}=${context.weight(service.id)}`).join(', ');
+    return { services: ordered, reason: `weighted random draw (${weights})` };
+}
+
+function rotate(services, context) {
+    if (services.length === 0) {
+        return { services, reason: 'round-robin' };
+    }
+
+    const offset = context.turn % services.length;
+    return {
+        services: [...services.slice(offset), ...services.slice(0, offset)],
+        reason: `round-robin turn ${context.turn}, starting at ${services[offset].id}`
+    };
+}
+
+/**
+ * Providers without enough samples go first so they get measured, then
+ * measured providers by p95, then providers failing too often. A provider
+ * whose calls all failed has no p95 either, so failures are checked first.
+ */
+function orderByLatency(services, context) {
+    const ranked = services.map(service => ({ service, stats: context.stats(service.id) }));
+    const isFailing = stats => stats.successRate !== null && stats.successRate < context.minSuccessRate;
+    const group = ({ stats }) => {
+        if (isFailing(stats)) return 2;
+        return stats.p95 === null ? 0 : 1;
+    };
+
+    ranked.sort((a, b) => group(a) - group(b)
+        || (group(a) === 1 ? a.stats.p95 - b.stats.p95 : 0));
+
+    const described = ranked.map(({ service, stats }) => {
+        const failing = isFailing(stats) ? `${Math.round(stats.successRate * 100)}% success` : null;
+        if (stats.p95 === null) return `${service.id}=${failing || 'unmeasured'}`;
+        return `${service.id}=${stats.p95}ms${failing ? `, ${failing}` : ''}`;
+    });
+
+    return {
+        services: ranked.map(({ service }) => service),
+        reason: `lowest recent p95 latency first (${described.join(', ')})`
+    };
+}
+
+/**
+ * Unpriced providers go last, in priority order
+ */
+function orderByPrice(services, context) {
+    const ranked = services.map(service => ({ service, price: context.price(service.id) }));
+
+    ranked.sort((a, b) => {
+        if (a.price === null || b.price === null) {
+            return (a.price === null) - (b.price === null);
+        }
+        return a.price - b.price;
+    });
+
+    const described = ranked.map(({ service, price }) => `${service.id}=${price === null ? 'unpriced' : `$${price}/M`}`);
+    return {
+        services: ranked.map(({ service }) => service),
+        reason: `cheapest first by input plus output price per million tokens (${described.join(', ')})`
+    };
+}
@@ -0,0 +1,140 @@
+/**
+ * Tool Registry - Server-side tools the model can call during a chat request
+ * Tools use the OpenAI function-calling format; web search is registered as a built-in tool
+ */
+
+import WebScrapingService from './webScrapingService.js';
+import { ServiceError } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+// Tool names allowed by OpenAI-compatible APIs
+export const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    /**
+     * Register a tool. The handler receives the parsed arguments object and a
+     * context holding the request's abort signal, and returns any
+     * JSON-serializable value. Tools that send data off the
+     * machine are marked `external` and are unavailable in privateMode.
+     */
+    register({ name, description, parameters, handler, external = false }) {
+        if (!TOOL_NAME_PATTERN.test(name)) {
+            throw new Error(`Invalid tool name: ${name}`);
+        }
+
+        this.tools.set(name, {
+            definition: {
+                type: 'function',
+                function: {
+                    name,
+                    description,
+                    parameters: parameters || { type: 'object', properties: {} }
+                }
+            },
+            handler,
+            external
+        });
+    }
+
+    has(name) {
+        return this.tools.has(name);
+    }
+
+    list() {
+        return [...this.tools.values()].map(tool => tool.definition);
+    }
+
+    /**
+     * Tool definitions for a request: `true` selects every registered tool,
+     * an array selects tools by name. External tools are left out in privateMode.
+     */
+    getDefinitions(selection, { privateMode = false } = {}) {
+        let names = [];
+        if (selection === true) {
+            names = [...this.tools.keys()];
+        } else if (Array.isArray(selection)) {
+            names = selection.filter(name => this.tools.has(name));
+        }
+
+        return names
+            .filter(name => !privateMode || !this.tools.get(name).external)
+            .map(name => this.tools.get(name).definition);
+    }
+
+    /**
+     * Run a tool call and return its result as a string for the `tool` message.
+     * Failures are returned to the model as an error object rather than thrown.
+     */
+    async execute(name, rawArguments, context = {}) {
+        const tool = this.tools.get(name);
+        if (!tool) {
+            throw new ServiceError(`Tool ${name} is not registered`, null, 400);
+        }
+
+        const startTime = Date.now();
+
+        try {
+            const args = typeof rawArguments === 'string' && rawArguments.trim()
+                ? JSON.parse(rawArguments)
+                : (rawArguments || {});
+
+            const output = await tool.handler(args, context);
+
+            logger.info(`Tool ${name} executed`, { duration: `${Date.now() - startTime}ms` });
+            return typeof output === 'string' ? output : JSON.stringify(output);
+        } catch (error) {
+            logger.warn(`Tool ${name} failed`, { error: error.message });
+            return JSON.stringify({ error: error.message });
+        }
+    }
+}
+
+/**
+ * Register the tools that ship with JARVIS
+ */
+function registerBuiltinTools(registry) {
+    const webService = new WebScrapingService();
+
+    registry.register({
+        name: 'web_search',
+        description: 'Search the web for current information such as news, prices, weather or recent events. Returns the top results with titles, URLs and snippets.',
+        parameters: {
+            type: 'object',
+            properties: {
+                query: { type: 'string', description: 'Search terms' }
+            },
+            required: ['query']
+        },
+        external: true,
+        handler: async ({ query }, { signal }) => {
+            if (typeof query !== 'string' || !query.trim()) {
+                throw new Error('query is required');
+            }
+
+            const results = await webService.search(query, signal);
+            return {
+                query: results.data.searchQuery,
+                results: results.data.sources.map(({ title, url, snippet }) => ({ title, url, snippet }))
+            };
+        }
+    });
+}
+
+let sharedRegistry = null;
+
+/**
+ * Shared tool registry with the built-in tools registered
+ */
+export function getToolRegistry() {
+    if (!sharedRegistry) {
+        sharedRegistry = new ToolRegistry();
+        registerBuiltinTools(sharedRegistry);
+    }
+    return sharedRegistry;
+}
+
+export default ToolRegistry;
@@ -0,0 +1,283 @@
+/**
+ * Usage Ledger - Counts requests, tokens and estimated cost per day (UTC),
+ * provider, model and API client, persisted to a JSON file under CONFIG.USAGE.FILE
+ *
+ * An entry has the shape:
+ * { date, provider, model, client, requests, promptTokens, completionTokens, totalTokens, cost, priced }
+ * cost is in USD; requests to models without a price in CONFIG.USAGE.PRICES add
+ * nothing to it and make priced false.
+ *
+ * Counters are written at most every CONFIG.USAGE.SAVE_DELAY, and once more
+ * when the process exits.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { CONFIG } from '../config/config.js';
+import { logger } from '../utils/logger.js';
+
+export const USAGE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const CSV_COLUMNS = [
+    ['date', 'date'],
+    ['provider', 'provider'],
+    ['model', 'model'],
+    ['client', 'client'],
+    ['requests', 'requests'],
+    ['prompt_tokens', 'promptTokens'],
+    ['completion_tokens', 'completionTokens'],
+    ['total_tokens', 'totalTokens'],
+    ['cost_usd', 'cost'],
+    ['priced', 'priced']
+];
+
+/**
+ * USD price per million tokens ({ input, output }) for a provider's model, or null
+ */
+export function getModelPrice(providerId, model) {
+    const prices = CONFIG.USAGE.PRICES[providerId];
+    return prices?.[model] || prices?.['*'] || null;
+}
+
+/**
+ * Estimated cost of one provider call as { currency, prompt, completion, total },
+ * or null when the model has no price
+ */
+export function estimateCost(providerId, model, usage = {}) {
+    const price = getModelPrice(providerId, model);
+    if (!price) {
+        return null;
+    }
+
+    const prompt = (usage.promptTokens || 0) * price.input / 1e6;
+    const completion = (usage.completionTokens || 0) * price.output / 1e6;
+
+    return {
+        currency: 'USD',
+        prompt: roundCost(prompt),
+        completion: roundCost(completion),
+        total: roundCost(prompt + completion)
+    };
+}
+
+/**
+ * Sum two cost estimates; either may be null
+ */
+export function addCosts(a, b) {
+    if (!a || !b) {
+        return a || b || null;
+    }
+
+    return {
+        currency: a.currency,
+        prompt: roundCost(a.prompt + b.prompt),
+        completion: roundCost(a.completion + b.completion),
+        total: roundCost(a.total + b.total)
+    };
+}
+
+// Costs are fractions of a cent; round away floating point noise
+function roundCost(value) {
+    return Math.round(value * 1e8) / 1e8;
+}
+
+/**
+ * UTC date (YYYY-MM-DD) for a timestamp
+ */
+export function toUsageDate(time = Date.now()) {
+    return new Date(time).toISOString().slice(0, 10);
+}
+
+class UsageLedger {
+    constructor(filePath = CONFIG.USAGE.FILE) {
+        this.filePath = filePath;
+        this.entries = new Map();
+        this.saving = null;
+        this.dirty = false;
+        this.saveTimer = null;
+
+        fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+        this.restore();
+
+        process.once('exit', () => this.saveSync());
+    }
+
+    /**
+     * Load saved counters, dropping days past the retention period
+     */
+    restore() {
+        let data;
+        try {
+            data = JSON.parse(fs.readFileSync(this.filePath, 'utf8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                logger.warn('Starting with an empty usage ledger: saved usage is unreadable', { error: error.message });
+            }
+            return;
+        }
+
+        const cutoff = toUsageDate(Date.now() - CONFIG.USAGE.RETENTION_DAYS * DAY);
+        for (const entry of data.entries || []) {
+            if (entry.date >= cutoff) {
+                // Older ledgers stored a null cost for unpriced models
+                this.entries.set(entryKey(entry), {
+                    ...entry,
+                    cost: entry.cost ?? 0,
+                    priced: entry.priced ?? entry.cost !== null
+                });
+            }
+        }
+    }
+
+    /**
+     * Count one provider call
+     */
+    record({ provider, model, client, usage = {}, cost = null }) {
+        const entry = {
+            date: toUsageDate(),
+            provider,
+            model: model || 'unknown',
+            client: client || 'anonymous'
+        };
+        const key = entryKey(entry);
+        const existing = this.entries.get(key) || {
+            ...entry,
+            requests: 0,
+            promptTokens: 0,
+            completionTokens: 0,
+            totalTokens: 0,
+            cost: 0,
+            priced: true
+        };
+
+        existing.requests++;
+        existing.promptTokens += usage.promptTokens || 0;
+        existing.completionTokens += usage.completionTokens || 0;
+        existing.totalTokens += usage.totalTokens || 0;
+        existing.cost = roundCost(existing.cost + (cost?.total || 0));
+        existing.priced = existing.priced && Boolean(cost);
+
+        this.entries.set(key, existing);
+        this.scheduleSave();
+    }
+
+    /**
+     * Entries between two dates (inclusive, YYYY-MM-DD) with their totals
+     */
+    query({ from, to }) {
+        const entries = [...this.entries.values()]
+            .filter(entry => entry.date >= from && entry.date <= to)
+            .sort((a, b) => a.date.localeCompare(b.date)
+                || a.provider.localeCompare(b.provider)
+                || a.model.localeCompare(b.model)
+                || a.client.localeCompare(b.client));
+
+        const totals = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 };
+        for (const entry of entries) {
+            totals.requests += entry.requests;
+            totals.promptTokens += entry.promptTokens;
+            totals.completionTokens += entry.completionTokens;
+            totals.totalTokens += entry.totalTokens;
+            totals.cost = roundCost(totals.cost + entry.cost);
+        }
+
+        return { from, to, entries, totals };
+    }
+
+    /**
+     * Save once CONFIG.USAGE.SAVE_DELAY has passed, so a burst of requests
+     * costs one write rather than one per request
+     */
+    scheduleSave() {
+        if (this.saveTimer) {
+            return;
+        }
+
+        this.saveTimer = setTimeout(() => {
+            this.saveTimer = null;
+            this.save().catch(error => logger.warn('Failed to save usage ledger', { error: error.message }));
+        }, CONFIG.USAGE.SAVE_DELAY);
+        this.saveTimer.unref();
+    }
+
+    /**
+     * Write the ledger; calls made while a write is in progress are folded
+     * into one more write once it finishes
+     */
+    save() {
+        if (this.saving) {
+            this.dirty = true;
+            return this.saving;
+        }
+
+        this.saving = (async () => {
+            do {
+                this.dirty = false;
+                await fs.promises.writeFile(this.tempPath(), this.serialize());
+                await fs.promises.rename(this.tempPath(), this.filePath);
+            } while (this.dirty);
+        })().finally(() => {
+            this.saving = null;
+        });
+
+        return this.saving;
+    }
+
+    /**
+     * Write a pending save before the process exits
+     */
+    saveSync() {
+        if (!this.saveTimer && !this.saving) {
+            return;
+        }
+
+        clearTimeout(this.saveTimer);
+        this.saveTimer = null;
+        try {
+            fs.writeFileSync(this.tempPath(), this.serialize());
+            fs.renameSync(this.tempPath(), this.filePath);
+        } catch (error) {
+            logger.warn('Failed to save usage ledger', { error: error.message });
+        }
+    }
+
+    serialize() {
+        return JSON.stringify({ entries: [...this.entries.values()] }, null, 2);
+    }
+
+    // Per process, so two servers sharing the file never write the same temp file
+    tempPath() {
+        return `${this.filePath}.${process.pid}.tmp`;
+    }
+}
+
+function entryKey({ date, provider, model, client }) {
+    return JSON.stringify([date, provider, model, client]);
+}
+
+/**
+ * Format ledger entries as CSV with a header row
+ */
+export function formatUsageCsv(entries) {
+    const rows = entries.map(entry => CSV_COLUMNS.map(([, field]) => csvValue(entry[field])).join(','));
+    return [CSV_COLUMNS.map(([header]) => header).join(','), ...rows].join('\n') + '\n';
+}
+
+function csvValue(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+let sharedLedger = null;
+
+/**
+ * Shared usage ledger
+ */
+export function getUsageLedger() {
+    if (!sharedLedger) {
+        sharedLedger = new UsageLedger();
+    }
+    return sharedLedger;
+}
@@ -1,37 +1,51 @@
 import fetch from 'node-fetch';
 import { logger } from '../utils/logger.js';
 import { CONFIG } from '../config/config.js';
+import { getMockSearchBackend } from './mockSearchBackend.js';
 
 class WebScrapingService {
     constructor() {
         this.baseURL = CONFIG.WEB_SCRAPING.API_URL;
         this.timeout = CONFIG.WEB_SCRAPING.TIMEOUT;
         this.maxResults = CONFIG.WEB_SCRAPING.MAX_RESULTS;
+        // In MOCK_MODE searches never leave the process
+        this.mockBackend = CONFIG.MOCK.ENABLED ? getMockSearchBackend() : null;
     }
 
     async isAvailable() {
+        if (this.mockBackend) {
+            return this.mockBackend.isAvailable();
+        }
+
         try {
-            const response = await fetch(`${this.baseURL}/health`, { method: 'GET', timeout: 5000 });
+            const response = await fetch(`${this.baseURL}/health`, { method: 'GET', signal: AbortSignal.timeout(5000) });
             return response.ok;
         } catch (error) {
             return false;
         }
     }
 
-    async search(query) {
+    /**
+     * Search the web, giving up after CONFIG.WEB_SCRAPING.TIMEOUT.
+     * `signal` cancels the search along with the request it belongs to.
+     */
+    async search(query, signal = null) {
         const startTime = Date.now();
-        const searchData = { q: query, engine: 'google', num: this.maxResults, country: 'us' };
+        const timeoutSignal = AbortSignal.timeout(this.timeout);
+        const searchSignal = signal ? AbortSignal.any([signal, timeoutSignal]) : timeoutSignal;
 
-        const response = await fetch(`${this.baseURL}/search`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify(searchData),
-            timeout: this.timeout
-        });
+        let result;
+        try {
+            result = this.mockBackend
+                ? await this.mockBackend.search(query, searchSignal)
+                : await this.fetchResults(query, searchSignal);
+        } catch (error) {
+            if (timeoutSignal.aborted && !signal?.aborted) {
+                throw new Error(`Web search timed out after ${this.timeout}ms`);
+            }
+            throw error;
+        }
 
-        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
-        
-        const result = await response.json();
         return {
             success: true,
             data: {
@@ -45,6 +59,21 @@ class WebScrapingService {
         };
     }
 
+    async fetchResults(query, signal) {
+        const searchData = { q: query, engine: 'google', num: this.maxResults, country: 'us' };
+
+        const response = await fetch(`${this.baseURL}/search`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(searchData),
+            signal
+        });
+
+        if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+        
+        return await response.json();
+    }
+
     formatResults(results) {
         return results.slice(0, this.maxResults).map((result, index) => ({
             position: index + 1,
@@ -0,0 +1,73 @@
+/**
+ * Completion checks - finish reason normalization and detection of empty
+ * or refused replies, which the manager treats as provider failures
+ */
+
+import { ERROR_CLASSES } from './providerErrors.js';
+
+export const FINISH_REASONS = {
+  STOP: 'stop',
+  LENGTH: 'length',
+  TOOL_CALLS: 'tool_calls',
+  CONTENT_FILTER: 'content_filter'
+};
+
+// Provider-specific finish reasons mapped onto the OpenAI names
+const FINISH_REASON_ALIASES = {
+  stop: FINISH_REASONS.STOP,
+  end_turn: FINISH_REASONS.STOP,
+  eos: FINISH_REASONS.STOP,
+  stop_sequence: FINISH_REASONS.STOP,
+  length: FINISH_REASONS.LENGTH,
+  max_tokens: FINISH_REASONS.LENGTH,
+  tool_calls: FINISH_REASONS.TOOL_CALLS,
+  tool_use: FINISH_REASONS.TOOL_CALLS,
+  function_call: FINISH_REASONS.TOOL_CALLS,
+  content_filter: FINISH_REASONS.CONTENT_FILTER,
+  safety: FINISH_REASONS.CONTENT_FILTER,
+  recitation: FINISH_REASONS.CONTENT_FILTER,
+  blocklist: FINISH_REASONS.CONTENT_FILTER,
+  prohibited_content: FINISH_REASONS.CONTENT_FILTER
+};
+
+// Only short replies are checked, so answers that merely mention a limitation pass
+const MAX_REFUSAL_LENGTH = 300;
+const REFUSAL_PATTERN = /^(i'?m sorry|i am sorry|sorry|i apologi[sz]e|unfortunately)?[,.!]?\s*(but\s+)?(i|as an ai,? i)\s+(can(no|')?t|won'?t|am unable to|'m unable to|am not able to|'m not able to|must decline to)\s+(help|assist|comply|provide|do that|fulfil|answer|respond)/i;
+
+/**
+ * Map a provider finish reason to stop, length, tool_calls or content_filter.
+ * A missing reason counts as stop; unknown reasons are passed through.
+ */
+export function normalizeFinishReason(reason) {
+  if (!reason) {
+    return FINISH_REASONS.STOP;
+  }
+
+  const key = String(reason).toLowerCase();
+  return FINISH_REASON_ALIASES[key] || key;
+}
+
+/**
+ * Why a reply is unusable as { errorClass, reason }, or null when it is fine.
+ * A reply with tool calls may have no text.
+ */
+export function checkCompletion({ response, toolCalls, refusal, metadata = {} }) {
+  if (toolCalls?.length) {
+    return null;
+  }
+
+  if (refusal || metadata.finishReason === FINISH_REASONS.CONTENT_FILTER) {
+    return { errorClass: ERROR_CLASSES.REFUSAL, reason: refusal || 'the reply was stopped by a content filter' };
+  }
+
+  const text = (response || '').trim();
+  if (!text) {
+    return { errorClass: ERROR_CLASSES.EMPTY_RESPONSE, reason: 'the reply was empty' };
+  }
+
+  if (text.length <= MAX_REFUSAL_LENGTH && REFUSAL_PATTERN.test(text)) {
+    return { errorClass: ERROR_CLASSES.REFUSAL, reason: 'the model declined to answer' };
+  }
+
+  return null;
+}
@@ -2,6 +2,10 @@
  * Optimized utility functions for production performance
  */
 
+import { createHash } from 'crypto';
+import { CONFIG } from '../config/config.js';
+import { classifyError, ERROR_POLICIES } from './providerErrors.js';
+
 /**
  * Create standardized API response object
  */
@@ -15,14 +19,17 @@ export function createResponse(success, data = null, error = null) {
 }
 
 /**
- * Custom service error with status code
+ * Custom service error with status code. Provider failures also carry their
+ * errorClass (see utils/providerErrors.js) and any Retry-After delay in ms.
  */
 export class ServiceError extends Error {
-  constructor(message, serviceId = null, status = 500) {
+  constructor(message, serviceId = null, status = 500, { errorClass = null, retryAfter = null } = {}) {
     super(message);
     this.name = 'ServiceError';
     this.serviceId = serviceId;
     this.status = status;
+    this.errorClass = errorClass;
+    this.retryAfter = retryAfter;
   }
 }
 
@@ -35,7 +42,9 @@ export function validateApiKey(key, prefix) {
 }
 
 /**
- * Retry a function with exponential backoff
+ * Retry a function with exponential backoff, following the retry policy of
+ * the error's class. A Retry-After delay replaces the backoff; one longer
+ * than CONFIG.AI.MAX_RETRY_AFTER is not waited for.
  */
 export async function retryWithBackoff(fn, maxRetries = 2, initialDelay = 1000) {
   let retries = 0;
@@ -52,8 +61,14 @@ export async function retryWithBackoff(fn, maxRetries = 2, initialDelay = 1000)
     } catch (error) {
       lastError = error;
       
-      // Don't retry on authentication errors or rate limits
-      if (error.status === 401 || error.status === 429) {
+      const { errorClass, retryAfter } = classifyError(error);
+      const { retry } = ERROR_POLICIES[errorClass];
+
+      if (retry === 'none' || (retry === 'retry-after' && retryAfter === null)) {
+        throw error;
+      }
+
+      if (retryAfter !== null && retryAfter > CONFIG.AI.MAX_RETRY_AFTER) {
         throw error;
       }
 
@@ -61,8 +76,8 @@ export async function retryWithBackoff(fn, maxRetries = 2, initialDelay = 1000)
         break;
       }
 
-      // Calculate delay with exponential backoff and jitter
-      const delay = initialDelay * Math.pow(2, retries) * (0.9 + Math.random() * 0.2);
+      // Wait as long as the provider asked, otherwise exponential backoff with jitter
+      const delay = retryAfter ?? initialDelay * Math.pow(2, retries) * (0.9 + Math.random() * 0.2);
       await new Promise(resolve => setTimeout(resolve, delay));
       retries++;
     }
@@ -85,6 +100,95 @@ export function sanitizeInput(input) {
     .trim();
 }
 
+/**
+ * Parse a Server-Sent Events byte stream, yielding the JSON payload of each event.
+ * Comment lines are ignored and the stream ends at a `[DONE]` sentinel.
+ */
+export async function* parseSSEStream(stream) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let dataLines = [];
+
+  for await (const chunk of stream) {
+    buffer += typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: true });
+
+    let newlineIndex;
+    while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
+      const line = buffer.slice(0, newlineIndex).replace(/\r$/, '');
+      buffer = buffer.slice(newlineIndex + 1);
+
+      if (line === '') {
+        if (dataLines.length === 0) continue;
+
+        const data = dataLines.join('\n');
+        dataLines = [];
+
+        if (data === '[DONE]') return;
+        yield JSON.parse(data);
+      } else if (line.startsWith('data:')) {
+        dataLines.push(line.slice(5).trimStart());
+      }
+    }
+  }
+}
+
+/**
+ * Create a Server-Sent Events writer on an Express response
+ */
+export function createSSEWriter(res) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+
+  return {
+    send(data, event = null) {
+      const payload = typeof data === 'string' ? data : JSON.stringify(data);
+      res.write(`${event ? `event: ${event}\n` : ''}data: ${payload}\n\n`);
+      // Push the event through the compression middleware immediately
+      if (typeof res.flush === 'function') res.flush();
+    },
+    end() {
+      res.end();
+    }
+  };
+}
+
+/**
+ * Abort signal that fires when the client disconnects before the response
+ * has been sent, so in-flight provider calls can be cancelled
+ */
+export function createDisconnectSignal(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort();
+    }
+  });
+  return controller.signal;
+}
+
+/**
+ * Fingerprint of the request's bearer token (never the token itself), or
+ * null without one. The token is not checked against anything: it is a
+ * caller-chosen secret that separates one client's data from another's.
+ */
+export function getApiKeyId(req) {
+  const token = req.get('authorization')?.match(/^Bearer\s+(\S+)$/i)?.[1];
+  return token ? `key-${createHash('sha256').update(token).digest('hex').slice(0, 12)}` : null;
+}
+
+/**
+ * Identify the API client a request is accounted to: the bearer token
+ * fingerprint, otherwise the caller's IP address. Behind a reverse proxy the
+ * IP is only the client's when SERVER.TRUST_PROXY is set (TRUST_PROXY).
+ */
+export function getClientId(req) {
+  return getApiKeyId(req) || req.ip || 'unknown';
+}
+
 /**
  * Truncate text to specified length
  */
@@ -93,6 +197,14 @@ export function truncateText(text, maxLength = 100) {
   return text.substring(0, maxLength) + '...';
 }
 
+/**
+ * Rough token count (about four characters per token), for limits and
+ * usage figures where the provider's tokenizer is not available
+ */
+export function estimateTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
 /**
  * Generate a unique request ID
  */
@@ -0,0 +1,89 @@
+/**
+ * Scripted behaviour for the mock provider, mock search backend and mock
+ * decision model used in MOCK_MODE
+ *
+ * A script is a list of steps. Each call takes the next step and the last
+ * step repeats once the script runs out. Every step may set:
+ * - latency: milliseconds to wait before answering
+ * - error: 401, 402, 429, 503 (or any HTTP status), 'timeout' or 'content_filter'
+ * - retryAfter: seconds sent as a Retry-After header with the error
+ * - gate: a promise to wait for before answering, set by tests that decide
+ *   when a provider answers rather than relying on timing
+ */
+
+const MOCK_ERROR_MESSAGES = {
+  401: '401 Unauthorized: invalid auth credentials',
+  402: '402 Payment Required: quota exceeded',
+  429: '429 Too Many Requests: rate limit exceeded',
+  503: '503 Service Unavailable: service unavailable',
+  timeout: 'Request timeout',
+  content_filter: '400 The response was filtered by the content filter'
+};
+
+// Statuses and provider error codes for the named errors
+const MOCK_NAMED_ERRORS = {
+  timeout: { status: 408 },
+  content_filter: { status: 400, code: 'content_filter' }
+};
+
+export class MockScript {
+  constructor(steps = []) {
+    this.setSteps(steps);
+  }
+
+  setSteps(steps) {
+    this.steps = Array.isArray(steps) ? [...steps] : [];
+    this.calls = 0;
+  }
+
+  next() {
+    const step = this.steps[Math.min(this.calls, this.steps.length - 1)] || {};
+    this.calls++;
+    return step;
+  }
+}
+
+/**
+ * Apply a step's latency and gate, then throw its error if it has one.
+ * An abort signal cuts the wait short with an AbortError, like a real request.
+ */
+export async function runMockStep(step, label, signal = null) {
+  if (step.latency || step.gate) {
+    await new Promise((resolve, reject) => {
+      let timer = null;
+      const onAbort = () => {
+        clearTimeout(timer);
+        const error = new Error(`${label}: request aborted`);
+        error.name = 'AbortError';
+        reject(error);
+      };
+      const latency = new Promise(done => { timer = setTimeout(done, step.latency || 0); });
+      Promise.all([latency, step.gate]).then(() => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve();
+      });
+      signal?.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  signal?.throwIfAborted();
+
+  if (step.error) {
+    throw createMockError(step.error, label, step.retryAfter);
+  }
+}
+
+/**
+ * Build an error shaped like a real provider error (message, status, code and
+ * headers), so it goes through the same classification and retry paths
+ */
+export function createMockError(error, label, retryAfter = undefined) {
+  const message = MOCK_ERROR_MESSAGES[error] || `${error} Mock error`;
+  const mockError = new Error(`${label}: ${message}`);
+  mockError.status = MOCK_NAMED_ERRORS[error]?.status ?? (Number(error) || 500);
+  mockError.code = MOCK_NAMED_ERRORS[error]?.code;
+  if (retryAfter !== undefined) {
+    mockError.headers = { 'retry-after': String(retryAfter) };
+  }
+  return mockError;
+}
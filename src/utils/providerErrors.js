@@ -0,0 +1,191 @@
+/**
+ * Provider error classification
+ *
+ * Failures are classified from the HTTP status, SDK error class and provider
+ * error code rather than by searching the message. Each class has a policy:
+ * - status: the HTTP status the standardized ServiceError carries
+ * - retry:  'backoff' (retry with exponential backoff, or after Retry-After),
+ *           'retry-after' (retry only when the provider says when) or 'none'
+ * - action: 'skip' moves on to the next provider, 'abort' fails the request
+ */
+
+export const ERROR_CLASSES = {
+  AUTH: 'auth',
+  QUOTA: 'quota',
+  RATE_LIMIT: 'rate_limit',
+  OVERLOAD: 'overload',
+  BAD_REQUEST: 'bad_request',
+  CONTEXT_LENGTH: 'context_length',
+  CONTENT_FILTER: 'content_filter',
+  MODEL_NOT_FOUND: 'model_not_found',
+  INVALID_OUTPUT: 'invalid_output',
+  EMPTY_RESPONSE: 'empty_response',
+  REFUSAL: 'refusal',
+  NETWORK: 'network',
+  TIMEOUT: 'timeout',
+  CANCELLED: 'cancelled',
+  UNKNOWN: 'unknown'
+};
+
+export const ERROR_POLICIES = {
+  [ERROR_CLASSES.AUTH]: { status: 401, retry: 'none', action: 'skip' },
+  [ERROR_CLASSES.QUOTA]: { status: 402, retry: 'none', action: 'skip' },
+  [ERROR_CLASSES.RATE_LIMIT]: { status: 429, retry: 'retry-after', action: 'skip' },
+  [ERROR_CLASSES.OVERLOAD]: { status: 503, retry: 'backoff', action: 'skip' },
+  // Providers differ in what they accept, so another provider may still take the request
+  [ERROR_CLASSES.BAD_REQUEST]: { status: 400, retry: 'none', action: 'skip' },
+  [ERROR_CLASSES.CONTEXT_LENGTH]: { status: 413, retry: 'none', action: 'skip' },
+  // The prompt itself was refused; sending it on to every other provider is not wanted
+  [ERROR_CLASSES.CONTENT_FILTER]: { status: 400, retry: 'none', action: 'abort' },
+  [ERROR_CLASSES.MODEL_NOT_FOUND]: { status: 404, retry: 'none', action: 'skip' },
+  [ERROR_CLASSES.INVALID_OUTPUT]: { status: 422, retry: 'none', action: 'skip' },
+  [ERROR_CLASSES.EMPTY_RESPONSE]: { status: 502, retry: 'none', action: 'skip' },
+  // The reply declined the request; unlike a content filter error, another model may answer
+  [ERROR_CLASSES.REFUSAL]: { status: 422, retry: 'none', action: 'skip' },
+  [ERROR_CLASSES.NETWORK]: { status: 502, retry: 'backoff', action: 'skip' },
+  // The full timeout was already spent; retrying would only double it
+  [ERROR_CLASSES.TIMEOUT]: { status: 408, retry: 'none', action: 'skip' },
+  [ERROR_CLASSES.CANCELLED]: { status: 499, retry: 'none', action: 'abort' },
+  [ERROR_CLASSES.UNKNOWN]: { status: 500, retry: 'backoff', action: 'skip' }
+};
+
+const NETWORK_ERROR_CODES = [
+  'ECONNREFUSED', 'ECONNRESET', 'ENOTFOUND', 'EAI_AGAIN', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH',
+  'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT'
+];
+
+const QUOTA_CODES = ['insufficient_quota', 'quota_exceeded', 'billing_hard_limit_reached', 'resource_exhausted'];
+const MODEL_NOT_FOUND_CODES = ['model_not_found', 'model_decommissioned', 'model_deprecated'];
+
+// Phrases providers use when no status or code says what went wrong
+const CONTENT_FILTER_PATTERN = /content[ _-]?filter|content management policy|safety (filter|system|settings)|flagged by moderation/i;
+const QUOTA_PATTERN = /\bquota\b|\bbilling\b|insufficient (credits|balance)/i;
+const CONTEXT_LENGTH_PATTERN = /context[ _]length|maximum context|too many tokens|prompt is too long/i;
+const MODEL_NOT_FOUND_PATTERN = /no endpoints found|model\b.*\b(not found|does not exist|deprecated|decommissioned|no longer (available|supported))/i;
+const OVERLOAD_PATTERN = /\boverloaded\b/i;
+
+/**
+ * Whether an error comes from an aborted request. fetch, node-fetch and the
+ * Azure client throw AbortError; the OpenAI SDK throws APIUserAbortError.
+ */
+export function isAbortError(error) {
+  return error?.name === 'AbortError' || error?.constructor?.name === 'APIUserAbortError';
+}
+
+/**
+ * Classify a provider failure as { errorClass, status, retryAfter }.
+ * Errors that were already classified (ServiceErrors from handleError) keep
+ * their class.
+ */
+export function classifyError(error) {
+  const errorClass = error?.errorClass || detectErrorClass(error || {});
+
+  return {
+    errorClass,
+    status: ERROR_POLICIES[errorClass].status,
+    retryAfter: error?.retryAfter ?? parseRetryAfter(error?.headers)
+  };
+}
+
+/**
+ * Retry and fallback policy for an error
+ */
+export function getErrorPolicy(error) {
+  return ERROR_POLICIES[classifyError(error).errorClass];
+}
+
+function detectErrorClass(error) {
+  const status = getStatus(error);
+  const code = String(error.code || error.error?.code || error.type || error.error?.type || '').toLowerCase();
+  const message = error.message || '';
+  const errorName = error.constructor?.name;
+
+  if (isAbortError(error) || status === 499) {
+    return ERROR_CLASSES.CANCELLED;
+  }
+
+  if (status === 408 || status === 504 || error.name === 'TimeoutError' || errorName === 'APIConnectionTimeoutError' || code === 'etimedout') {
+    return ERROR_CLASSES.TIMEOUT;
+  }
+
+  if (errorName === 'APIConnectionError' || NETWORK_ERROR_CODES.includes(code.toUpperCase())
+      || (error.name === 'FetchError' && error.type === 'system') || message === 'fetch failed') {
+    return ERROR_CLASSES.NETWORK;
+  }
+
+  if (code.includes('content_filter') || CONTENT_FILTER_PATTERN.test(message)) {
+    return ERROR_CLASSES.CONTENT_FILTER;
+  }
+
+  if (status === 402 || QUOTA_CODES.includes(code) || ([403, 429].includes(status) && QUOTA_PATTERN.test(message))) {
+    return ERROR_CLASSES.QUOTA;
+  }
+
+  if (MODEL_NOT_FOUND_CODES.includes(code) || status === 404 || MODEL_NOT_FOUND_PATTERN.test(message)) {
+    return ERROR_CLASSES.MODEL_NOT_FOUND;
+  }
+
+  if (code === 'context_length_exceeded' || status === 413 || CONTEXT_LENGTH_PATTERN.test(message)) {
+    return ERROR_CLASSES.CONTEXT_LENGTH;
+  }
+
+  switch (status) {
+    case 401:
+    case 403:
+      return ERROR_CLASSES.AUTH;
+    case 429:
+      return ERROR_CLASSES.RATE_LIMIT;
+    case 400:
+    case 422:
+      return ERROR_CLASSES.BAD_REQUEST;
+    case 502:
+    case 503:
+    case 529:
+      return ERROR_CLASSES.OVERLOAD;
+  }
+
+  if (OVERLOAD_PATTERN.test(message)) {
+    return ERROR_CLASSES.OVERLOAD;
+  }
+
+  return ERROR_CLASSES.UNKNOWN;
+}
+
+/**
+ * HTTP status from SDK errors (`status`), REST clients (`statusCode`,
+ * sometimes a string) or wrapped responses
+ */
+function getStatus(error) {
+  const status = Number(error.status ?? error.statusCode ?? error.response?.status);
+  return Number.isInteger(status) ? status : null;
+}
+
+/**
+ * Milliseconds to wait according to `retry-after-ms` or `retry-after`
+ * (seconds or an HTTP date). Accepts fetch Headers or a plain object.
+ */
+export function parseRetryAfter(headers) {
+  if (!headers) {
+    return null;
+  }
+
+  const get = name => (typeof headers.get === 'function' ? headers.get(name) : headers[name]);
+
+  const milliseconds = Number(get('retry-after-ms'));
+  if (milliseconds > 0) {
+    return milliseconds;
+  }
+
+  const value = get('retry-after');
+  if (!value) {
+    return null;
+  }
+
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return Math.max(seconds * 1000, 0);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
@@ -0,0 +1,149 @@
+/**
+ * Structured output helpers - JSON extraction and JSON Schema validation
+ * for responseFormat requests
+ */
+
+import Ajv from 'ajv';
+import { createHash } from 'crypto';
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+
+// Compiled validators keyed by schema hash, bounded to avoid unbounded growth
+const validatorCache = new Map();
+const MAX_CACHED_VALIDATORS = 100;
+
+// Caller schemas are compiled into code and their patterns into regular
+// expressions, so keep them small
+export const SCHEMA_LIMITS = {
+  maxBytes: 16384,
+  maxDepth: 16,
+  maxPatternLength: 256
+};
+
+/**
+ * Check a caller-supplied schema against SCHEMA_LIMITS, returning an error
+ * message or null
+ */
+export function checkSchemaLimits(schema) {
+  const json = JSON.stringify(schema);
+  if (Buffer.byteLength(json) > SCHEMA_LIMITS.maxBytes) {
+    return `schema must be at most ${SCHEMA_LIMITS.maxBytes} bytes`;
+  }
+
+  const pending = [{ value: schema, depth: 1 }];
+  while (pending.length > 0) {
+    const { value, depth } = pending.pop();
+    if (depth > SCHEMA_LIMITS.maxDepth) {
+      return `schema must be nested at most ${SCHEMA_LIMITS.maxDepth} levels deep`;
+    }
+
+    for (const [key, child] of Object.entries(value)) {
+      if (key === 'pattern' && typeof child === 'string' && child.length > SCHEMA_LIMITS.maxPatternLength) {
+        return `schema patterns must be at most ${SCHEMA_LIMITS.maxPatternLength} characters`;
+      }
+      if (key === 'patternProperties' && child && typeof child === 'object' &&
+        Object.keys(child).some(pattern => pattern.length > SCHEMA_LIMITS.maxPatternLength)) {
+        return `schema patterns must be at most ${SCHEMA_LIMITS.maxPatternLength} characters`;
+      }
+      if (child && typeof child === 'object') {
+        pending.push({ value: child, depth: depth + 1 });
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Compile a JSON Schema, throwing if the schema itself is invalid or
+ * exceeds SCHEMA_LIMITS
+ */
+export function compileSchema(schema) {
+  const key = createHash('sha256').update(JSON.stringify(schema)).digest('hex');
+  if (validatorCache.has(key)) {
+    return validatorCache.get(key);
+  }
+
+  const limitError = checkSchemaLimits(schema);
+  if (limitError) {
+    throw new Error(limitError);
+  }
+
+  const validate = ajv.compile(schema);
+
+  if (validatorCache.size >= MAX_CACHED_VALIDATORS) {
+    validatorCache.delete(validatorCache.keys().next().value);
+  }
+  validatorCache.set(key, validate);
+
+  return validate;
+}
+
+/**
+ * Pull a JSON value out of model output, tolerating markdown code fences
+ * and prose around the JSON
+ */
+export function extractJson(text) {
+  if (typeof text !== 'string') {
+    throw new Error('Response is empty');
+  }
+
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    const start = candidate.search(/[{[]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start === -1 || end <= start) {
+      throw new Error('Response does not contain JSON');
+    }
+    return JSON.parse(candidate.slice(start, end + 1));
+  }
+}
+
+/**
+ * Validate model output against a responseFormat.
+ * Returns { valid: true, data } or { valid: false, errors: [string] }.
+ */
+export function validateStructuredOutput(text, responseFormat) {
+  let data;
+  try {
+    data = extractJson(text);
+  } catch (error) {
+    return { valid: false, errors: [`Invalid JSON: ${error.message}`] };
+  }
+
+  if (responseFormat.type !== 'json_schema') {
+    return { valid: true, data };
+  }
+
+  const validate = compileSchema(responseFormat.schema);
+  if (validate(data)) {
+    return { valid: true, data };
+  }
+
+  return {
+    valid: false,
+    errors: validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`)
+  };
+}
+
+/**
+ * Instruction appended to the user message so every provider knows the
+ * expected output, including those without a native JSON mode
+ */
+export function buildFormatInstruction(responseFormat) {
+  if (responseFormat.type === 'json_schema') {
+    return `Respond with only a JSON value that matches this JSON Schema, with no other text:\n${JSON.stringify(responseFormat.schema)}`;
+  }
+  return 'Respond with only a valid JSON object, with no other text.';
+}
+
+/**
+ * Follow-up prompt asking the model to fix output that failed validation
+ */
+export function buildRepairPrompt(errors, responseFormat) {
+  return `Your previous response was not valid:\n- ${errors.join('\n- ')}\n\n${buildFormatInstruction(responseFormat)}`;
+}
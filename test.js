@@ -0,0 +1,34 @@
+/**
+ * Test runner for `npm test`
+ * Runs every test/*.test.js file in MOCK_MODE against test/fixtures/priority.json.
+ * Sessions, jobs, usage and logs are written to a temporary directory that is
+ * removed afterwards, so the working tree is left untouched.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const rootDir = path.dirname(fileURLToPath(import.meta.url));
+const testDir = path.join(rootDir, 'test');
+const workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'jarvis-test-'));
+
+// Must be set before any service module reads its configuration
+process.env.MOCK_MODE = 'true';
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.CONVERSATION_STORE = 'file';
+process.env.CONVERSATION_DIR = path.join(workDir, 'sessions');
+process.env.JOBS_DIR = path.join(workDir, 'jobs');
+process.env.USAGE_FILE = path.join(workDir, 'usage.json');
+
+// priority.json and personas.json are read from the working directory
+fs.copyFileSync(path.join(testDir, 'fixtures', 'priority.json'), path.join(workDir, 'priority.json'));
+fs.copyFileSync(path.join(rootDir, 'personas.json'), path.join(workDir, 'personas.json'));
+process.chdir(workDir);
+process.on('exit', () => fs.rmSync(workDir, { recursive: true, force: true }));
+
+const files = fs.readdirSync(testDir).filter(file => file.endsWith('.test.js')).sort();
+for (const file of files) {
+  await import(pathToFileURL(path.join(testDir, file)).href);
+}
@@ -0,0 +1,111 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCapabilities, findUnmetRequirement, getRequirements, DEFAULT_CAPABILITIES } from '../src/services/capabilityRegistry.js';
+import { createManager, withPriorityConfig, PURE_AI } from './helpers.js';
+
+const JSON_FORMAT = { type: 'json_schema', schema: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] } };
+
+const withCapabilities = (change, fn) => withPriorityConfig(config => {
+  const providers = Object.fromEntries(config.providers.map(provider => [provider.id, provider]));
+  change(providers, config.settings);
+}, fn);
+
+describe('resolveCapabilities', () => {
+  test('layers model over provider over default capabilities', () => {
+    const capabilities = resolveCapabilities(
+      DEFAULT_CAPABILITIES,
+      { streaming: false, contextLength: 8000 },
+      [{ id: 'small' }, { id: 'large', contextLength: 128000, capabilities: { tools: false } }]
+    );
+
+    assert.deepEqual(capabilities.models.map(model => [model.id, model.contextLength, model.streaming, model.tools]), [
+      ['small', 8000, false, true],
+      ['large', 128000, false, false]
+    ]);
+    assert.equal(capabilities.contextLength, 128000);
+    assert.equal(capabilities.tools, true);
+    assert.equal(capabilities.streaming, false);
+  });
+
+  test('reports an unknown context length when any model\'s is unknown', () => {
+    const capabilities = resolveCapabilities(DEFAULT_CAPABILITIES, {}, [{ id: 'a', contextLength: 4000 }, { id: 'b' }]);
+
+    assert.equal(capabilities.contextLength, null);
+  });
+});
+
+describe('findUnmetRequirement', () => {
+  test('derives requirements from the request options', () => {
+    assert.deepEqual(getRequirements({ onToken: () => {}, tools: [{}] }, 120), {
+      contextLength: 120, streaming: true, tools: true, jsonMode: false
+    });
+    assert.equal(getRequirements({ onToken: () => {}, responseFormat: JSON_FORMAT }, 10).streaming, false);
+  });
+
+  test('names the first capability that is missing', () => {
+    const capabilities = { ...DEFAULT_CAPABILITIES, contextLength: 100, tools: false };
+
+    assert.equal(findUnmetRequirement(capabilities, { contextLength: 101 }).capability, 'contextLength');
+    assert.equal(findUnmetRequirement(capabilities, { contextLength: 50, tools: true }).capability, 'tools');
+    assert.equal(findUnmetRequirement(capabilities, { contextLength: 50, streaming: true, jsonMode: true }), null);
+    assert.equal(findUnmetRequirement(DEFAULT_CAPABILITIES, { contextLength: 1e9 }), null);
+  });
+});
+
+describe('capabilities during routing', () => {
+  test('skips providers that cannot stream a streamed request', () => withCapabilities(({ mock }) => {
+    mock.capabilities = { streaming: false };
+  }, async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{ response: 'streamed' }] });
+    const result = await manager.generateResponse('q', { ...PURE_AI, onToken: () => {} });
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal((await manager.getService('mock')).requests.length, 0);
+    assert.deepEqual(result.metadata.routing.order, ['mock-b']);
+    assert.equal(result.metadata.routing.unsupported[0].provider, 'mock');
+    assert.equal(result.metadata.routing.unsupported[0].capability, 'streaming');
+  }));
+
+  test('applies settings.capabilities as the default for every provider', () => withCapabilities(({ 'mock-b': mockB }, settings) => {
+    settings.capabilities = { tools: false };
+    mockB.capabilities = { tools: true };
+  }, async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{ response: 'with tools' }] });
+    const tool = { type: 'function', function: { name: 'noop', parameters: { type: 'object' } } };
+    const result = await manager.generateResponse('q', { ...PURE_AI, tools: [tool] });
+
+    assert.equal(result.providerId, 'mock-b');
+  }));
+
+  test('passes over a model without JSON output within a provider', () => withCapabilities(({ mock }) => {
+    mock.models = [{ id: 'mock-1', capabilities: { jsonMode: false } }, 'mock-2'];
+  }, async () => {
+    const manager = await createManager({ mock: [{ response: '{"city":"Oslo"}' }] });
+    const result = await manager.generateResponse('Where?', { ...PURE_AI, responseFormat: JSON_FORMAT });
+
+    assert.equal(result.model, 'mock-2');
+    assert.deepEqual(result.json, { city: 'Oslo' });
+    assert.equal(result.metadata.failedModels[0].model, 'mock-1');
+  }));
+
+  test('fails with a 400 listing each provider when none can take the request', () => withCapabilities(({ mock, 'mock-b': mockB }) => {
+    mock.capabilities = { contextLength: 5 };
+    mockB.capabilities = { tools: false };
+  }, async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    const tool = { type: 'function', function: { name: 'noop', parameters: { type: 'object' } } };
+
+    await assert.rejects(
+      manager.generateResponse('a prompt that is far longer than five tokens', { ...PURE_AI, tools: [tool] }),
+      { status: 400, message: /No available provider can handle this request: mock prompt of about \d+ tokens exceeds its 5-token context; mock-b does not support tool calling/ }
+    );
+  }));
+
+  test('reports each provider\'s capabilities in its health', async () => {
+    const manager = await createManager();
+    const [mock] = manager.getProviderHealth();
+
+    assert.equal(mock.capabilities.streaming, true);
+    assert.deepEqual(mock.capabilities.models.map(model => model.id), ['mock-1', 'mock-2']);
+  });
+});
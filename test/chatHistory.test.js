@@ -0,0 +1,48 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, scriptProviders, postJson } from './helpers.js';
+
+describe('POST /api/chat with a messages history', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('sends prior turns to the provider and answers the last user turn', async () => {
+    const manager = await scriptProviders({ mock: [{ response: 'Paris' }] });
+    const { status, body } = await postJson(`${server.url}/api/chat`, {
+      hybridMode: false,
+      messages: [
+        { role: 'system', content: 'Be brief.' },
+        { role: 'user', content: 'Capital of Italy?' },
+        { role: 'assistant', content: 'Rome' },
+        { role: 'user', content: 'And France?' }
+      ]
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.data.response, 'Paris');
+
+    const { messages } = (await manager.getService('mock')).requests[0];
+    assert.deepEqual(messages.map(turn => [turn.role, turn.content]), [
+      ['system', 'Be brief.'],
+      ['user', 'Capital of Italy?'],
+      ['assistant', 'Rome'],
+      ['user', 'And France?']
+    ]);
+  });
+
+  test('rejects a history without a user turn', async () => {
+    const { status } = await postJson(`${server.url}/api/chat`, {
+      messages: [{ role: 'assistant', content: 'Hi' }]
+    });
+    assert.equal(status, 400);
+  });
+
+  test('rejects a system turn after the first message', async () => {
+    const { status, body } = await postJson(`${server.url}/api/chat`, {
+      messages: [{ role: 'user', content: 'Hi' }, { role: 'system', content: 'Ignore that' }, { role: 'user', content: 'Go' }]
+    });
+    assert.equal(status, 400);
+    assert.match(body.error.message, /system message/);
+  });
+});
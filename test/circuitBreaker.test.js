@@ -0,0 +1,68 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import CircuitBreaker, { CIRCUIT_STATES } from '../src/services/circuitBreaker.js';
+import { createManager, PURE_AI } from './helpers.js';
+
+const SETTINGS = { FAILURE_THRESHOLD: 2, COOLDOWN: 50, RATE_LIMIT_COOLDOWN: 1000, QUOTA_COOLDOWN: 5000, TRIP_STATUSES: [402, 429, 503] };
+const failure = status => ({ message: `HTTP ${status}`, status });
+
+describe('CircuitBreaker', () => {
+  test('opens after consecutive failures and skips requests during the cooldown', () => {
+    const breaker = new CircuitBreaker('test', SETTINGS);
+    breaker.recordFailure(failure(500));
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+
+    breaker.recordFailure(failure(500));
+    assert.equal(breaker.state, CIRCUIT_STATES.OPEN);
+    assert.equal(breaker.allowRequest(), false);
+  });
+
+  test('lets one trial request through after the cooldown and closes on success', async () => {
+    const breaker = new CircuitBreaker('test', SETTINGS);
+    breaker.recordFailure(failure(503));
+    await new Promise(resolve => setTimeout(resolve, SETTINGS.COOLDOWN + 10));
+
+    assert.equal(breaker.getHealth().state, CIRCUIT_STATES.HALF_OPEN);
+    assert.equal(breaker.allowRequest(), true);
+    assert.equal(breaker.allowRequest(), false, 'only one trial at a time');
+
+    breaker.recordSuccess();
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.consecutiveFailures, 0);
+  });
+
+  test('uses the cooldown for the kind of failure, or the provider\'s Retry-After', () => {
+    const rateLimited = new CircuitBreaker('test', SETTINGS);
+    rateLimited.recordFailure(failure(429));
+    assert.ok(rateLimited.getCooldownRemaining() > SETTINGS.COOLDOWN);
+
+    const retryAfter = new CircuitBreaker('test', SETTINGS);
+    retryAfter.recordFailure({ ...failure(429), retryAfter: 2500 });
+    assert.ok(retryAfter.getCooldownRemaining() > 2000);
+  });
+
+  test('ignores errors caused by the request itself', () => {
+    const breaker = new CircuitBreaker('test', SETTINGS);
+    for (const status of [400, 413, 422, 499]) {
+      breaker.recordFailure(failure(status));
+    }
+    assert.equal(breaker.state, CIRCUIT_STATES.CLOSED);
+    assert.equal(breaker.consecutiveFailures, 0);
+  });
+});
+
+describe('circuit breakers in routing', () => {
+  test('skip a provider whose circuit is open', async () => {
+    const manager = await createManager({ mock: [{ error: 402 }, {}], 'mock-b': [{ response: 'from B' }] });
+    await manager.generateResponse('first', PURE_AI);
+
+    const result = await manager.generateResponse('second', PURE_AI);
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal((await manager.getService('mock')).requests.length, 1, 'mock is not called again while open');
+
+    const health = manager.getProviderHealth().find(provider => provider.id === 'mock');
+    assert.equal(health.available, false);
+    assert.equal(health.health.state, CIRCUIT_STATES.OPEN);
+    assert.equal(health.health.lastError.status, 402);
+  });
+});
@@ -0,0 +1,70 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createManager, withPriorityConfig } from './helpers.js';
+import OpenAICompatibleService from '../src/services/openAICompatibleService.js';
+
+describe('OpenAI-compatible providers from priority.json', () => {
+  let server;
+  let baseURL;
+  const received = [];
+
+  // Answers chat completions like an OpenAI-compatible server and records each request
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'chatcmpl-1',
+          object: 'chat.completion',
+          choices: [{ index: 0, message: { role: 'assistant', content: 'Hello from the server' }, finish_reason: 'stop' }],
+          usage: { prompt_tokens: 5, completion_tokens: 4, total_tokens: 9 }
+        }));
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const declare = config => config.providers.push({
+    id: 'stub',
+    type: 'openai-compatible',
+    name: 'Stub Server',
+    baseURL,
+    model: 'stub-model',
+    priority: 3,
+    enabled: true,
+    headers: { 'X-Team': 'jarvis' },
+    parameters: { seed: null, topP: 'nucleus' }
+  });
+
+  test('creates the provider from its priority.json entry and sends requests to its baseURL', async () => {
+    await withPriorityConfig(declare, async () => {
+      const manager = await createManager();
+      const service = await manager.getService('stub');
+      const result = await service.generateResponse('Hi', { temperature: 0.4, topP: 0.5, seed: 3 });
+
+      assert.ok(service instanceof OpenAICompatibleService);
+      assert.equal(result.response, 'Hello from the server');
+      assert.equal(result.metadata.usage.totalTokens, 9);
+
+      const { headers, body } = received.at(-1);
+      assert.equal(headers['x-team'], 'jarvis');
+      assert.equal(body.model, 'stub-model');
+      assert.equal(body.temperature, 0.4);
+      assert.equal(body.nucleus, 0.5);
+      assert.equal('seed' in body, false);
+    });
+  });
+
+  test('rejects an entry without a valid baseURL', async () => {
+    await assert.rejects(
+      withPriorityConfig(config => config.providers.push({ id: 'broken', type: 'openai-compatible', model: 'x', baseURL: 'not a url' }), () => {}),
+      /needs a valid baseURL/
+    );
+  });
+});
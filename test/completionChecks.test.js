@@ -0,0 +1,96 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkCompletion, normalizeFinishReason, FINISH_REASONS } from '../src/utils/completionChecks.js';
+import { ERROR_CLASSES } from '../src/utils/providerErrors.js';
+import { CONFIG } from '../src/config/config.js';
+import { estimateTokens } from '../src/utils/helpers.js';
+import { createManager, PURE_AI } from './helpers.js';
+
+describe('completion checks', () => {
+  test('maps provider finish reasons onto the OpenAI names', () => {
+    assert.equal(normalizeFinishReason('MAX_TOKENS'), FINISH_REASONS.LENGTH);
+    assert.equal(normalizeFinishReason('end_turn'), FINISH_REASONS.STOP);
+    assert.equal(normalizeFinishReason('SAFETY'), FINISH_REASONS.CONTENT_FILTER);
+    assert.equal(normalizeFinishReason(undefined), FINISH_REASONS.STOP);
+    assert.equal(normalizeFinishReason('other'), 'other');
+  });
+
+  test('flags empty and refused replies', () => {
+    assert.equal(checkCompletion({ response: '  ' }).errorClass, ERROR_CLASSES.EMPTY_RESPONSE);
+    assert.equal(checkCompletion({ response: '', refusal: 'Not allowed' }).errorClass, ERROR_CLASSES.REFUSAL);
+    assert.equal(checkCompletion({ response: 'Hi', metadata: { finishReason: 'content_filter' } }).errorClass, ERROR_CLASSES.REFUSAL);
+    assert.equal(checkCompletion({ response: "I'm sorry, but I can't help with that." }).errorClass, ERROR_CLASSES.REFUSAL);
+  });
+
+  test('accepts answers that only mention a limitation, and tool calls without text', () => {
+    assert.equal(checkCompletion({ response: 'Paris is the capital of France.' }), null);
+    assert.equal(checkCompletion({ response: `Here is the plan. ${'Step. '.repeat(60)}I can't help with step nine.` }), null);
+    assert.equal(checkCompletion({ response: '', toolCalls: [{ id: 'call_1' }] }), null);
+  });
+});
+
+describe('unusable replies during routing', () => {
+  for (const [name, step] of [
+    ['an empty reply', { response: '' }],
+    ['a refusal', { response: 'x', refusal: 'I cannot answer that' }],
+    ['a declining reply', { response: 'I am sorry, I cannot help with that.' }],
+    ['a filtered reply', { response: 'Partial', finishReason: 'content_filter' }]
+  ]) {
+    test(`falls back to the next provider on ${name}`, async () => {
+      const manager = await createManager({ mock: [step], 'mock-b': [{ response: 'An answer' }] });
+      const result = await manager.generateResponse('q', PURE_AI);
+
+      assert.equal(result.providerId, 'mock-b');
+      assert.equal(result.response, 'An answer');
+      assert.equal(result.fallbackUsed, true);
+    });
+  }
+});
+
+describe('continuation of truncated replies', () => {
+  test('asks the same model to continue and joins the parts', async () => {
+    const manager = await createManager({ mock: [{ response: 'The first half ', finishReason: 'length' }, { response: 'and the rest.' }] });
+    const result = await manager.generateResponse('Tell me everything', PURE_AI);
+    const mock = await manager.getService('mock');
+
+    assert.equal(result.response, 'The first half and the rest.');
+    assert.equal(result.metadata.continuations, 1);
+    assert.equal(result.metadata.finishReason, 'stop');
+    assert.equal(mock.requests.length, 2);
+
+    const continuation = mock.requests[1].messages.filter(turn => turn.role !== 'system');
+    assert.deepEqual(continuation.slice(0, 2), [
+      { role: 'user', content: 'Tell me everything' },
+      { role: 'assistant', content: 'The first half ' }
+    ]);
+    assert.match(continuation.at(-1).content, /cut off/);
+    assert.equal(result.metadata.usage.completionTokens, estimateTokens('The first half ') + estimateTokens('and the rest.'));
+  });
+
+  test('stops after MAX_CONTINUATIONS follow-ups', async () => {
+    const manager = await createManager({ mock: [{ response: 'more ', finishReason: 'length' }] });
+    const result = await manager.generateResponse('q', PURE_AI);
+
+    assert.equal(result.metadata.continuations, CONFIG.AI.MAX_CONTINUATIONS);
+    assert.equal(result.metadata.finishReason, 'length');
+    assert.equal((await manager.getService('mock')).requests.length, CONFIG.AI.MAX_CONTINUATIONS + 1);
+  });
+
+  test('does not continue a reply cut off by an explicit maxTokens', async () => {
+    const manager = await createManager({ mock: [{ response: 'Short', finishReason: 'length' }] });
+    const result = await manager.generateResponse('q', { ...PURE_AI, maxTokens: 5 });
+
+    assert.equal(result.response, 'Short');
+    assert.equal(result.metadata.continuations, 0);
+    assert.equal((await manager.getService('mock')).requests.length, 1);
+  });
+
+  test('returns the truncated reply when a continuation fails', async () => {
+    const manager = await createManager({ mock: [{ response: 'Partial answer', finishReason: 'length' }, { error: 401 }] });
+    const result = await manager.generateResponse('q', PURE_AI);
+
+    assert.equal(result.providerId, 'mock');
+    assert.equal(result.response, 'Partial answer');
+    assert.equal(result.metadata.continuations, 0);
+  });
+});
@@ -0,0 +1,79 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager, withPriorityConfig, startServer, scriptProviders, postJson, PURE_AI } from './helpers.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const withMockBTimeout = (timeout, fn) => withPriorityConfig(config => {
+  config.providers.find(provider => provider.id === 'mock-b').timeout = timeout;
+}, fn);
+
+describe('request deadlines and provider timeouts', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('fails with a 504 once the request deadline passes', async () => {
+    const manager = await createManager({ mock: [{ latency: 500 }], 'mock-b': [{}] });
+
+    await assert.rejects(
+      manager.generateResponse('q', { ...PURE_AI, timeout: 50 }),
+      { status: 504, message: /within its 50ms deadline/ }
+    );
+    assert.equal((await manager.getService('mock-b')).requests.length, 0);
+  });
+
+  test('stops without trying other providers when the caller cancels', async () => {
+    const manager = await createManager({ mock: [{ latency: 500 }], 'mock-b': [{}] });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 30);
+
+    await assert.rejects(manager.generateResponse('q', { ...PURE_AI, signal: controller.signal }));
+    assert.equal((await manager.getService('mock-b')).requests.length, 0);
+  });
+
+  test('moves on when a provider produces no first token within its timeout', () => withMockBTimeout(100, async () => {
+    const manager = await createManager({ mock: [{ response: 'from mock' }], 'mock-b': [{ latency: 400 }] });
+    const result = await manager.generateResponse('q', { ...PURE_AI, provider: 'mock-b', onToken: () => {} });
+
+    assert.equal(result.providerId, 'mock');
+    assert.equal(result.fallbackUsed, true);
+  }));
+
+  test('lets a stream run past the provider timeout once tokens arrive', () => withMockBTimeout(100, async () => {
+    const manager = await createManager({ 'mock-b': [{ response: 'one two three four', tokenLatency: 60 }] });
+    const result = await manager.generateResponse('q', { ...PURE_AI, provider: 'mock-b', onToken: () => {} });
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal(result.response, 'one two three four');
+  }));
+
+  test('rejects a timeout outside the allowed range', async () => {
+    const { status, body } = await postJson(`${server.url}/api/chat`, { message: 'q', timeout: 10 });
+
+    assert.equal(status, 400);
+    assert.match(body.error.message, /Timeout must be an integer/);
+  });
+
+  test('cancels provider calls when the client disconnects', async () => {
+    const manager = await scriptProviders({ mock: [{ latency: 2000 }] });
+    const mock = await manager.getService('mock');
+    const controller = new AbortController();
+
+    const request = fetch(`${server.url}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ message: 'q', hybridMode: false }),
+      signal: controller.signal
+    }).catch(error => error);
+
+    while (mock.requests.length === 0) {
+      await sleep(10);
+    }
+    controller.abort();
+    await request;
+    await sleep(50);
+
+    assert.equal(mock.requests[0].signal.aborted, true);
+  });
+});
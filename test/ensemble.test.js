@@ -0,0 +1,84 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateModeOptions } from '../src/middleware/index.js';
+import { createManager, PURE_AI } from './helpers.js';
+
+const ENSEMBLE = { ...PURE_AI, mode: 'ensemble', ensembleSize: 2 };
+
+const verdict = (answer, agreement, disagreements = []) => ({ response: JSON.stringify({ answer, agreement, disagreements }) });
+
+describe('ensemble mode', () => {
+  test('merges the candidates with the judge and reports their agreement', async () => {
+    // mock answers first, then judges as the first high quality provider
+    const manager = await createManager({
+      mock: [{ response: 'Paris' }, verdict('Paris is the capital of France.', 0.9, ['wording'])],
+      'mock-b': [{ response: 'The capital is Paris.' }]
+    });
+    const result = await manager.generateResponse('Capital of France?', ENSEMBLE);
+    const { metadata } = result;
+
+    assert.equal(result.response, 'Paris is the capital of France.');
+    assert.equal(metadata.mode, 'ensemble');
+    assert.equal(metadata.agreement, 0.9);
+    assert.deepEqual(metadata.disagreements, ['wording']);
+    assert.deepEqual(metadata.judge, { provider: 'mock', model: 'mock-1' });
+    assert.deepEqual(metadata.candidates.map(candidate => [candidate.provider, candidate.response]), [
+      ['mock', 'Paris'],
+      ['mock-b', 'The capital is Paris.']
+    ]);
+    assert.equal(result.totalAttempts, 2);
+  });
+
+  test('counts the usage of every candidate and the judge', async () => {
+    const manager = await createManager({
+      mock: [{ response: 'one' }, verdict('merged', 1)],
+      'mock-b': [{ response: 'two' }]
+    });
+    const { metadata } = await manager.generateResponse('q', ENSEMBLE);
+    const candidateTokens = metadata.candidates.reduce((sum, candidate) => sum + candidate.usage.totalTokens, 0);
+
+    assert.ok(metadata.usage.totalTokens > candidateTokens);
+  });
+
+  test('uses the requested judge', async () => {
+    const manager = await createManager({
+      mock: [{ response: 'one' }],
+      'mock-b': [{ response: 'two' }, verdict('merged by B', 0.5)]
+    });
+    const result = await manager.generateResponse('q', { ...ENSEMBLE, judge: 'mock-b' });
+
+    assert.equal(result.response, 'merged by B');
+    assert.equal(result.metadata.judge.provider, 'mock-b');
+  });
+
+  test('returns the first answer when the judge fails', async () => {
+    const manager = await createManager({
+      mock: [{ response: 'first answer' }, { error: 401 }],
+      'mock-b': [{ response: 'second answer' }, { error: 401 }]
+    });
+    const result = await manager.generateResponse('q', ENSEMBLE);
+
+    assert.equal(result.response, 'first answer');
+    assert.equal(result.metadata.agreement, null);
+    assert.equal(result.metadata.judge.provider, null);
+    assert.ok(result.metadata.judge.error);
+  });
+
+  test('skips the judge when only one provider answers', async () => {
+    const manager = await createManager({ mock: [{ error: 401 }], 'mock-b': [{ response: 'alone' }] });
+    const result = await manager.generateResponse('q', ENSEMBLE);
+
+    assert.equal(result.response, 'alone');
+    assert.equal(result.metadata.judge.skipped, 'only one provider answered');
+    assert.equal(result.metadata.failedCandidates[0].provider, 'mock');
+    assert.equal(result.fallbackUsed, true);
+  });
+
+  test('rejects ensemble options that cannot be combined', () => {
+    assert.match(validateModeOptions({ mode: 'ensemble', strategy: 'race' }), /cannot be combined/);
+    assert.match(validateModeOptions({ mode: 'ensemble', tools: [] }), /does not support tools/);
+    assert.match(validateModeOptions({ ensembleSize: 2 }), /require mode "ensemble"/);
+    assert.match(validateModeOptions({ mode: 'ensemble', ensembleSize: 1 }), /ensembleSize must be/);
+    assert.equal(validateModeOptions({ mode: 'ensemble', ensembleSize: 2, judge: 'mock' }), null);
+  });
+});
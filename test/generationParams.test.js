@@ -0,0 +1,51 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, scriptProviders, postJson } from './helpers.js';
+import { validateGenerationParams } from '../src/middleware/index.js';
+import GeminiService from '../src/services/geminiService.js';
+
+describe('generation parameters', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('accepts values within range', () => {
+    assert.equal(validateGenerationParams({ temperature: 0.2, maxTokens: 100, topP: 1, stop: ['END'], seed: 7 }), null);
+  });
+
+  test('rejects values out of range or of the wrong type', () => {
+    assert.match(validateGenerationParams({ temperature: 3 }), /Temperature/);
+    assert.match(validateGenerationParams({ maxTokens: 1.5 }), /maxTokens/);
+    assert.match(validateGenerationParams({ topP: -0.1 }), /topP/);
+    assert.match(validateGenerationParams({ stop: ['a', 'b', 'c', 'd', 'e'] }), /Stop/);
+    assert.match(validateGenerationParams({ stop: '' }), /Stop/);
+    assert.match(validateGenerationParams({ seed: '1' }), /Seed/);
+  });
+
+  test('passes request parameters through to the provider', async () => {
+    const manager = await scriptProviders({ mock: [{}] });
+    const { status } = await postJson(`${server.url}/api/chat`, {
+      message: 'hi', hybridMode: false, temperature: 0.3, maxTokens: 64, topP: 0.9, stop: 'END', seed: 42
+    });
+
+    assert.equal(status, 200);
+    const request = (await manager.getService('mock')).requests[0];
+    assert.deepEqual(
+      { temperature: request.temperature, maxTokens: request.maxTokens, topP: request.topP, stop: request.stop, seed: request.seed },
+      { temperature: 0.3, maxTokens: 64, topP: 0.9, stop: 'END', seed: 42 }
+    );
+  });
+
+  test('answers 400 for an invalid parameter', async () => {
+    const { status, body } = await postJson(`${server.url}/api/chat`, { message: 'hi', temperature: 5 });
+
+    assert.equal(status, 400);
+    assert.match(body.error.message, /Temperature/);
+  });
+
+  test('maps parameters to wire names and drops unsupported ones', () => {
+    const params = new GeminiService().buildGenerationParams({ temperature: 0.5, maxTokens: 10, topP: 0.8, seed: 1 });
+
+    assert.deepEqual(params, { temperature: 0.5, max_tokens: 10, top_p: 0.8 });
+  });
+});
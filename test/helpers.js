@@ -0,0 +1,122 @@
+/**
+ * Shared helpers for the test suite (see test.js)
+ */
+
+import fs from 'fs';
+import express from 'express';
+import AIServiceManager, { getAIServiceManager } from '../src/services/aiServiceManager.js';
+import apiRoutes from '../src/routes/api.js';
+import adminRoutes from '../src/routes/admin.js';
+import openAIRoutes from '../src/routes/openai.js';
+import { errorHandler } from '../src/middleware/index.js';
+import { CONFIG } from '../src/config/config.js';
+import { reloadPriorityConfig } from '../src/services/priorityService.js';
+
+/**
+ * A fresh manager, so circuit breakers, limiters and the provider cache
+ * start clean. `scripts` maps provider ids to mock script steps.
+ */
+export async function createManager(scripts = {}) {
+  const manager = new AIServiceManager();
+  for (const [providerId, steps] of Object.entries(scripts)) {
+    (await manager.getService(providerId)).setScript(steps);
+  }
+  return manager;
+}
+
+/**
+ * Run `fn` with priority.json changed by `change(config)`, restoring the
+ * fixture afterwards. Create managers inside `fn` so they see the change.
+ */
+export async function withPriorityConfig(change, fn) {
+  const original = fs.readFileSync('priority.json', 'utf8');
+  const config = JSON.parse(original);
+  change(config);
+
+  fs.writeFileSync('priority.json', JSON.stringify(config, null, 2));
+  try {
+    reloadPriorityConfig();
+    return await fn();
+  } finally {
+    fs.writeFileSync('priority.json', original);
+    reloadPriorityConfig();
+  }
+}
+
+/**
+ * Options for a plain provider request, without the decision agent or web search
+ */
+export const PURE_AI = { hybridMode: false };
+
+/**
+ * A promise with its resolve function, for holding a mock step back with `gate`
+ */
+export function deferred() {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+}
+
+/**
+ * Script mock providers on the shared manager used by the HTTP routes. Their
+ * circuit breakers start over, so failures scripted in one test don't
+ * skip the provider in the next.
+ */
+export async function scriptProviders(scripts) {
+  const manager = getAIServiceManager();
+  for (const [providerId, steps] of Object.entries(scripts)) {
+    (await manager.getService(providerId)).setScript(steps);
+    manager.breakers.delete(providerId);
+  }
+  return manager;
+}
+
+/**
+ * Serve the /api, /admin and /v1 routes on a random local port.
+ * Returns { url, close }.
+ */
+export async function startServer() {
+  const app = express();
+  app.use(express.json({ limit: CONFIG.SERVER.REQUEST_SIZE_LIMIT }));
+  app.use('/api', apiRoutes);
+  app.use('/admin', adminRoutes);
+  app.use('/v1', openAIRoutes);
+  app.use(errorHandler);
+
+  const server = await new Promise(resolve => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+
+  return {
+    url: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => {
+      server.closeAllConnections();
+      server.close(resolve);
+    })
+  };
+}
+
+/**
+ * POST a JSON body and return { status, body } with the parsed JSON response
+ */
+export async function postJson(url, body, headers = {}) {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+/**
+ * Parse a Server-Sent Events body into [{ event, data }]
+ */
+export function parseEvents(text) {
+  return text.split('\n\n')
+    .filter(block => block.trim())
+    .map(block => {
+      const event = block.match(/^event: (.*)$/m)?.[1] || 'message';
+      const data = block.match(/^data: (.*)$/m)?.[1];
+      return { event, data: data === '[DONE]' ? data : JSON.parse(data) };
+    });
+}
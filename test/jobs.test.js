@@ -0,0 +1,138 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { startServer, scriptProviders, postJson } from './helpers.js';
+import JobQueue, { checkCallbackUrl } from '../src/services/jobQueue.js';
+import { CONFIG } from '../src/config/config.js';
+
+/**
+ * Poll until `check` returns a truthy value
+ */
+async function waitFor(check, timeout = 5000) {
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const value = await check();
+    if (value) return value;
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+}
+
+describe('job API', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  const getJob = async id => (await (await fetch(`${server.url}/api/jobs/${id}`)).json()).data;
+
+  test('queues a chat and reports the result once it completes', async () => {
+    await scriptProviders({ mock: [{ response: 'Done later', latency: 50 }] });
+    const { status, body } = await postJson(`${server.url}/api/jobs`, { message: 'hi', hybridMode: false });
+
+    assert.equal(status, 202);
+    assert.ok(['queued', 'running'].includes(body.data.status));
+    assert.equal(body.data.statusUrl, `/api/jobs/${body.data.id}`);
+
+    const job = await waitFor(async () => {
+      const current = await getJob(body.data.id);
+      return current.status === 'completed' && current;
+    });
+    assert.equal(job.result.response, 'Done later');
+    assert.ok(job.startedAt && job.finishedAt);
+  });
+
+  test('records the error of a failed job', async () => {
+    await scriptProviders({ mock: [{ error: 400 }], 'mock-b': [{ error: 400 }] });
+    const { body } = await postJson(`${server.url}/api/jobs`, { message: 'hi', hybridMode: false });
+
+    const job = await waitFor(async () => {
+      const current = await getJob(body.data.id);
+      return current.status === 'failed' && current;
+    });
+    assert.ok(job.error.message);
+  });
+
+  test('rejects streaming, private callback URLs and unknown job ids', async () => {
+    const streaming = await postJson(`${server.url}/api/jobs`, { message: 'hi', stream: true });
+    const loopback = await postJson(`${server.url}/api/jobs`, { message: 'hi', callbackUrl: 'http://127.0.0.1:8080/hook' });
+
+    assert.equal(streaming.status, 400);
+    assert.equal(loopback.status, 400);
+    assert.match(loopback.body.error, /local or private address/);
+    assert.equal((await fetch(`${server.url}/api/jobs/not-a-job`)).status, 400);
+    assert.equal((await fetch(`${server.url}/api/jobs/00000000-0000-4000-8000-000000000000`)).status, 404);
+  });
+
+  test('hides jobs from other clients', async () => {
+    await scriptProviders({ mock: [{}] });
+    const { body } = await postJson(`${server.url}/api/jobs`, { message: 'hi', hybridMode: false }, { Authorization: 'Bearer alice-key' });
+    const read = headers => fetch(`${server.url}/api/jobs/${body.data.id}`, { headers });
+
+    assert.equal((await read({ Authorization: 'Bearer bob-key' })).status, 404);
+    assert.equal((await read({})).status, 404);
+    assert.equal((await read({ Authorization: 'Bearer alice-key' })).status, 200);
+  });
+});
+
+describe('callback URLs', () => {
+  test('are rejected when they point at this machine or a private network', async () => {
+    for (const url of ['http://localhost/x', 'http://10.1.2.3/', 'http://192.168.0.1/', 'http://169.254.169.254/latest',
+      'http://[::1]/', 'http://[fd00::1]/', 'http://[::ffff:127.0.0.1]/', 'http://0.0.0.0/']) {
+      assert.match(await checkCallbackUrl(url), /local or private address/, url);
+    }
+    assert.match(await checkCallbackUrl('ftp://example.com/'), /http or https/);
+  });
+
+  test('are accepted for public addresses', async () => {
+    assert.equal(await checkCallbackUrl('https://93.184.216.34/hook'), null);
+  });
+});
+
+describe('JobQueue', () => {
+  const directory = path.join(CONFIG.JOBS.DIR, 'queue-test');
+
+  test('records a failed callback delivery without failing the job', async () => {
+    await scriptProviders({ mock: [{}] });
+    const queue = new JobQueue(directory, 1);
+    const job = await queue.enqueue({ message: 'hi', hybridMode: false }, 'http://127.0.0.1:9/hook');
+
+    await waitFor(() => queue.get(job.id).callback);
+    assert.equal(queue.get(job.id).status, 'completed');
+    assert.equal(queue.get(job.id).callback.status, 'failed');
+    clearInterval(queue.pruneTimer);
+  });
+
+  test('requeues unfinished jobs and drops expired ones on restart', () => {
+    fs.rmSync(directory, { recursive: true, force: true });
+    fs.mkdirSync(directory, { recursive: true });
+    const saved = (id, fields) => fs.writeFileSync(path.join(directory, `${id}.json`), JSON.stringify({
+      id, request: { message: 'hi', hybridMode: false }, createdAt: new Date().toISOString(), ...fields
+    }));
+    saved('interrupted', { status: 'running', startedAt: new Date().toISOString() });
+    saved('expired', { status: 'completed', finishedAt: new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString() });
+
+    const queue = new JobQueue(directory, 1);
+    clearInterval(queue.pruneTimer);
+
+    assert.ok(queue.get('interrupted'));
+    assert.equal(queue.get('expired'), null);
+    assert.equal(fs.existsSync(path.join(directory, 'expired.json')), false);
+  });
+
+  test('prunes finished jobs once they pass the retention period', async () => {
+    await scriptProviders({ mock: [{}] });
+    const queue = new JobQueue(directory, 1);
+    clearInterval(queue.pruneTimer);
+    const job = await queue.enqueue({ message: 'hi', hybridMode: false });
+    await waitFor(() => queue.get(job.id).status === 'completed');
+
+    queue.prune();
+    assert.ok(queue.get(job.id), 'a fresh job is kept');
+
+    queue.get(job.id).finishedAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    queue.prune();
+    assert.equal(queue.get(job.id), null);
+    assert.equal(fs.existsSync(queue.jobPath(job.id)), false);
+  });
+});
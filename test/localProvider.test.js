@@ -0,0 +1,55 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import LocalAIService from '../src/services/localAIService.js';
+
+describe('local model server provider', () => {
+  let server;
+  let baseURL;
+  let up = true;
+
+  // Lists two models like Ollama's /v1/models while `up` is set
+  before(async () => {
+    server = http.createServer((req, res) => {
+      if (!up || req.url !== '/v1/models') {
+        res.writeHead(503);
+        return res.end();
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ object: 'list', data: [{ id: 'llama3.2' }, { id: 'qwen2.5' }] }));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseURL = `http://127.0.0.1:${server.address().port}/v1`;
+  });
+  after(() => new Promise(resolve => server.close(resolve)));
+
+  const createService = () => {
+    const service = new LocalAIService();
+    service.config = { ...service.config, baseURL };
+    return service;
+  };
+
+  test('is unavailable until a probe reaches the server', async () => {
+    const service = createService();
+    assert.equal(service.isAvailable(), false);
+
+    const probe = await service.probe(true);
+    assert.equal(probe.available, true);
+    assert.equal(service.isAvailable(), true);
+  });
+
+  test('lists the models installed on the server', async () => {
+    assert.deepEqual(await createService().listModels(), ['llama3.2', 'qwen2.5']);
+  });
+
+  test('becomes unavailable when a probe fails', async () => {
+    up = false;
+    const service = createService();
+    const probe = await service.probe(true);
+
+    assert.equal(probe.available, false);
+    assert.equal(service.isAvailable(), false);
+    assert.deepEqual(probe.models, []);
+    up = true;
+  });
+});
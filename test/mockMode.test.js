@@ -0,0 +1,104 @@
+import { test, describe, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager, PURE_AI } from './helpers.js';
+import IntelligentDecisionAgent from '../src/services/intelligentDecisionAgent.js';
+import { getMockDecisionModel } from '../src/services/mockDecisionModel.js';
+import { getMockSearchBackend } from '../src/services/mockSearchBackend.js';
+
+describe('provider fallback', () => {
+  test('answers from the first provider in priority order', async () => {
+    const manager = await createManager({ mock: [{ response: 'from A' }] });
+    const result = await manager.generateResponse('hello', PURE_AI);
+
+    assert.equal(result.providerId, 'mock');
+    assert.equal(result.response, 'from A');
+    assert.equal(result.fallbackUsed, false);
+  });
+
+  test('falls back to the next provider when one fails', async () => {
+    const manager = await createManager({ mock: [{ error: 401 }], 'mock-b': [{ response: 'from B' }] });
+    const result = await manager.generateResponse('hello', PURE_AI);
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal(result.response, 'from B');
+    assert.equal(result.fallbackUsed, true);
+    assert.equal(result.totalAttempts, 2);
+  });
+
+  test('reports the last error when every provider fails', async () => {
+    const manager = await createManager({ mock: [{ error: 400 }], 'mock-b': [{ error: 400 }] });
+
+    await assert.rejects(manager.generateResponse('hello', PURE_AI), /All AI services failed.*Mock B/);
+  });
+});
+
+describe('decision agent', () => {
+  beforeEach(() => getMockDecisionModel().setScript([]));
+
+  test('asks for web search when the query needs live data', async () => {
+    const analysis = await new IntelligentDecisionAgent().analyzeQuery('weather in Paris today');
+
+    assert.equal(analysis.needsWebSearch, true);
+    assert.equal(analysis.searchQuery, 'weather in Paris today');
+  });
+
+  test('answers general knowledge queries without web search', async () => {
+    const analysis = await new IntelligentDecisionAgent().analyzeQuery('Tell me about the Roman empire');
+
+    assert.equal(analysis.needsWebSearch, false);
+  });
+
+  test('overrides a low-confidence web search decision', async () => {
+    getMockDecisionModel().setScript([{ decision: { needsWebSearch: true, confidence: 0.5, searchQuery: 'x' } }]);
+    const analysis = await new IntelligentDecisionAgent().analyzeQuery('latest scores');
+
+    assert.equal(analysis.needsWebSearch, false);
+    assert.match(analysis.reasoning, /Confidence too low/);
+  });
+
+  test('defaults to AI only when the model reply cannot be parsed', async () => {
+    getMockDecisionModel().setScript([{ text: 'not json' }]);
+    const analysis = await new IntelligentDecisionAgent().analyzeQuery('latest news');
+
+    assert.equal(analysis.needsWebSearch, false);
+  });
+});
+
+describe('HybridAIService', () => {
+  beforeEach(() => {
+    getMockDecisionModel().setScript([]);
+    getMockSearchBackend().setScript([]);
+    getMockSearchBackend().setAvailable(true);
+  });
+
+  test('adds web results to the prompt when the query needs live data', async () => {
+    const manager = await createManager({ mock: [{}] });
+    const result = await manager.generateResponse('latest news about rockets');
+    const mock = await manager.getService('mock');
+
+    assert.equal(result.metadata.webSearchUsed, true);
+    assert.equal(result.metadata.responseType, 'hybrid_web_ai');
+    assert.equal(result.webData.sources.length, 3);
+    assert.deepEqual(getMockSearchBackend().queries, ['latest news about rockets']);
+    assert.match(mock.requests[0].message, /Mock snippet 1 about latest news about rockets/);
+  });
+
+  test('answers without searching when the decision agent says no', async () => {
+    const manager = await createManager({ mock: [{}] });
+    const result = await manager.generateResponse('Tell me about the Roman empire');
+
+    assert.equal(result.metadata.webSearchUsed, false);
+    assert.equal(result.metadata.responseType, 'ai_only');
+    assert.deepEqual(getMockSearchBackend().queries, []);
+  });
+
+  test('falls back to AI only when the search fails', async () => {
+    getMockSearchBackend().setScript([{ error: 503 }]);
+    const manager = await createManager({ mock: [{}] });
+    const result = await manager.generateResponse('current bitcoin price');
+    const mock = await manager.getService('mock');
+
+    assert.equal(result.metadata.responseType, 'ai_only');
+    assert.equal(mock.requests[0].message, 'current bitcoin price');
+  });
+});
@@ -0,0 +1,82 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager, withPriorityConfig, PURE_AI } from './helpers.js';
+
+const withMockModels = (models, fn) => withPriorityConfig(config => {
+  config.providers.find(provider => provider.id === 'mock').models = models;
+}, fn);
+
+describe('model fallback within a provider', () => {
+  test('moves on to the next model when one is missing', async () => {
+    const manager = await createManager({ mock: [{ error: 404 }, { response: 'second model' }] });
+    const result = await manager.generateResponse('q', PURE_AI);
+    const mock = await manager.getService('mock');
+
+    assert.equal(result.providerId, 'mock');
+    assert.equal(result.model, 'mock-2');
+    assert.equal(result.fallbackUsed, false);
+    assert.deepEqual(mock.requests.map(request => request.model), ['mock-1', 'mock-2']);
+    assert.equal(result.metadata.failedModels[0].model, 'mock-1');
+    assert.equal(result.metadata.failedModels[0].errorClass, 'model_not_found');
+  });
+
+  test('tries a missing model last on later requests', async () => {
+    const manager = await createManager({ mock: [{ error: 404 }, {}] });
+    await manager.generateResponse('q', PURE_AI);
+    const mock = await manager.getService('mock');
+    mock.setScript([{}]);
+
+    const result = await manager.generateResponse('q', PURE_AI);
+
+    assert.equal(result.model, 'mock-2');
+    assert.equal(mock.requests.length, 1);
+  });
+
+  test('tries only a pinned model when fallback is disabled', async () => {
+    const manager = await createManager({ mock: [{ error: 404 }, { response: 'sibling model' }], 'mock-b': [{}] });
+
+    await assert.rejects(
+      manager.generateResponse('q', { ...PURE_AI, provider: 'mock', model: 'mock-2', fallback: false }),
+      { message: /All AI services failed/ }
+    );
+    assert.deepEqual((await manager.getService('mock')).requests.map(request => request.model), ['mock-2']);
+  });
+
+  test('falls back to the next provider on errors other models cannot fix', async () => {
+    const manager = await createManager({ mock: [{ error: 401 }], 'mock-b': [{}] });
+    const result = await manager.generateResponse('q', PURE_AI);
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal((await manager.getService('mock')).requests.length, 1);
+  });
+
+  test('falls back to the next provider once every model has failed', async () => {
+    const manager = await createManager({ mock: [{ error: 404 }], 'mock-b': [{}] });
+    const result = await manager.generateResponse('q', PURE_AI);
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal((await manager.getService('mock')).requests.length, 2);
+  });
+
+  test('caps the reply at a model\'s maxOutputTokens', () => withMockModels(
+    [{ id: 'mock-1', maxOutputTokens: 50 }],
+    async () => {
+      const manager = await createManager({ mock: [{}] });
+      await manager.generateResponse('q', { ...PURE_AI, maxTokens: 500 });
+
+      assert.equal((await manager.getService('mock')).requests[0].maxTokens, 50);
+    }
+  ));
+
+  test('skips a model whose context cannot hold the prompt', () => withMockModels(
+    [{ id: 'mock-tiny', contextLength: 5 }, 'mock-1'],
+    async () => {
+      const manager = await createManager({ mock: [{}] });
+      const result = await manager.generateResponse('a prompt that is longer than five tokens', PURE_AI);
+
+      assert.equal(result.model, 'mock-1');
+      assert.equal(result.metadata.failedModels[0].model, 'mock-tiny');
+      assert.equal(result.metadata.failedModels[0].errorClass, 'context_length');
+    }
+  ));
+});
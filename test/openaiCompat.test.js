@@ -0,0 +1,96 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, scriptProviders, postJson, parseEvents } from './helpers.js';
+
+describe('OpenAI-compatible /v1 routes', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('lists the auto model, providers and configured models', async () => {
+    const body = await (await fetch(`${server.url}/v1/models`)).json();
+    const ids = body.data.map(model => model.id);
+
+    assert.equal(body.object, 'list');
+    for (const id of ['jarvis-auto', 'mock', 'mock-b', 'mock-2']) {
+      assert.ok(ids.includes(id), `missing ${id}`);
+    }
+  });
+
+  test('answers a chat completion in the OpenAI format', async () => {
+    await scriptProviders({ mock: [{ response: 'Hello there' }] });
+    const { status, body } = await postJson(`${server.url}/v1/chat/completions`, {
+      model: 'jarvis-auto',
+      hybrid_mode: false,
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+
+    assert.equal(status, 200);
+    assert.equal(body.object, 'chat.completion');
+    assert.equal(body.choices[0].message.role, 'assistant');
+    assert.equal(body.choices[0].message.content, 'Hello there');
+    assert.equal(body.choices[0].finish_reason, 'stop');
+    assert.ok(body.usage.total_tokens > 0);
+  });
+
+  test('routes a provider/model id to that model', async () => {
+    await scriptProviders({ mock: [{}] });
+    const { body } = await postJson(`${server.url}/v1/chat/completions`, {
+      model: 'mock/mock-2',
+      hybrid_mode: false,
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+
+    assert.equal(body.model, 'mock-2');
+    assert.equal(body.jarvis.provider, 'Mock');
+  });
+
+  test('returns an OpenAI error for an unknown model', async () => {
+    const { status, body } = await postJson(`${server.url}/v1/chat/completions`, {
+      model: 'no-such-model',
+      messages: [{ role: 'user', content: 'Hi' }]
+    });
+
+    assert.equal(status, 404);
+    assert.equal(body.error.code, 'model_not_found');
+  });
+
+  test('accepts text parts and rejects image content', async () => {
+    const manager = await scriptProviders({ mock: [{}] });
+    const send = content => postJson(`${server.url}/v1/chat/completions`, {
+      model: 'mock',
+      hybrid_mode: false,
+      messages: [{ role: 'user', content }]
+    });
+
+    assert.equal((await send([{ type: 'text', text: 'Describe' }, { type: 'text', text: 'briefly' }])).status, 200);
+    assert.equal((await manager.getService('mock')).requests[0].message, 'Describe\nbriefly');
+
+    const { status, body } = await send([{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: 'https://example.com/cat.png' } }]);
+    assert.equal(status, 400);
+    assert.equal(body.error.param, 'messages');
+    assert.match(body.error.message, /'image_url' is not supported/);
+  });
+
+  test('streams chunks that all name the answering model, ending in [DONE]', async () => {
+    await scriptProviders({ mock: [{ response: 'a b c' }] });
+    const response = await fetch(`${server.url}/v1/chat/completions`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        model: 'jarvis-auto',
+        hybrid_mode: false,
+        stream: true,
+        stream_options: { include_usage: true },
+        messages: [{ role: 'user', content: 'Hi' }]
+      })
+    });
+    const events = parseEvents(await response.text());
+    const chunks = events.slice(0, -1).map(event => event.data);
+
+    assert.equal(events.at(-1).data, '[DONE]');
+    assert.equal(chunks.map(chunk => chunk.choices[0]?.delta.content || '').join(''), 'a b c');
+    assert.deepEqual([...new Set(chunks.map(chunk => chunk.model))], ['mock-1']);
+    assert.ok(chunks.at(-1).usage.total_tokens > 0);
+  });
+});
@@ -0,0 +1,52 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, scriptProviders, postJson } from './helpers.js';
+
+describe('personas', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('uses the persona system prompt and default temperature', async () => {
+    const manager = await scriptProviders({ mock: [{}] });
+    const { status } = await postJson(`${server.url}/api/chat`, { message: 'Review this', persona: 'code-reviewer', hybridMode: false });
+
+    assert.equal(status, 200);
+    const request = (await manager.getService('mock')).requests[0];
+    assert.equal(request.messages[0].role, 'system');
+    assert.match(request.messages[0].content, /code reviewer/);
+    assert.equal(request.temperature, 0.2);
+  });
+
+  test('lets request values override persona defaults', async () => {
+    const manager = await scriptProviders({ mock: [{}] });
+    await postJson(`${server.url}/api/chat`, { message: 'Review this', persona: 'code-reviewer', temperature: 0.9, hybridMode: false });
+
+    assert.equal((await manager.getService('mock')).requests[0].temperature, 0.9);
+  });
+
+  test('answers 400 for an unknown persona', async () => {
+    const { status, body } = await postJson(`${server.url}/api/chat`, { message: 'hi', persona: 'pirate' });
+
+    assert.equal(status, 400);
+    assert.match(body.error, /Persona "pirate" not found/);
+  });
+
+  test('creates, updates and deletes personas through /admin/personas', async () => {
+    const created = await postJson(`${server.url}/admin/personas`, { id: 'tester', systemPrompt: 'You test things.' });
+    assert.equal(created.status, 201);
+
+    const updated = await fetch(`${server.url}/admin/personas/tester`, {
+      method: 'PUT',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ systemPrompt: 'You test everything.' })
+    });
+    assert.equal(updated.status, 200);
+
+    const fetched = await (await fetch(`${server.url}/admin/personas/tester`)).json();
+    assert.equal(fetched.data.systemPrompt, 'You test everything.');
+
+    assert.equal((await fetch(`${server.url}/admin/personas/tester`, { method: 'DELETE' })).status, 200);
+    assert.equal((await fetch(`${server.url}/admin/personas/tester`)).status, 404);
+  });
+});
@@ -0,0 +1,41 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager, PURE_AI } from './helpers.js';
+
+describe('provider and model pinning', () => {
+  test('sends the request to the requested provider first', async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{ response: 'from B' }] });
+    const result = await manager.generateResponse('hi', { ...PURE_AI, provider: 'mock-b' });
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal(result.fallbackUsed, false);
+  });
+
+  test('uses the requested model of the pinned provider', async () => {
+    const manager = await createManager({ mock: [{}] });
+    const result = await manager.generateResponse('hi', { ...PURE_AI, provider: 'mock', model: 'mock-2' });
+
+    assert.equal(result.model, 'mock-2');
+  });
+
+  test('falls back to other providers when the pinned one fails', async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{ error: 401 }] });
+    const result = await manager.generateResponse('hi', { ...PURE_AI, provider: 'mock-b' });
+
+    assert.equal(result.providerId, 'mock');
+    assert.equal(result.fallbackUsed, true);
+  });
+
+  test('tries only the pinned provider with fallback: false', async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{ error: 401 }] });
+
+    await assert.rejects(manager.generateResponse('hi', { ...PURE_AI, provider: 'mock-b', fallback: false }));
+    assert.equal((await manager.getService('mock')).requests.length, 0);
+  });
+
+  test('rejects an unknown provider', async () => {
+    const manager = await createManager();
+
+    assert.throws(() => manager.assertProviderAvailable('nope'), { status: 400, message: /not a known provider/ });
+  });
+});
@@ -0,0 +1,94 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyError, parseRetryAfter, ERROR_CLASSES } from '../src/utils/providerErrors.js';
+import { ServiceError } from '../src/utils/helpers.js';
+import { createManager, PURE_AI } from './helpers.js';
+
+function providerError(message, fields = {}) {
+  return Object.assign(new Error(message), fields);
+}
+
+describe('classifyError', () => {
+  test('classifies by HTTP status', () => {
+    const cases = [
+      [401, ERROR_CLASSES.AUTH],
+      [402, ERROR_CLASSES.QUOTA],
+      [404, ERROR_CLASSES.MODEL_NOT_FOUND],
+      [408, ERROR_CLASSES.TIMEOUT],
+      [413, ERROR_CLASSES.CONTEXT_LENGTH],
+      [429, ERROR_CLASSES.RATE_LIMIT],
+      [400, ERROR_CLASSES.BAD_REQUEST],
+      [503, ERROR_CLASSES.OVERLOAD]
+    ];
+
+    for (const [status, errorClass] of cases) {
+      assert.equal(classifyError(providerError('failed', { status })).errorClass, errorClass, `status ${status}`);
+    }
+    assert.equal(classifyError(providerError('failed', { statusCode: '429' })).errorClass, ERROR_CLASSES.RATE_LIMIT);
+  });
+
+  test('prefers provider error codes over the status', () => {
+    assert.equal(classifyError(providerError('failed', { status: 429, code: 'insufficient_quota' })).errorClass, ERROR_CLASSES.QUOTA);
+    assert.equal(classifyError(providerError('failed', { status: 400, code: 'content_filter' })).errorClass, ERROR_CLASSES.CONTENT_FILTER);
+    assert.equal(classifyError(providerError('failed', { status: 400, code: 'context_length_exceeded' })).errorClass, ERROR_CLASSES.CONTEXT_LENGTH);
+  });
+
+  test('falls back to the message when there is no status or code', () => {
+    assert.equal(classifyError(providerError('The model `x` does not exist')).errorClass, ERROR_CLASSES.MODEL_NOT_FOUND);
+    assert.equal(classifyError(providerError('Model is overloaded')).errorClass, ERROR_CLASSES.OVERLOAD);
+    assert.equal(classifyError(providerError('fetch failed')).errorClass, ERROR_CLASSES.NETWORK);
+    assert.equal(classifyError(providerError('something odd')).errorClass, ERROR_CLASSES.UNKNOWN);
+  });
+
+  test('recognises aborted and timed out requests', () => {
+    assert.equal(classifyError(providerError('aborted', { name: 'AbortError' })).errorClass, ERROR_CLASSES.CANCELLED);
+    assert.equal(classifyError(providerError('timed out', { name: 'TimeoutError' })).errorClass, ERROR_CLASSES.TIMEOUT);
+  });
+
+  test('keeps the class of an already classified error', () => {
+    const error = new ServiceError('bad reply', 'mock', 422, { errorClass: ERROR_CLASSES.REFUSAL });
+
+    assert.deepEqual(classifyError(error), { errorClass: ERROR_CLASSES.REFUSAL, status: 422, retryAfter: null });
+  });
+});
+
+describe('parseRetryAfter', () => {
+  test('reads seconds, milliseconds and HTTP dates', () => {
+    assert.equal(parseRetryAfter({ 'retry-after': '3' }), 3000);
+    assert.equal(parseRetryAfter(new Headers({ 'retry-after-ms': '250' })), 250);
+
+    const fromDate = parseRetryAfter({ 'retry-after': new Date(Date.now() + 5000).toUTCString() });
+    assert.ok(fromDate > 3000 && fromDate <= 5000);
+  });
+
+  test('returns null without a usable header', () => {
+    assert.equal(parseRetryAfter(undefined), null);
+    assert.equal(parseRetryAfter({}), null);
+    assert.equal(parseRetryAfter({ 'retry-after': 'soon' }), null);
+  });
+});
+
+describe('error policies during routing', () => {
+  test('retries a rate limited provider after its Retry-After delay', async () => {
+    const manager = await createManager({ mock: [{ error: 429, retryAfter: 0.05 }, { response: 'ok' }], 'mock-b': [{}] });
+    const result = await manager.generateResponse('q', PURE_AI);
+
+    assert.equal(result.providerId, 'mock');
+    assert.equal((await manager.getService('mock')).requests.length, 2);
+  });
+
+  test('moves on from a rate limited provider that gives no Retry-After', async () => {
+    const manager = await createManager({ mock: [{ error: 429 }, { response: 'ok' }], 'mock-b': [{ response: 'B' }] });
+    const result = await manager.generateResponse('q', PURE_AI);
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal((await manager.getService('mock')).requests.length, 1);
+  });
+
+  test('fails the whole request on a content filter error', async () => {
+    const manager = await createManager({ mock: [{ error: 'content_filter' }], 'mock-b': [{}] });
+
+    await assert.rejects(manager.generateResponse('q', PURE_AI), { errorClass: ERROR_CLASSES.CONTENT_FILTER, status: 400 });
+    assert.equal((await manager.getService('mock-b')).requests.length, 0);
+  });
+});
@@ -0,0 +1,125 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import ProviderLimiter, { LIMIT_REASONS } from '../src/services/providerLimiter.js';
+import { createManager, withPriorityConfig, PURE_AI } from './helpers.js';
+
+const withLimits = (limits, fn) => withPriorityConfig(config => {
+  for (const provider of config.providers) {
+    provider.limits = limits[provider.id];
+  }
+}, fn);
+
+describe('ProviderLimiter', () => {
+  test('holds requests beyond the concurrency limit until one is released', () => {
+    const limiter = new ProviderLimiter('test', { concurrency: 1 });
+    const lease = limiter.tryAcquire(10);
+
+    assert.ok(lease);
+    assert.equal(limiter.tryAcquire(10), null);
+    assert.deepEqual(limiter.check(10), { reason: LIMIT_REASONS.CONCURRENCY, retryIn: null });
+
+    lease.release();
+    assert.ok(limiter.tryAcquire(10));
+  });
+
+  test('reports how long until the next request fits the rpm budget', () => {
+    const limiter = new ProviderLimiter('test', { rpm: 1 });
+    limiter.tryAcquire(10).release();
+    const limited = limiter.check(10);
+
+    assert.equal(limited.reason, LIMIT_REASONS.RPM);
+    assert.ok(limited.retryIn > 59000 && limited.retryIn <= 60000);
+  });
+
+  test('counts estimated tokens and corrects them with reported usage', () => {
+    const limiter = new ProviderLimiter('test', { tpm: 100 });
+    limiter.tryAcquire(60).release(90);
+
+    assert.equal(limiter.getUsage().tokensRemaining, 10);
+    assert.equal(limiter.check(50).reason, LIMIT_REASONS.TPM);
+  });
+
+  test('hands back everything for a cancelled lease', () => {
+    const limiter = new ProviderLimiter('test', { rpm: 5, tpm: 100 });
+    limiter.tryAcquire(60).cancel();
+
+    assert.deepEqual(limiter.getUsage(), { active: 0, concurrency: null, requestsRemaining: 5, tokensRemaining: 100 });
+  });
+
+  test('rejects a request larger than the whole tpm budget without waiting', async () => {
+    const limiter = new ProviderLimiter('test', { tpm: 100 });
+    const started = Date.now();
+
+    assert.deepEqual(limiter.check(101), { reason: LIMIT_REASONS.REQUEST_SIZE, retryIn: null });
+    assert.equal(await limiter.waitForRoom(101, { maxWait: 1000 }), false);
+    assert.ok(Date.now() - started < 100);
+  });
+
+  test('counts each later call under a lease against the rpm budget, but not the concurrency', async () => {
+    const limiter = new ProviderLimiter('test', { concurrency: 1, rpm: 2 });
+    const lease = limiter.tryAcquire(10);
+
+    assert.equal(await lease.admit(), true);
+    assert.equal(await lease.admit(), true);
+    assert.equal(limiter.getUsage().requestsRemaining, 0);
+    assert.equal(await lease.admit(), false);
+  });
+
+  test('waits for a released slot', async () => {
+    const limiter = new ProviderLimiter('test', { concurrency: 1 });
+    const lease = limiter.tryAcquire(10);
+    setTimeout(() => lease.release(), 20);
+
+    assert.equal(await limiter.waitForRoom(10, { maxWait: 1000 }), true);
+  });
+});
+
+describe('provider limits during routing', () => {
+  test('skips a provider at its limit and lists it in the metadata', () => withLimits({ mock: { rpm: 1 } }, async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    await manager.generateResponse('first', PURE_AI);
+    const result = await manager.generateResponse('second', PURE_AI);
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal(result.metadata.limitedProviders[0].provider, 'mock');
+    assert.equal(result.metadata.limitedProviders[0].reason, LIMIT_REASONS.RPM);
+  }));
+
+  test('counts a continuation against the provider\'s limit', () => withLimits({ mock: { rpm: 2 } }, async () => {
+    const manager = await createManager({ mock: [{ response: 'part one', finishReason: 'length' }, { response: ' part two' }] });
+    const result = await manager.generateResponse('q', { ...PURE_AI, provider: 'mock', continueTruncated: true });
+
+    assert.equal(result.response, 'part one part two');
+    assert.equal(manager.getLimiter('mock').getUsage().requestsRemaining, 0);
+  }));
+
+  test('keeps the truncated reply when the limit leaves no room to continue', () => withLimits({ mock: { rpm: 1 } }, async () => {
+    const manager = await createManager({ mock: [{ response: 'part one', finishReason: 'length' }, { response: ' part two' }] });
+    const result = await manager.generateResponse('q', { ...PURE_AI, provider: 'mock', continueTruncated: true });
+
+    assert.equal(result.response, 'part one');
+    assert.equal(result.metadata.continuations, 0);
+    assert.equal((await manager.getService('mock')).requests.length, 1);
+    assert.equal(manager.getBreaker('mock').getCooldownRemaining(), 0);
+  }));
+
+  test('fails with a 429 and a retry hint when every provider is at its limit', () => withLimits({ mock: { rpm: 1 }, 'mock-b': { rpm: 1 } }, async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    await manager.generateResponse('first', { ...PURE_AI, provider: 'mock' });
+    await manager.generateResponse('second', { ...PURE_AI, provider: 'mock-b' });
+
+    const error = await manager.generateResponse('third', PURE_AI).catch(error => error);
+    assert.equal(error.status, 429);
+    assert.ok(error.retryAfter > 0);
+  }));
+
+  test('fails with a 413 when the request exceeds every tpm budget', () => withLimits({ mock: { tpm: 5 }, 'mock-b': { tpm: 5 } }, async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+
+    for (const strategy of [undefined, 'race']) {
+      const error = await manager.generateResponse('a prompt well over five tokens long', { ...PURE_AI, strategy }).catch(error => error);
+      assert.equal(error.status, 413, `strategy ${strategy}`);
+      assert.equal(error.retryAfter, null);
+    }
+  }));
+});
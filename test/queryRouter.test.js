@@ -0,0 +1,97 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { classifyQuery, resolveQualityPreference, QUERY_CLASSES } from '../src/services/queryRouter.js';
+import { validateRoutingOptions } from '../src/middleware/index.js';
+import { getMockSearchBackend } from '../src/services/mockSearchBackend.js';
+import { createManager, withPriorityConfig, PURE_AI } from './helpers.js';
+
+const withQueryRouting = (queryRouting, fn) => withPriorityConfig(config => {
+  config.settings.queryRouting = queryRouting;
+}, fn);
+
+describe('classifyQuery', () => {
+  test('classifies queries by their wording and length', () => {
+    const cases = [
+      ['Why does this Python function throw a KeyError?', QUERY_CLASSES.CODING],
+      ['Write a haiku about autumn', QUERY_CLASSES.CREATIVE],
+      ['Compare the trade-offs of renting and buying a home for a young family', QUERY_CLASSES.REASONING],
+      ['Capital of Peru?', QUERY_CLASSES.FACTUAL],
+      ['I am planning a weekend away. '.repeat(8), QUERY_CLASSES.GENERAL],
+      ['word '.repeat(400), QUERY_CLASSES.REASONING]
+    ];
+
+    for (const [message, queryClass] of cases) {
+      assert.equal(classifyQuery(message).queryClass, queryClass, message.slice(0, 40));
+    }
+  });
+});
+
+describe('resolveQualityPreference', () => {
+  const queryRouting = { enabled: true, rules: { coding: ['high', 'balanced'] } };
+
+  test('puts an explicit quality first, then the nearest tiers', () => {
+    assert.deepEqual(resolveQualityPreference('debug this code', 'speed', queryRouting).qualities, ['speed', 'balanced', 'high']);
+  });
+
+  test('uses the rule for the query class when query routing is on', () => {
+    const preference = resolveQualityPreference('debug this code', undefined, queryRouting);
+
+    assert.deepEqual(preference.qualities, ['high', 'balanced']);
+    assert.equal(preference.queryClass, QUERY_CLASSES.CODING);
+  });
+
+  test('has no preference without a rule or with query routing off', () => {
+    assert.deepEqual(resolveQualityPreference('Capital of Peru?', undefined, queryRouting).qualities, []);
+    assert.equal(resolveQualityPreference('debug this code', undefined, { ...queryRouting, enabled: false }), null);
+    assert.equal(resolveQualityPreference('debug this code', undefined, undefined), null);
+  });
+});
+
+describe('quality routing during routing', () => {
+  test('tries providers of the requested quality first', async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    const result = await manager.generateResponse('q', { ...PURE_AI, quality: 'balanced' });
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.deepEqual(result.metadata.routing.quality, ['balanced', 'high', 'speed']);
+    assert.match(result.metadata.routing.reason, /^requested quality balanced/);
+  });
+
+  test('routes by query class with settings.queryRouting', () => withQueryRouting({ enabled: true, rules: { coding: ['balanced'] } }, async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    const coding = await manager.generateResponse('Fix this javascript bug', PURE_AI);
+    const factual = await manager.generateResponse('Capital of Peru?', PURE_AI);
+
+    assert.equal(coding.providerId, 'mock-b');
+    assert.equal(coding.metadata.routing.queryClass, 'coding');
+    assert.equal(factual.providerId, 'mock');
+    assert.equal(factual.metadata.routing.queryClass, 'factual');
+  }));
+
+  test('classifies the user\'s query rather than the web search prompt in hybrid mode', () => withQueryRouting({ enabled: true, rules: { factual: ['balanced'] } }, async () => {
+    getMockSearchBackend().setScript([]);
+    getMockSearchBackend().setAvailable(true);
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    const result = await manager.generateResponse('latest news about rockets');
+
+    assert.equal(result.metadata.webSearchUsed, true);
+    assert.match((await manager.getService('mock-b')).requests[0].message, /Mock snippet 1/);
+    assert.equal(result.metadata.routing.queryClass, 'factual');
+    assert.equal(result.providerId, 'mock-b');
+  }));
+
+  test('keeps a pinned provider ahead of the quality preference', async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    const result = await manager.generateResponse('q', { ...PURE_AI, quality: 'balanced', provider: 'mock' });
+
+    assert.equal(result.providerId, 'mock');
+  });
+
+  test('rejects unknown quality tiers and query classes', async () => {
+    assert.match(validateRoutingOptions({ quality: 'ultra' }), /quality/i);
+    await assert.rejects(
+      withQueryRouting({ enabled: true, rules: { trivia: ['speed'] } }, () => {}),
+      /unknown query class trivia/
+    );
+  });
+});
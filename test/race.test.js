@@ -0,0 +1,75 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager, deferred, PURE_AI } from './helpers.js';
+
+const RACE = { ...PURE_AI, strategy: 'race' };
+// Held back until the request is aborted
+const NEVER = new Promise(() => {});
+
+describe('race strategy', () => {
+  test('returns the fastest answer and cancels the rest', async () => {
+    const manager = await createManager({ mock: [{ response: 'slow', gate: NEVER }], 'mock-b': [{ response: 'fast' }] });
+    const result = await manager.generateResponse('q', RACE);
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal((await manager.getService('mock')).requests[0].signal.aborted, true);
+    assert.deepEqual(result.metadata.race.started, ['mock', 'mock-b']);
+    assert.deepEqual(result.metadata.race.cancelled, ['mock']);
+    assert.deepEqual(result.metadata.race.finished, ['mock-b']);
+    assert.equal(result.metadata.race.winner, 'mock-b');
+  });
+
+  test('records a loser that answers despite the abort only as cancelled', async () => {
+    const gate = deferred();
+    const manager = await createManager({ mock: [{ response: 'slow', gate: gate.promise }], 'mock-b': [{ response: 'fast' }] });
+    // A provider that ignores the abort and answers anyway
+    const slow = await manager.getService('mock');
+    const generate = slow.generateResponse.bind(slow);
+    let loser;
+    slow.generateResponse = (message, options) => (loser = generate(message, { ...options, signal: undefined }));
+
+    const result = await manager.generateResponse('q', RACE);
+    gate.resolve();
+    await loser;
+    // Let the race handle the late answer
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.deepEqual(result.metadata.race.cancelled, ['mock']);
+    assert.deepEqual(result.metadata.race.finished, ['mock-b']);
+  });
+
+  test('starts a hedge request only after the hedge delay', async () => {
+    const manager = await createManager({ mock: [{ response: 'quick' }], 'mock-b': [{}] });
+    const quick = await manager.generateResponse('q', { ...RACE, hedgeDelay: 60000 });
+
+    assert.deepEqual(quick.metadata.race.started, ['mock']);
+    assert.equal(quick.metadata.race.hedgeDelay, 60000);
+
+    const slowManager = await createManager({ mock: [{ response: 'slow', gate: NEVER }], 'mock-b': [{ response: 'hedge' }] });
+    const hedged = await slowManager.generateResponse('q', { ...RACE, hedgeDelay: 10 });
+
+    assert.equal(hedged.providerId, 'mock-b');
+    assert.deepEqual(hedged.metadata.race.started, ['mock', 'mock-b']);
+  });
+
+  test('replaces a failed provider and reports the failure', async () => {
+    const manager = await createManager({ mock: [{ error: 401 }], 'mock-b': [{ response: 'B' }] });
+    const result = await manager.generateResponse('q', { ...RACE, raceSize: 1 });
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal(result.metadata.race.failed[0].provider, 'mock');
+    assert.equal(result.metadata.race.failed[0].errorClass, 'auth');
+  });
+
+  test('streams only the tokens of the first provider to emit one', async () => {
+    const tokens = [];
+    const manager = await createManager({
+      mock: [{ response: 'a1 a2 a3', gate: NEVER }],
+      'mock-b': [{ response: 'b1 b2 b3' }]
+    });
+    const result = await manager.generateResponse('q', { ...RACE, onToken: token => tokens.push(token) });
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.equal(tokens.join(''), 'b1 b2 b3');
+  });
+});
@@ -0,0 +1,117 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { applyRoutingStrategy, ROUTING_STRATEGIES } from '../src/services/routingStrategies.js';
+import ProviderStats from '../src/services/providerStats.js';
+import { createManager, withPriorityConfig, PURE_AI } from './helpers.js';
+
+const SERVICES = [{ id: 'a' }, { id: 'b' }, { id: 'c' }];
+const ids = ({ services }) => services.map(service => service.id);
+
+const withRouting = (routing, fn) => withPriorityConfig(config => {
+  config.settings.routing = routing;
+}, fn);
+
+describe('applyRoutingStrategy', () => {
+  test('keeps priority order for the static strategy', () => {
+    assert.deepEqual(ids(applyRoutingStrategy(ROUTING_STRATEGIES.STATIC, SERVICES, {})), ['a', 'b', 'c']);
+  });
+
+  test('draws providers in proportion to their weight', (t) => {
+    const weights = { a: 1, b: 3, c: 1 };
+    t.mock.method(Math, 'random', () => 0.5);
+
+    const routed = applyRoutingStrategy(ROUTING_STRATEGIES.WEIGHTED, SERVICES, { weight: id => weights[id] });
+
+    assert.equal(ids(routed)[0], 'b');
+    assert.equal(routed.services.length, 3);
+    assert.match(routed.reason, /a=1, b=3, c=1/);
+  });
+
+  test('starts one provider further along on each round-robin turn', () => {
+    assert.deepEqual(ids(applyRoutingStrategy(ROUTING_STRATEGIES.ROUND_ROBIN, SERVICES, { turn: 1 })), ['b', 'c', 'a']);
+    assert.deepEqual(ids(applyRoutingStrategy(ROUTING_STRATEGIES.ROUND_ROBIN, SERVICES, { turn: 5 })), ['c', 'a', 'b']);
+  });
+
+  test('orders by p95 latency with unmeasured providers first and failing ones last', () => {
+    const stats = {
+      a: { p95: 900, successRate: 1 },
+      b: { p95: 200, successRate: 0.2 },
+      c: { p95: null, successRate: null },
+      e: { p95: null, successRate: 0 }
+    };
+    const routed = applyRoutingStrategy(ROUTING_STRATEGIES.LEAST_LATENCY, [{ id: 'e' }, ...SERVICES, { id: 'd' }], {
+      stats: id => stats[id] || { p95: 400, successRate: 1 },
+      minSuccessRate: 0.5
+    });
+
+    assert.deepEqual(ids(routed), ['c', 'd', 'a', 'e', 'b']);
+    assert.match(routed.reason, /e=0% success/);
+  });
+
+  test('orders by price with unpriced providers last', () => {
+    const prices = { a: null, b: 5, c: 0.5 };
+    const routed = applyRoutingStrategy(ROUTING_STRATEGIES.CHEAPEST, SERVICES, { price: id => prices[id] });
+
+    assert.deepEqual(ids(routed), ['c', 'b', 'a']);
+    assert.match(routed.reason, /a=unpriced/);
+  });
+});
+
+describe('ProviderStats', () => {
+  const settings = { STATS_WINDOW: 60000, MAX_SAMPLES: 4, MIN_SAMPLES: 3 };
+
+  test('reports latency only once there are enough samples', () => {
+    const stats = new ProviderStats('test', settings);
+    stats.record(100, true);
+    stats.record(300, true);
+
+    assert.equal(stats.getSummary().p95, null);
+
+    stats.record(5000, false);
+    assert.deepEqual(stats.getSummary(), { samples: 3, successRate: 0.67, p50: 100, p95: 300 });
+  });
+
+  test('keeps at most MAX_SAMPLES samples', () => {
+    const stats = new ProviderStats('test', settings);
+    for (const duration of [1, 2, 3, 4, 5, 6]) {
+      stats.record(duration, true);
+    }
+
+    assert.deepEqual(stats.getSummary(), { samples: 4, successRate: 1, p50: 4, p95: 6 });
+  });
+});
+
+describe('routing strategies during routing', () => {
+  test('rotates the first provider between requests with round-robin', () => withRouting('round-robin', async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    const first = await manager.generateResponse('q', PURE_AI);
+    const second = await manager.generateResponse('q', PURE_AI);
+
+    assert.notEqual(first.providerId, second.providerId);
+    assert.equal(second.metadata.routing.strategy, 'round-robin');
+    assert.deepEqual(second.metadata.routing.order, [second.providerId, first.providerId]);
+  }));
+
+  test('tries the priced provider first with cheapest', () => withRouting('cheapest', async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    const result = await manager.generateResponse('q', PURE_AI);
+
+    assert.equal(result.providerId, 'mock');
+    assert.match(result.metadata.routing.reason, /mock-b=unpriced/);
+  }));
+
+  test('prefers the provider with the lower measured latency', () => withRouting('least-latency', async () => {
+    const manager = await createManager({ mock: [{}], 'mock-b': [{}] });
+    for (let i = 0; i < 3; i++) {
+      manager.getStats('mock').record(2000, true);
+      manager.getStats('mock-b').record(100, true);
+    }
+
+    const result = await manager.generateResponse('q', PURE_AI);
+    assert.equal(result.providerId, 'mock-b');
+  }));
+
+  test('rejects an unknown routing strategy in priority.json', async () => {
+    await assert.rejects(withRouting('fastest', () => {}), /settings.routing must be one of/);
+  });
+});
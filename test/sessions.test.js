@@ -0,0 +1,93 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, scriptProviders, postJson } from './helpers.js';
+import { CONFIG } from '../src/config/config.js';
+
+const ALICE = { Authorization: 'Bearer alice-key' };
+const BOB = { Authorization: 'Bearer bob-key' };
+
+// Conversation turns sent to the provider, without the system prompt
+const conversation = request => request.messages.filter(turn => turn.role !== 'system').map(turn => turn.content);
+
+describe('sessions', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  const chat = (body, headers = ALICE) => postJson(`${server.url}/api/chat`, { hybridMode: false, ...body }, headers);
+  const get = (path, headers = ALICE) => fetch(`${server.url}/api/sessions${path}`, { headers });
+
+  test('stores each exchange and replays it on the next request', async () => {
+    const manager = await scriptProviders({ mock: [{ response: 'Nice to meet you' }, { response: 'Ada' }] });
+    await chat({ message: 'My name is Ada', sessionId: 'intro' });
+    const { body } = await chat({ message: 'What is my name?', sessionId: 'intro' });
+
+    assert.equal(body.data.sessionId, 'intro');
+    const request = (await manager.getService('mock')).requests[1];
+    assert.deepEqual(conversation(request), ['My name is Ada', 'Nice to meet you', 'What is my name?']);
+
+    const session = (await (await get('/intro')).json()).data;
+    assert.equal(session.messages.length, 4);
+    assert.equal(session.messages[3].provider, 'Mock');
+  });
+
+  test('lists the caller\'s sessions, most recently updated first', async () => {
+    await scriptProviders({ mock: [{}] });
+    await chat({ message: 'first', sessionId: 'older' });
+    await chat({ message: 'second', sessionId: 'newer' });
+
+    const { data } = await (await get('?limit=2')).json();
+    assert.deepEqual(data.sessions.map(session => session.id), ['newer', 'older']);
+    assert.equal(data.pagination.total, 3);
+    assert.equal(data.pagination.hasMore, true);
+
+    const next = (await (await get('?limit=2&offset=2')).json()).data;
+    assert.deepEqual(next.sessions.map(session => session.id), ['intro']);
+  });
+
+  test('hides sessions from other clients', async () => {
+    const list = (await (await get('', BOB)).json()).data;
+    assert.equal(list.pagination.total, 0);
+
+    assert.equal((await get('/intro', BOB)).status, 404);
+    assert.equal((await fetch(`${server.url}/api/sessions/intro`, { method: 'DELETE', headers: BOB })).status, 404);
+    assert.equal((await get('/intro')).status, 200);
+  });
+
+  test('keeps same-named sessions of different clients apart', async () => {
+    const manager = await scriptProviders({ mock: [{}] });
+    await chat({ message: 'from bob', sessionId: 'intro' }, BOB);
+
+    assert.deepEqual(conversation((await manager.getService('mock')).requests[0]), ['from bob']);
+  });
+
+  test('deletes a session', async () => {
+    const deleted = await fetch(`${server.url}/api/sessions/older`, { method: 'DELETE', headers: ALICE });
+    assert.equal(deleted.status, 200);
+    assert.equal((await get('/older')).status, 404);
+  });
+
+  test('rejects invalid session ids', async () => {
+    assert.equal((await get('/bad%20id')).status, 400);
+    assert.equal((await chat({ message: 'hi', sessionId: '../escape' })).status, 400);
+  });
+
+  test('are refused to private requests when stored in Supabase', async (t) => {
+    const backend = CONFIG.CONVERSATIONS.BACKEND;
+    CONFIG.CONVERSATIONS.BACKEND = 'supabase';
+    t.after(() => { CONFIG.CONVERSATIONS.BACKEND = backend; });
+
+    const { status, body } = await chat({ message: 'secret', sessionId: 'private', privateMode: true });
+    assert.equal(status, 400);
+    assert.match(body.error.message, /privateMode/);
+  });
+
+  test('requires an API key', async () => {
+    assert.equal((await get('', {})).status, 401);
+    assert.equal((await get('/intro', {})).status, 401);
+
+    const { status, body } = await chat({ message: 'hi', sessionId: 'intro' }, {});
+    assert.equal(status, 401);
+    assert.match(body.error.message, /API key/);
+  });
+});
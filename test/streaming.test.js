@@ -0,0 +1,50 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startServer, scriptProviders, parseEvents } from './helpers.js';
+
+describe('POST /api/chat with stream: true', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  async function streamChat(body) {
+    const response = await fetch(`${server.url}/api/chat`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ hybridMode: false, stream: true, ...body })
+    });
+    return { contentType: response.headers.get('content-type'), events: parseEvents(await response.text()) };
+  }
+
+  test('sends token events followed by a done event', async () => {
+    await scriptProviders({ mock: [{ response: 'one two three' }] });
+    const { contentType, events } = await streamChat({ message: 'count' });
+
+    assert.match(contentType, /text\/event-stream/);
+    const tokens = events.filter(event => event.event === 'token').map(event => event.data.content);
+    assert.equal(tokens.join(''), 'one two three');
+    assert.ok(tokens.length > 1);
+
+    const done = events.at(-1);
+    assert.equal(done.event, 'done');
+    assert.equal(done.data.provider, 'Mock');
+  });
+
+  test('falls back to the next provider when one fails before its first token', async () => {
+    await scriptProviders({ mock: [{ error: 401 }], 'mock-b': [{ response: 'from B' }] });
+    const { events } = await streamChat({ message: 'hello' });
+
+    const tokens = events.filter(event => event.event === 'token').map(event => event.data.content);
+    assert.equal(tokens.join(''), 'from B');
+    assert.equal(events.at(-1).data.provider, 'Mock B');
+    assert.equal(events.at(-1).data.fallbackUsed, true);
+  });
+
+  test('ends with an error event when every provider fails', async () => {
+    await scriptProviders({ mock: [{ error: 400 }], 'mock-b': [{ error: 400 }] });
+    const { events } = await streamChat({ message: 'hello' });
+
+    assert.equal(events.at(-1).event, 'error');
+    assert.ok(events.at(-1).data.message);
+  });
+});
@@ -0,0 +1,76 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createManager, startServer, postJson, PURE_AI } from './helpers.js';
+import { extractJson, checkSchemaLimits, SCHEMA_LIMITS } from '../src/utils/structuredOutput.js';
+
+const CITY_FORMAT = {
+  type: 'json_schema',
+  schema: { type: 'object', properties: { city: { type: 'string' } }, required: ['city'] }
+};
+
+describe('structured output', () => {
+  test('extracts JSON from code fences and surrounding prose', () => {
+    assert.deepEqual(extractJson('```json\n{"a":1}\n```'), { a: 1 });
+    assert.deepEqual(extractJson('Here you go: {"a":[1,2]} Enjoy!'), { a: [1, 2] });
+    assert.throws(() => extractJson('no json here'), /does not contain JSON/);
+  });
+
+  test('returns parsed JSON that matches the schema', async () => {
+    const manager = await createManager({ mock: [{ response: '{"city":"Oslo"}' }] });
+    const result = await manager.generateResponse('Where?', { ...PURE_AI, responseFormat: CITY_FORMAT });
+
+    assert.deepEqual(result.json, { city: 'Oslo' });
+    assert.equal(result.metadata.structuredOutput.repaired, false);
+  });
+
+  test('asks the same provider once to repair invalid output', async () => {
+    const manager = await createManager({ mock: [{ response: '{"town":"Oslo"}' }, { response: '{"city":"Oslo"}' }] });
+    const result = await manager.generateResponse('Where?', { ...PURE_AI, responseFormat: CITY_FORMAT });
+    const mock = await manager.getService('mock');
+
+    assert.equal(result.providerId, 'mock');
+    assert.deepEqual(result.json, { city: 'Oslo' });
+    assert.equal(result.metadata.structuredOutput.repaired, true);
+    assert.match(mock.requests[1].message, /must have required property 'city'/);
+  });
+
+  test('moves on to the next provider when the repair also fails', async () => {
+    const manager = await createManager({ mock: [{ response: 'not json' }], 'mock-b': [{ response: '{"city":"Bergen"}' }] });
+    const result = await manager.generateResponse('Where?', { ...PURE_AI, responseFormat: CITY_FORMAT });
+
+    assert.equal(result.providerId, 'mock-b');
+    assert.deepEqual(result.json, { city: 'Bergen' });
+  });
+
+  test('limits schema size, depth and pattern length', () => {
+    let deep = { type: 'string' };
+    for (let i = 0; i < SCHEMA_LIMITS.maxDepth; i++) {
+      deep = { type: 'object', properties: { a: deep } };
+    }
+
+    assert.equal(checkSchemaLimits(CITY_FORMAT.schema), null);
+    assert.match(checkSchemaLimits({ description: 'x'.repeat(SCHEMA_LIMITS.maxBytes) }), /bytes/);
+    assert.match(checkSchemaLimits(deep), /levels deep/);
+    assert.match(checkSchemaLimits({ type: 'string', pattern: 'a'.repeat(SCHEMA_LIMITS.maxPatternLength + 1) }), /patterns/);
+    assert.match(checkSchemaLimits({ patternProperties: { ['a'.repeat(SCHEMA_LIMITS.maxPatternLength + 1)]: {} } }), /patterns/);
+  });
+});
+
+describe('responseFormat validation', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  test('rejects invalid and oversized schemas with 400', async () => {
+    const invalid = await postJson(`${server.url}/api/chat`, { message: 'hi', responseFormat: { type: 'json_schema', schema: { type: 'nope' } } });
+    const oversized = await postJson(`${server.url}/api/chat`, {
+      message: 'hi',
+      responseFormat: { type: 'json_schema', schema: { type: 'string', pattern: 'a'.repeat(1000) } }
+    });
+
+    assert.equal(invalid.status, 400);
+    assert.match(invalid.body.error.message, /not a valid JSON Schema/);
+    assert.equal(oversized.status, 400);
+    assert.match(oversized.body.error.message, /patterns must be at most/);
+  });
+});
@@ -0,0 +1,115 @@
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import { createHash } from 'crypto';
+import { estimateCost, addCosts, getModelPrice, formatUsageCsv, getUsageLedger, toUsageDate } from '../src/services/usageLedger.js';
+import { CONFIG } from '../src/config/config.js';
+import { startServer, scriptProviders, postJson } from './helpers.js';
+
+describe('cost estimates', () => {
+  test('prices prompt and completion tokens per million', () => {
+    assert.deepEqual(estimateCost('gemini', 'gemini-2.5-flash', { promptTokens: 1000, completionTokens: 2000 }), {
+      currency: 'USD',
+      prompt: 0.0003,
+      completion: 0.005,
+      total: 0.0053
+    });
+  });
+
+  test('uses a provider-wide price and returns null for unpriced models', () => {
+    assert.deepEqual(getModelPrice('local', 'anything'), { input: 0, output: 0 });
+    assert.equal(estimateCost('github', 'unknown-model', { promptTokens: 10 }), null);
+  });
+
+  test('adds costs, treating a missing estimate as nothing', () => {
+    const cost = { currency: 'USD', prompt: 0.1, completion: 0.2, total: 0.3 };
+
+    assert.deepEqual(addCosts(cost, cost), { currency: 'USD', prompt: 0.2, completion: 0.4, total: 0.6 });
+    assert.equal(addCosts(null, cost), cost);
+    assert.equal(addCosts(null, null), null);
+  });
+});
+
+describe('usage ledger', () => {
+  let server;
+  before(async () => { server = await startServer(); });
+  after(() => server.close());
+
+  const today = toUsageDate();
+  const entriesFor = client => getUsageLedger().query({ from: today, to: today }).entries.filter(entry => entry.client === client);
+
+  test('adds up calls per day, provider, model and client', () => {
+    const ledger = getUsageLedger();
+    const usage = { promptTokens: 1000, completionTokens: 2000, totalTokens: 3000 };
+    ledger.record({ provider: 'gemini', model: 'gemini-2.5-flash', client: 'ledger-test', usage, cost: estimateCost('gemini', 'gemini-2.5-flash', usage) });
+    ledger.record({ provider: 'gemini', model: 'gemini-2.5-flash', client: 'ledger-test', usage, cost: estimateCost('gemini', 'gemini-2.5-flash', usage) });
+    ledger.record({ provider: 'github', model: 'unpriced', client: 'ledger-test', usage });
+
+    const [gemini, github] = entriesFor('ledger-test');
+    assert.equal(gemini.requests, 2);
+    assert.equal(gemini.totalTokens, 6000);
+    assert.equal(gemini.cost, 0.0106);
+    assert.equal(gemini.priced, true);
+    assert.equal(github.cost, 0);
+    assert.equal(github.priced, false);
+  });
+
+  test('saves the counters to the usage file', async () => {
+    getUsageLedger().record({ provider: 'mock', model: 'mock-1', client: 'saved-client' });
+    await getUsageLedger().save();
+
+    const saved = JSON.parse(fs.readFileSync(CONFIG.USAGE.FILE, 'utf8'));
+    assert.ok(saved.entries.some(entry => entry.client === 'saved-client'));
+  });
+
+  test('formats entries as CSV with quoted values where needed', () => {
+    const csv = formatUsageCsv([{ date: today, provider: 'mock', model: 'a,b', client: 'c', requests: 1, promptTokens: 1, completionTokens: 2, totalTokens: 3, cost: 0, priced: true }]);
+
+    assert.equal(csv, `date,provider,model,client,requests,prompt_tokens,completion_tokens,total_tokens,cost_usd,priced\n${today},mock,"a,b",c,1,1,2,3,0,true\n`);
+  });
+
+  test('counts chat requests under a fingerprint of the API key with their cost', async () => {
+    const token = 'usage-test-key';
+    const client = `key-${createHash('sha256').update(token).digest('hex').slice(0, 12)}`;
+    await scriptProviders({ mock: [{ response: 'counted' }] });
+    const { body } = await postJson(`${server.url}/api/chat`, { message: 'q' }, { Authorization: `Bearer ${token}` });
+
+    assert.deepEqual(body.data.metadata.cost, { currency: 'USD', prompt: 0, completion: 0, total: 0 });
+    assert.equal(entriesFor(client)[0].provider, 'mock');
+    assert.equal(entriesFor(client)[0].requests, 1);
+    assert.ok(!JSON.stringify(getUsageLedger().query({ from: today, to: today })).includes(token));
+  });
+
+  test('counts the decision model call of a hybrid request and adds its cost', async (t) => {
+    const token = 'decision-test-key';
+    const client = `key-${createHash('sha256').update(token).digest('hex').slice(0, 12)}`;
+    CONFIG.USAGE.PRICES.mock['mock-decision'] = { input: 1000, output: 1000 };
+    t.after(() => { delete CONFIG.USAGE.PRICES.mock['mock-decision']; });
+    await scriptProviders({ mock: [{ response: 'answered' }] });
+    const { body } = await postJson(`${server.url}/api/chat`, { message: 'explain recursion', hybridMode: true }, { Authorization: `Bearer ${token}` });
+
+    const decision = entriesFor(client).find(entry => entry.model === 'mock-decision');
+    assert.equal(decision.provider, 'mock');
+    assert.equal(decision.requests, 1);
+    assert.ok(decision.cost > 0);
+    assert.equal(body.data.metadata.cost.total, decision.cost);
+  });
+
+  test('serves the counters from /admin/usage as JSON or CSV', async () => {
+    getUsageLedger().record({ provider: 'mock', model: 'mock-1', client: 'admin-client', usage: { totalTokens: 5 } });
+
+    const json = await (await fetch(`${server.url}/admin/usage?from=${today}&to=${today}`)).json();
+    assert.ok(json.data.entries.some(entry => entry.client === 'admin-client'));
+    assert.ok(json.data.totals.totalTokens >= 5);
+
+    const csv = await fetch(`${server.url}/admin/usage?format=csv`);
+    assert.match(csv.headers.get('content-type'), /text\/csv/);
+    assert.match(await csv.text(), /admin-client/);
+  });
+
+  test('rejects invalid date ranges', async () => {
+    for (const query of ['from=2025-02-30', 'to=yesterday', 'from=2025-02-02&to=2025-02-01', 'format=xml']) {
+      assert.equal((await fetch(`${server.url}/admin/usage?${query}`)).status, 400, query);
+    }
+  });
+});